@@ -53,7 +53,8 @@ ttypes.Encoding = {
 'DELTA_BINARY_PACKED' : 5,
 'DELTA_LENGTH_BYTE_ARRAY' : 6,
 'DELTA_BYTE_ARRAY' : 7,
-'RLE_DICTIONARY' : 8
+'RLE_DICTIONARY' : 8,
+'BYTE_STREAM_SPLIT' : 9
 };
 ttypes.CompressionCodec = {
 'UNCOMPRESSED' : 0,
@@ -62,7 +63,8 @@ ttypes.CompressionCodec = {
 'LZO' : 3,
 'BROTLI' : 4,
 'LZ4' : 5,
-'ZSTD' : 6
+'ZSTD' : 6,
+'LZ4_RAW' : 7
 };
 ttypes.PageType = {
 'DATA_PAGE' : 0,
@@ -75,6 +77,13 @@ ttypes.BoundaryOrder = {
 'ASCENDING' : 1,
 'DESCENDING' : 2
 };
+ttypes.EdgeInterpolationAlgorithm = {
+'SPHERICAL' : 0,
+'VINCENTY' : 1,
+'THOMAS' : 2,
+'ANDOYER' : 3,
+'KARNEY' : 4
+};
 Statistics = module.exports.Statistics = function(args) {
   this.max = null;
   this.min = null;
@@ -523,9 +532,38 @@ MicroSeconds.prototype.write = function(output) {
   return;
 };
 
+NanoSeconds = module.exports.NanoSeconds = function(args) {
+};
+NanoSeconds.prototype = {};
+NanoSeconds.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    input.skip(ftype);
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+NanoSeconds.prototype.write = function(output) {
+  output.writeStructBegin('NanoSeconds');
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
 TimeUnit = module.exports.TimeUnit = function(args) {
   this.MILLIS = null;
   this.MICROS = null;
+  this.NANOS = null;
   if (args) {
     if (args.MILLIS !== undefined) {
       this.MILLIS = args.MILLIS;
@@ -533,6 +571,9 @@ TimeUnit = module.exports.TimeUnit = function(args) {
     if (args.MICROS !== undefined) {
       this.MICROS = args.MICROS;
     }
+    if (args.NANOS !== undefined) {
+      this.NANOS = args.NANOS;
+    }
   }
 };
 TimeUnit.prototype = {};
@@ -565,6 +606,14 @@ TimeUnit.prototype.read = function(input) {
         input.skip(ftype);
       }
       break;
+      case 3:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.NANOS = new ttypes.NanoSeconds();
+        this.NANOS.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
       default:
         input.skip(ftype);
     }
@@ -586,6 +635,11 @@ TimeUnit.prototype.write = function(output) {
     this.MICROS.write(output);
     output.writeFieldEnd();
   }
+  if (this.NANOS !== null && this.NANOS !== undefined) {
+    output.writeFieldBegin('NANOS', Thrift.Type.STRUCT, 3);
+    this.NANOS.write(output);
+    output.writeFieldEnd();
+  }
   output.writeFieldStop();
   output.writeStructEnd();
   return;
@@ -847,6 +901,203 @@ BsonType.prototype.write = function(output) {
   return;
 };
 
+Float16Type = module.exports.Float16Type = function(args) {
+};
+Float16Type.prototype = {};
+Float16Type.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    input.skip(ftype);
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+Float16Type.prototype.write = function(output) {
+  output.writeStructBegin('Float16Type');
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+GeometryType = module.exports.GeometryType = function(args) {
+  this.crs = null;
+  if (args) {
+    if (args.crs !== undefined) {
+      this.crs = args.crs;
+    }
+  }
+};
+GeometryType.prototype = {};
+GeometryType.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 1:
+      if (ftype == Thrift.Type.STRING) {
+        this.crs = input.readString();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+GeometryType.prototype.write = function(output) {
+  output.writeStructBegin('GeometryType');
+  if (this.crs !== null && this.crs !== undefined) {
+    output.writeFieldBegin('crs', Thrift.Type.STRING, 1);
+    output.writeString(this.crs);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+GeographyType = module.exports.GeographyType = function(args) {
+  this.crs = null;
+  this.algorithm = null;
+  if (args) {
+    if (args.crs !== undefined) {
+      this.crs = args.crs;
+    }
+    if (args.algorithm !== undefined) {
+      this.algorithm = args.algorithm;
+    }
+  }
+};
+GeographyType.prototype = {};
+GeographyType.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 1:
+      if (ftype == Thrift.Type.STRING) {
+        this.crs = input.readString();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 2:
+      if (ftype == Thrift.Type.I32) {
+        this.algorithm = input.readI32();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+GeographyType.prototype.write = function(output) {
+  output.writeStructBegin('GeographyType');
+  if (this.crs !== null && this.crs !== undefined) {
+    output.writeFieldBegin('crs', Thrift.Type.STRING, 1);
+    output.writeString(this.crs);
+    output.writeFieldEnd();
+  }
+  if (this.algorithm !== null && this.algorithm !== undefined) {
+    output.writeFieldBegin('algorithm', Thrift.Type.I32, 2);
+    output.writeI32(this.algorithm);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+VariantType = module.exports.VariantType = function(args) {
+  this.specification_version = null;
+  if (args) {
+    if (args.specification_version !== undefined) {
+      this.specification_version = args.specification_version;
+    }
+  }
+};
+VariantType.prototype = {};
+VariantType.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 1:
+      if (ftype == Thrift.Type.BYTE) {
+        this.specification_version = input.readByte();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 0:
+        input.skip(ftype);
+        break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+VariantType.prototype.write = function(output) {
+  output.writeStructBegin('VariantType');
+  if (this.specification_version !== null && this.specification_version !== undefined) {
+    output.writeFieldBegin('specification_version', Thrift.Type.BYTE, 1);
+    output.writeByte(this.specification_version);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
 LogicalType = module.exports.LogicalType = function(args) {
   this.STRING = null;
   this.MAP = null;
@@ -860,6 +1111,11 @@ LogicalType = module.exports.LogicalType = function(args) {
   this.UNKNOWN = null;
   this.JSON = null;
   this.BSON = null;
+  this.UUID = null;
+  this.FLOAT16 = null;
+  this.VARIANT = null;
+  this.GEOMETRY = null;
+  this.GEOGRAPHY = null;
   if (args) {
     if (args.STRING !== undefined) {
       this.STRING = args.STRING;
@@ -897,6 +1153,21 @@ LogicalType = module.exports.LogicalType = function(args) {
     if (args.BSON !== undefined) {
       this.BSON = args.BSON;
     }
+    if (args.UUID !== undefined) {
+      this.UUID = args.UUID;
+    }
+    if (args.FLOAT16 !== undefined) {
+      this.FLOAT16 = args.FLOAT16;
+    }
+    if (args.VARIANT !== undefined) {
+      this.VARIANT = args.VARIANT;
+    }
+    if (args.GEOMETRY !== undefined) {
+      this.GEOMETRY = args.GEOMETRY;
+    }
+    if (args.GEOGRAPHY !== undefined) {
+      this.GEOGRAPHY = args.GEOGRAPHY;
+    }
   }
 };
 LogicalType.prototype = {};
@@ -1009,6 +1280,46 @@ LogicalType.prototype.read = function(input) {
         input.skip(ftype);
       }
       break;
+      case 14:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.UUID = new ttypes.UUIDType();
+        this.UUID.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 15:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.FLOAT16 = new ttypes.Float16Type();
+        this.FLOAT16.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 16:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.VARIANT = new ttypes.VariantType();
+        this.VARIANT.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 17:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.GEOMETRY = new ttypes.GeometryType();
+        this.GEOMETRY.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 18:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.GEOGRAPHY = new ttypes.GeographyType();
+        this.GEOGRAPHY.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
       default:
         input.skip(ftype);
     }
@@ -1080,6 +1391,31 @@ LogicalType.prototype.write = function(output) {
     this.BSON.write(output);
     output.writeFieldEnd();
   }
+  if (this.UUID !== null && this.UUID !== undefined) {
+    output.writeFieldBegin('UUID', Thrift.Type.STRUCT, 14);
+    this.UUID.write(output);
+    output.writeFieldEnd();
+  }
+  if (this.FLOAT16 !== null && this.FLOAT16 !== undefined) {
+    output.writeFieldBegin('FLOAT16', Thrift.Type.STRUCT, 15);
+    this.FLOAT16.write(output);
+    output.writeFieldEnd();
+  }
+  if (this.VARIANT !== null && this.VARIANT !== undefined) {
+    output.writeFieldBegin('VARIANT', Thrift.Type.STRUCT, 16);
+    this.VARIANT.write(output);
+    output.writeFieldEnd();
+  }
+  if (this.GEOMETRY !== null && this.GEOMETRY !== undefined) {
+    output.writeFieldBegin('GEOMETRY', Thrift.Type.STRUCT, 17);
+    this.GEOMETRY.write(output);
+    output.writeFieldEnd();
+  }
+  if (this.GEOGRAPHY !== null && this.GEOGRAPHY !== undefined) {
+    output.writeFieldBegin('GEOGRAPHY', Thrift.Type.STRUCT, 18);
+    this.GEOGRAPHY.write(output);
+    output.writeFieldEnd();
+  }
   output.writeFieldStop();
   output.writeStructEnd();
   return;
@@ -2064,6 +2400,257 @@ PageEncodingStats.prototype.write = function(output) {
   return;
 };
 
+BoundingBox = module.exports.BoundingBox = function(args) {
+  this.xmin = null;
+  this.xmax = null;
+  this.ymin = null;
+  this.ymax = null;
+  this.zmin = null;
+  this.zmax = null;
+  this.mmin = null;
+  this.mmax = null;
+  if (args) {
+    if (args.xmin !== undefined) {
+      this.xmin = args.xmin;
+    }
+    if (args.xmax !== undefined) {
+      this.xmax = args.xmax;
+    }
+    if (args.ymin !== undefined) {
+      this.ymin = args.ymin;
+    }
+    if (args.ymax !== undefined) {
+      this.ymax = args.ymax;
+    }
+    if (args.zmin !== undefined) {
+      this.zmin = args.zmin;
+    }
+    if (args.zmax !== undefined) {
+      this.zmax = args.zmax;
+    }
+    if (args.mmin !== undefined) {
+      this.mmin = args.mmin;
+    }
+    if (args.mmax !== undefined) {
+      this.mmax = args.mmax;
+    }
+  }
+};
+BoundingBox.prototype = {};
+BoundingBox.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 1:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.xmin = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 2:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.xmax = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 3:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.ymin = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 4:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.ymax = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 5:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.zmin = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 6:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.zmax = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 7:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.mmin = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 8:
+      if (ftype == Thrift.Type.DOUBLE) {
+        this.mmax = input.readDouble();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+BoundingBox.prototype.write = function(output) {
+  output.writeStructBegin('BoundingBox');
+  if (this.xmin !== null && this.xmin !== undefined) {
+    output.writeFieldBegin('xmin', Thrift.Type.DOUBLE, 1);
+    output.writeDouble(this.xmin);
+    output.writeFieldEnd();
+  }
+  if (this.xmax !== null && this.xmax !== undefined) {
+    output.writeFieldBegin('xmax', Thrift.Type.DOUBLE, 2);
+    output.writeDouble(this.xmax);
+    output.writeFieldEnd();
+  }
+  if (this.ymin !== null && this.ymin !== undefined) {
+    output.writeFieldBegin('ymin', Thrift.Type.DOUBLE, 3);
+    output.writeDouble(this.ymin);
+    output.writeFieldEnd();
+  }
+  if (this.ymax !== null && this.ymax !== undefined) {
+    output.writeFieldBegin('ymax', Thrift.Type.DOUBLE, 4);
+    output.writeDouble(this.ymax);
+    output.writeFieldEnd();
+  }
+  if (this.zmin !== null && this.zmin !== undefined) {
+    output.writeFieldBegin('zmin', Thrift.Type.DOUBLE, 5);
+    output.writeDouble(this.zmin);
+    output.writeFieldEnd();
+  }
+  if (this.zmax !== null && this.zmax !== undefined) {
+    output.writeFieldBegin('zmax', Thrift.Type.DOUBLE, 6);
+    output.writeDouble(this.zmax);
+    output.writeFieldEnd();
+  }
+  if (this.mmin !== null && this.mmin !== undefined) {
+    output.writeFieldBegin('mmin', Thrift.Type.DOUBLE, 7);
+    output.writeDouble(this.mmin);
+    output.writeFieldEnd();
+  }
+  if (this.mmax !== null && this.mmax !== undefined) {
+    output.writeFieldBegin('mmax', Thrift.Type.DOUBLE, 8);
+    output.writeDouble(this.mmax);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+GeospatialStatistics = module.exports.GeospatialStatistics = function(args) {
+  this.bbox = null;
+  this.geospatial_types = null;
+  if (args) {
+    if (args.bbox !== undefined) {
+      this.bbox = args.bbox;
+    }
+    if (args.geospatial_types !== undefined) {
+      this.geospatial_types = args.geospatial_types;
+    }
+  }
+};
+GeospatialStatistics.prototype = {};
+GeospatialStatistics.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 1:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.bbox = new ttypes.BoundingBox();
+        this.bbox.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 2:
+      if (ftype == Thrift.Type.LIST) {
+        var _size201 = 0;
+        var _rtmp3202;
+        this.geospatial_types = [];
+        var _etype203 = 0;
+        _rtmp3202 = input.readListBegin();
+        _etype203 = _rtmp3202.etype;
+        _size201 = _rtmp3202.size;
+        for (var _i204 = 0; _i204 < _size201; ++_i204)
+        {
+          var elem205 = null;
+          elem205 = input.readI32();
+          this.geospatial_types.push(elem205);
+        }
+        input.readListEnd();
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+GeospatialStatistics.prototype.write = function(output) {
+  output.writeStructBegin('GeospatialStatistics');
+  if (this.bbox !== null && this.bbox !== undefined) {
+    output.writeFieldBegin('bbox', Thrift.Type.STRUCT, 1);
+    this.bbox.write(output);
+    output.writeFieldEnd();
+  }
+  if (this.geospatial_types !== null && this.geospatial_types !== undefined) {
+    output.writeFieldBegin('geospatial_types', Thrift.Type.LIST, 2);
+    output.writeListBegin(Thrift.Type.I32, this.geospatial_types.length);
+    for (var iter206 in this.geospatial_types)
+    {
+      if (this.geospatial_types.hasOwnProperty(iter206))
+      {
+        iter206 = this.geospatial_types[iter206];
+        output.writeI32(iter206);
+      }
+    }
+    output.writeListEnd();
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
 ColumnMetaData = module.exports.ColumnMetaData = function(args) {
   this.type = null;
   this.encodings = null;
@@ -2078,6 +2665,7 @@ ColumnMetaData = module.exports.ColumnMetaData = function(args) {
   this.dictionary_page_offset = null;
   this.statistics = null;
   this.encoding_stats = null;
+  this.geospatial_statistics = null;
   if (args) {
     if (args.type !== undefined) {
       this.type = args.type;
@@ -2118,6 +2706,9 @@ ColumnMetaData = module.exports.ColumnMetaData = function(args) {
     if (args.encoding_stats !== undefined) {
       this.encoding_stats = args.encoding_stats;
     }
+    if (args.geospatial_statistics !== undefined) {
+      this.geospatial_statistics = args.geospatial_statistics;
+    }
   }
 };
 ColumnMetaData.prototype = {};
@@ -2280,6 +2871,14 @@ ColumnMetaData.prototype.read = function(input) {
         input.skip(ftype);
       }
       break;
+      case 17:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.geospatial_statistics = new ttypes.GeospatialStatistics();
+        this.geospatial_statistics.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
       default:
         input.skip(ftype);
     }
@@ -2392,6 +2991,11 @@ ColumnMetaData.prototype.write = function(output) {
     output.writeListEnd();
     output.writeFieldEnd();
   }
+  if (this.geospatial_statistics !== null && this.geospatial_statistics !== undefined) {
+    output.writeFieldBegin('geospatial_statistics', Thrift.Type.STRUCT, 17);
+    this.geospatial_statistics.write(output);
+    output.writeFieldEnd();
+  }
   output.writeFieldStop();
   output.writeStructEnd();
   return;
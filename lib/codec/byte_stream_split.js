@@ -0,0 +1,63 @@
+'use strict';
+const parquet_codec_plain = require('./plain');
+
+function getValueSize(type, opts) {
+  switch (type) {
+
+    case 'INT32':
+    case 'FLOAT':
+      return 4;
+
+    case 'INT64':
+    case 'DOUBLE':
+      return 8;
+
+    case 'FIXED_LEN_BYTE_ARRAY':
+      if (!opts.typeLength) {
+        throw "missing option: typeLength (required for FIXED_LEN_BYTE_ARRAY)";
+      }
+
+      return opts.typeLength;
+
+    default:
+      throw 'unsupported type: ' + type;
+
+  }
+}
+
+/**
+ * Encode values by scattering the k-th byte of each PLAIN encoded value into
+ * the k-th of valueSize byte streams and concatenating the streams
+ */
+exports.encodeValues = function(type, values, opts) {
+  const valueSize = getValueSize(type, opts);
+  const plainBuf = parquet_codec_plain.encodeValues(type, values.slice(), opts);
+  const count = plainBuf.length / valueSize;
+
+  let buf = Buffer.alloc(plainBuf.length);
+  for (let i = 0; i < count; ++i) {
+    for (let k = 0; k < valueSize; ++k) {
+      buf[k * count + i] = plainBuf[i * valueSize + k];
+    }
+  }
+
+  return buf;
+};
+
+exports.decodeValues = function(type, cursor, count, opts) {
+  const valueSize = getValueSize(type, opts);
+
+  if (cursor.offset + count * valueSize > cursor.buffer.length) {
+    throw 'invalid BYTE_STREAM_SPLIT encoding';
+  }
+
+  let plainBuf = Buffer.alloc(count * valueSize);
+  for (let i = 0; i < count; ++i) {
+    for (let k = 0; k < valueSize; ++k) {
+      plainBuf[i * valueSize + k] = cursor.buffer[cursor.offset + k * count + i];
+    }
+  }
+
+  cursor.offset += count * valueSize;
+  return parquet_codec_plain.decodeValues(type, { buffer: plainBuf, offset: 0 }, count, opts);
+};
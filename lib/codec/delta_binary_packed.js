@@ -0,0 +1,411 @@
+'use strict';
+const varint = require('varint');
+const parquet_util = require('../util');
+
+/**
+ * Number of values per block and number of miniblocks per block used when
+ * encoding. Each miniblock holds 32 values
+ */
+const DELTA_BLOCK_SIZE = 128;
+const DELTA_MINIBLOCK_COUNT = 4;
+
+function encodeZigZag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function decodeZigZag(value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+/* zigzag and varint encoding of 64 bit integers (as BigInts) */
+function encodeZigZag64(value) {
+  return BigInt.asUintN(64, (value << 1n) ^ (value >> 63n));
+}
+
+function decodeZigZag64(value) {
+  return BigInt.asIntN(64, (value >> 1n) ^ -(value & 1n));
+}
+
+function encodeVarint64(value) {
+  let bytes = [];
+  do {
+    let b = Number(value & 0x7fn);
+    value >>= 7n;
+    bytes.push(value > 0n ? b | 0x80 : b);
+  } while (value > 0n);
+
+  return Buffer.from(bytes);
+}
+
+function getBitWidth(value) {
+  let bitWidth = 0;
+  while (value >= 1) {
+    value = Math.floor(value / 2);
+    ++bitWidth;
+  }
+
+  return bitWidth;
+}
+
+/**
+ * Bit-pack non-negative integers (of up to 53 bits) into a buffer, least
+ * significant bit first
+ */
+function encodeBitpacked(values, bitWidth) {
+  let buf = Buffer.alloc(Math.ceil(bitWidth * values.length / 8));
+  let bit = 0;
+
+  for (let value of values) {
+    let lo = value % 0x100000000;
+    let hi = Math.floor(value / 0x100000000);
+
+    for (let b = 0; b < bitWidth; ++b, ++bit) {
+      const set = b < 32 ? (lo >>> b) & 1 : (hi >>> (b - 32)) & 1;
+      if (set) {
+        buf[bit >>> 3] |= (1 << (bit & 7));
+      }
+    }
+  }
+
+  return buf;
+}
+
+/**
+ * Bit-pack non-negative 64 bit integers (as BigInts). Values of up to 52 bits
+ * use the faster number based implementation
+ */
+function encodeBitpacked64(values, bitWidth) {
+  if (bitWidth <= 52) {
+    return encodeBitpacked(values.map(Number), bitWidth);
+  }
+
+  let buf = Buffer.alloc(Math.ceil(bitWidth * values.length / 8));
+  let bit = 0;
+
+  for (let value of values) {
+    for (let b = 0; b < bitWidth; ++b, ++bit) {
+      if ((value >> BigInt(b)) & 1n) {
+        buf[bit >>> 3] |= (1 << (bit & 7));
+      }
+    }
+  }
+
+  return buf;
+}
+
+function decodeBitpacked(cursor, count, bitWidth) {
+  let values = new Array(count);
+  let bit = 0;
+
+  for (let i = 0; i < count; ++i) {
+    let value = 0;
+    for (let b = 0; b < bitWidth; ++b, ++bit) {
+      if (cursor.buffer[cursor.offset + (bit >>> 3)] & (1 << (bit & 7))) {
+        value += Math.pow(2, b);
+      }
+    }
+
+    values[i] = value;
+  }
+
+  cursor.offset += Math.ceil(bitWidth * count / 8);
+  return values;
+}
+
+function decodeBitpacked64(cursor, count, bitWidth) {
+  if (bitWidth <= 52) {
+    return decodeBitpacked(cursor, count, bitWidth).map(BigInt);
+  }
+
+  let values = new Array(count);
+  let bit = 0;
+
+  for (let i = 0; i < count; ++i) {
+    let value = 0n;
+    for (let b = 0; b < bitWidth; ++b, ++bit) {
+      if (cursor.buffer[cursor.offset + (bit >>> 3)] & (1 << (bit & 7))) {
+        value |= 1n << BigInt(b);
+      }
+    }
+
+    values[i] = value;
+  }
+
+  cursor.offset += Math.ceil(bitWidth * count / 8);
+  return values;
+}
+
+function encodeBlock(deltas, miniblockSize, wrap32) {
+  let minDelta = deltas[0];
+  for (let d of deltas) {
+    if (d < minDelta) {
+      minDelta = d;
+    }
+  }
+
+  let bitWidths = Buffer.alloc(DELTA_MINIBLOCK_COUNT);
+  let miniblocks = [];
+
+  for (let m = 0; m * miniblockSize < deltas.length; ++m) {
+    let miniblock = deltas
+        .slice(m * miniblockSize, (m + 1) * miniblockSize)
+        .map(d => wrap32 ? (d - minDelta) >>> 0 : d - minDelta);
+
+    /* the last miniblock is padded to its full size */
+    while (miniblock.length < miniblockSize) {
+      miniblock.push(0);
+    }
+
+    let bitWidth = getBitWidth(Math.max.apply(null, miniblock));
+    bitWidths[m] = bitWidth;
+    miniblocks.push(encodeBitpacked(miniblock, bitWidth));
+  }
+
+  return Buffer.concat([
+    Buffer.from(varint.encode(encodeZigZag(minDelta))),
+    bitWidths
+  ].concat(miniblocks));
+}
+
+function encodeBlock64(deltas, miniblockSize) {
+  let minDelta = deltas[0];
+  for (let d of deltas) {
+    if (d < minDelta) {
+      minDelta = d;
+    }
+  }
+
+  let bitWidths = Buffer.alloc(DELTA_MINIBLOCK_COUNT);
+  let miniblocks = [];
+
+  for (let m = 0; m * miniblockSize < deltas.length; ++m) {
+    let miniblock = deltas
+        .slice(m * miniblockSize, (m + 1) * miniblockSize)
+        .map(d => BigInt.asUintN(64, d - minDelta));
+
+    /* the last miniblock is padded to its full size */
+    while (miniblock.length < miniblockSize) {
+      miniblock.push(0n);
+    }
+
+    let max = 0n;
+    for (let d of miniblock) {
+      if (d > max) {
+        max = d;
+      }
+    }
+
+    let bitWidth = max === 0n ? 0 : max.toString(2).length;
+    bitWidths[m] = bitWidth;
+    miniblocks.push(encodeBitpacked64(miniblock, bitWidth));
+  }
+
+  return Buffer.concat([
+    encodeVarint64(encodeZigZag64(minDelta)),
+    bitWidths
+  ].concat(miniblocks));
+}
+
+/**
+ * Encode an array of integers using the DELTA_BINARY_PACKED encoding. This is
+ * also used by the DELTA_LENGTH_BYTE_ARRAY and DELTA_BYTE_ARRAY encodings to
+ * store lengths. If wrap32 is set, the deltas wrap around at 32 bits (as
+ * required for INT32 columns)
+ */
+function encodeDeltas(values, wrap32) {
+  const miniblockSize = DELTA_BLOCK_SIZE / DELTA_MINIBLOCK_COUNT;
+
+  let header = Buffer.concat([
+    Buffer.from(varint.encode(DELTA_BLOCK_SIZE)),
+    Buffer.from(varint.encode(DELTA_MINIBLOCK_COUNT)),
+    Buffer.from(varint.encode(values.length)),
+    Buffer.from(varint.encode(encodeZigZag(values.length > 0 ? values[0] : 0)))
+  ]);
+
+  let blocks = [];
+  for (let i = 1; i < values.length; i += DELTA_BLOCK_SIZE) {
+    let deltas = [];
+    for (let j = i; j < Math.min(i + DELTA_BLOCK_SIZE, values.length); ++j) {
+      const delta = values[j] - values[j - 1];
+      deltas.push(wrap32 ? delta | 0 : delta);
+    }
+
+    blocks.push(encodeBlock(deltas, miniblockSize, wrap32));
+  }
+
+  return Buffer.concat([header].concat(blocks));
+}
+
+/**
+ * Encode an array of 64 bit integers (numbers, BigInts or integer strings)
+ * using the DELTA_BINARY_PACKED encoding. The arithmetic is done using BigInts
+ * and wraps around at 64 bits
+ */
+function encodeDeltas64(values) {
+  const miniblockSize = DELTA_BLOCK_SIZE / DELTA_MINIBLOCK_COUNT;
+  values = values.map(v => BigInt.asIntN(64, BigInt(v)));
+
+  let header = Buffer.concat([
+    Buffer.from(varint.encode(DELTA_BLOCK_SIZE)),
+    Buffer.from(varint.encode(DELTA_MINIBLOCK_COUNT)),
+    Buffer.from(varint.encode(values.length)),
+    encodeVarint64(encodeZigZag64(values.length > 0 ? values[0] : 0n))
+  ]);
+
+  let blocks = [];
+  for (let i = 1; i < values.length; i += DELTA_BLOCK_SIZE) {
+    let deltas = [];
+    for (let j = i; j < Math.min(i + DELTA_BLOCK_SIZE, values.length); ++j) {
+      deltas.push(BigInt.asIntN(64, values[j] - values[j - 1]));
+    }
+
+    blocks.push(encodeBlock64(deltas, miniblockSize));
+  }
+
+  return Buffer.concat([header].concat(blocks));
+}
+
+function decodeVarint(cursor) {
+  const value = varint.decode(cursor.buffer, cursor.offset);
+  cursor.offset += varint.decode.bytes;
+  return value;
+}
+
+/**
+ * Decode an array of integers stored using the DELTA_BINARY_PACKED encoding.
+ * If wrap32 is set, the arithmetic wraps around at 32 bits (as required for
+ * INT32 columns)
+ */
+function decodeDeltas(cursor, wrap32) {
+  const blockSize = decodeVarint(cursor);
+  const miniblockCount = decodeVarint(cursor);
+  const count = decodeVarint(cursor);
+  const miniblockSize = blockSize / miniblockCount;
+
+  if (miniblockSize % 32 !== 0) {
+    throw 'invalid DELTA_BINARY_PACKED encoding';
+  }
+
+  let values = [];
+  let value = decodeZigZag(decodeVarint(cursor));
+  if (count > 0) {
+    values.push(value);
+  }
+
+  while (values.length < count) {
+    const minDelta = decodeZigZag(decodeVarint(cursor));
+    const bitWidths = cursor.buffer.slice(cursor.offset, cursor.offset + miniblockCount);
+    cursor.offset += miniblockCount;
+
+    for (let m = 0; m < miniblockCount && values.length < count; ++m) {
+      const deltas = decodeBitpacked(cursor, miniblockSize, bitWidths[m]);
+      for (let i = 0; i < deltas.length && values.length < count; ++i) {
+        value += minDelta + deltas[i];
+        if (wrap32) {
+          value = value | 0;
+        }
+
+        values.push(value);
+      }
+    }
+  }
+
+  return values;
+}
+
+function decodeVarint64(cursor) {
+  let value = 0n;
+  let shift = 0n;
+  let b;
+
+  do {
+    if (cursor.offset >= cursor.buffer.length) {
+      throw 'invalid DELTA_BINARY_PACKED encoding';
+    }
+
+    b = cursor.buffer[cursor.offset++];
+    value |= BigInt(b & 0x7f) << shift;
+    shift += 7n;
+  } while (b & 0x80);
+
+  return value;
+}
+
+/**
+ * Decode an array of 64 bit integers (as BigInts) stored using the
+ * DELTA_BINARY_PACKED encoding
+ */
+function decodeDeltas64(cursor) {
+  const blockSize = decodeVarint(cursor);
+  const miniblockCount = decodeVarint(cursor);
+  const count = decodeVarint(cursor);
+  const miniblockSize = blockSize / miniblockCount;
+
+  if (miniblockSize % 32 !== 0) {
+    throw 'invalid DELTA_BINARY_PACKED encoding';
+  }
+
+  let values = [];
+  let value = decodeZigZag64(decodeVarint64(cursor));
+  if (count > 0) {
+    values.push(value);
+  }
+
+  while (values.length < count) {
+    const minDelta = decodeZigZag64(decodeVarint64(cursor));
+    const bitWidths = cursor.buffer.slice(cursor.offset, cursor.offset + miniblockCount);
+    cursor.offset += miniblockCount;
+
+    for (let m = 0; m < miniblockCount && values.length < count; ++m) {
+      const deltas = decodeBitpacked64(cursor, miniblockSize, bitWidths[m]);
+      for (let i = 0; i < deltas.length && values.length < count; ++i) {
+        value = BigInt.asIntN(64, value + minDelta + deltas[i]);
+        values.push(value);
+      }
+    }
+  }
+
+  return values;
+}
+
+exports.encodeValues = function(type, values, opts) {
+  switch (type) {
+
+    case 'INT32':
+      return encodeDeltas(values, true);
+
+    case 'INT64':
+      return encodeDeltas64(values);
+
+    default:
+      throw 'unsupported type: ' + type;
+
+  }
+};
+
+exports.decodeValues = function(type, cursor, count, opts) {
+  let values;
+  switch (type) {
+
+    case 'INT32':
+      values = decodeDeltas(cursor, true);
+      break;
+
+    case 'INT64':
+      values = decodeDeltas64(cursor).map(v => parquet_util.fromInt64(v, opts && opts.int64As));
+      break;
+
+    default:
+      throw 'unsupported type: ' + type;
+
+  }
+
+  if (values.length !== count) {
+    throw 'invalid DELTA_BINARY_PACKED encoding';
+  }
+
+  return values;
+};
+
+exports.encodeDeltas = encodeDeltas;
+exports.decodeDeltas = decodeDeltas;
@@ -0,0 +1,92 @@
+'use strict';
+const parquet_codec_delta = require('./delta_binary_packed');
+const parquet_codec_delta_length = require('./delta_length_byte_array');
+
+/**
+ * Encode byte arrays as the lengths of the prefixes shared with the previous
+ * value (DELTA_BINARY_PACKED) followed by the remaining suffixes
+ * (DELTA_LENGTH_BYTE_ARRAY)
+ */
+function encodeIncremental(values) {
+  let prefixLengths = [];
+  let suffixes = [];
+  let prev = Buffer.alloc(0);
+
+  for (let value of values) {
+    let len = 0;
+    const maxLen = Math.min(prev.length, value.length);
+    while (len < maxLen && prev[len] === value[len]) {
+      ++len;
+    }
+
+    prefixLengths.push(len);
+    suffixes.push(value.slice(len));
+    prev = value;
+  }
+
+  return Buffer.concat([
+    parquet_codec_delta.encodeDeltas(prefixLengths, true),
+    parquet_codec_delta_length.encodeByteArrays(suffixes)
+  ]);
+}
+
+function decodeIncremental(cursor) {
+  let prefixLengths = parquet_codec_delta.decodeDeltas(cursor, true);
+  let suffixes = parquet_codec_delta_length.decodeByteArrays(cursor);
+
+  if (prefixLengths.length !== suffixes.length) {
+    throw 'invalid DELTA_BYTE_ARRAY encoding';
+  }
+
+  let values = [];
+  let prev = Buffer.alloc(0);
+  for (let i = 0; i < prefixLengths.length; ++i) {
+    if (prefixLengths[i] < 0 || prefixLengths[i] > prev.length) {
+      throw 'invalid DELTA_BYTE_ARRAY encoding';
+    }
+
+    prev = Buffer.concat([prev.slice(0, prefixLengths[i]), suffixes[i]]);
+    values.push(prev);
+  }
+
+  return values;
+}
+
+exports.encodeValues = function(type, values, opts) {
+  switch (type) {
+
+    case 'BYTE_ARRAY':
+      return encodeIncremental(parquet_codec_delta_length.toBuffers(values, {}));
+
+    case 'FIXED_LEN_BYTE_ARRAY':
+      if (!opts.typeLength) {
+        throw "missing option: typeLength (required for FIXED_LEN_BYTE_ARRAY)";
+      }
+
+      return encodeIncremental(parquet_codec_delta_length.toBuffers(values, opts));
+
+    default:
+      throw 'unsupported type: ' + type;
+
+  }
+};
+
+exports.decodeValues = function(type, cursor, count, opts) {
+  switch (type) {
+
+    case 'BYTE_ARRAY':
+    case 'FIXED_LEN_BYTE_ARRAY':
+      break;
+
+    default:
+      throw 'unsupported type: ' + type;
+
+  }
+
+  let values = decodeIncremental(cursor);
+  if (values.length !== count) {
+    throw 'invalid DELTA_BYTE_ARRAY encoding';
+  }
+
+  return values;
+};
@@ -0,0 +1,82 @@
+'use strict';
+const parquet_codec_delta = require('./delta_binary_packed');
+
+function toBuffers(values, opts) {
+  return values.map(v => {
+    v = Buffer.from(v);
+    if (opts.typeLength && v.length !== opts.typeLength) {
+      throw "invalid value for FIXED_LEN_BYTE_ARRAY: " + v;
+    }
+
+    return v;
+  });
+}
+
+/**
+ * Encode byte arrays as a DELTA_BINARY_PACKED list of lengths followed by the
+ * concatenated data
+ */
+function encodeByteArrays(values) {
+  return Buffer.concat([
+    parquet_codec_delta.encodeDeltas(values.map(v => v.length), true)
+  ].concat(values));
+}
+
+function decodeByteArrays(cursor) {
+  let lengths = parquet_codec_delta.decodeDeltas(cursor, true);
+  let values = [];
+
+  for (let len of lengths) {
+    if (len < 0 || cursor.offset + len > cursor.buffer.length) {
+      throw 'invalid DELTA_LENGTH_BYTE_ARRAY encoding';
+    }
+
+    values.push(cursor.buffer.slice(cursor.offset, cursor.offset + len));
+    cursor.offset += len;
+  }
+
+  return values;
+}
+
+exports.encodeValues = function(type, values, opts) {
+  switch (type) {
+
+    case 'BYTE_ARRAY':
+      return encodeByteArrays(toBuffers(values, {}));
+
+    case 'FIXED_LEN_BYTE_ARRAY':
+      if (!opts.typeLength) {
+        throw "missing option: typeLength (required for FIXED_LEN_BYTE_ARRAY)";
+      }
+
+      return encodeByteArrays(toBuffers(values, opts));
+
+    default:
+      throw 'unsupported type: ' + type;
+
+  }
+};
+
+exports.decodeValues = function(type, cursor, count, opts) {
+  switch (type) {
+
+    case 'BYTE_ARRAY':
+    case 'FIXED_LEN_BYTE_ARRAY':
+      break;
+
+    default:
+      throw 'unsupported type: ' + type;
+
+  }
+
+  let values = decodeByteArrays(cursor);
+  if (values.length !== count) {
+    throw 'invalid DELTA_LENGTH_BYTE_ARRAY encoding';
+  }
+
+  return values;
+};
+
+exports.toBuffers = toBuffers;
+exports.encodeByteArrays = encodeByteArrays;
+exports.decodeByteArrays = decodeByteArrays;
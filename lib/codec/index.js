@@ -1,4 +1,8 @@
 module.exports.PLAIN = require('./plain');
 module.exports.RLE = require('./rle');
 module.exports.PLAIN_DICTIONARY = require('./plain_dictionary');
-
+module.exports.RLE_DICTIONARY = require('./plain_dictionary');
+module.exports.DELTA_BINARY_PACKED = require('./delta_binary_packed');
+module.exports.DELTA_LENGTH_BYTE_ARRAY = require('./delta_length_byte_array');
+module.exports.DELTA_BYTE_ARRAY = require('./delta_byte_array');
+module.exports.BYTE_STREAM_SPLIT = require('./byte_stream_split');
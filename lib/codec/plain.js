@@ -1,6 +1,7 @@
 'use strict';
 const INT53 = require('int53')
 const parquet_thrift = require('../../gen-nodejs/parquet_types')
+const parquet_util = require('../util')
 
 function encodeValues_BOOLEAN(values) {
   let buf = new Buffer(Math.ceil(values.length / 8));
@@ -50,28 +51,45 @@ function decodeValues_INT32(cursor, count) {
 function encodeValues_INT64(values) {
   let buf = new Buffer(8 * values.length);
   for (let i = 0; i < values.length; i++) {
-    INT53.writeInt64LE(values[i], buf, i * 8);
+    if (Number.isSafeInteger(values[i])) {
+      INT53.writeInt64LE(values[i], buf, i * 8);
+    } else {
+      buf.writeBigInt64LE(BigInt.asIntN(64, BigInt(values[i])), i * 8);
+    }
   }
 
   return buf;
 }
 
-function decodeValues_INT64(cursor, count) {
+function decodeValues_INT64(cursor, count, opts) {
   let values = [];
+  const int64As = opts && opts.int64As;
 
+  /* values outside of the safe integer range are rounded to the nearest
+   * number unless they are returned as bigints or strings */
   for (let i = 0; i < count; ++i) {
-    values.push(INT53.readInt64LE(cursor.buffer, cursor.offset));
+    values.push(parquet_util.fromInt64(cursor.buffer.readBigInt64LE(cursor.offset), int64As));
     cursor.offset += 8;
   }
 
   return values;
 }
 
+/**
+ * INT96 values are either given as raw 12 byte buffers (e.g. timestamps) or
+ * as integers that are truncated to 64 bits
+ */
 function encodeValues_INT96(values) {
   let buf = new Buffer(12 * values.length);
 
   for (let i = 0; i < values.length; i++) {
-    if (values[i] >= 0) {
+    if (Buffer.isBuffer(values[i])) {
+      if (values[i].length !== 12) {
+        throw 'invalid value for INT96: ' + values[i];
+      }
+
+      values[i].copy(buf, i * 12);
+    } else if (values[i] >= 0) {
       INT53.writeInt64LE(values[i], buf, i * 12);
       buf.writeUInt32LE(0, i * 12 + 8); // truncate to 64 actual precision
     } else {
@@ -83,10 +101,16 @@ function encodeValues_INT96(values) {
   return buf;
 }
 
-function decodeValues_INT96(cursor, count) {
+function decodeValues_INT96(cursor, count, opts) {
   let values = [];
 
   for (let i = 0; i < count; ++i) {
+    if (opts && opts.int96As === 'buffer') {
+      values.push(cursor.buffer.slice(cursor.offset, cursor.offset + 12));
+      cursor.offset += 12;
+      continue;
+    }
+
     const low = INT53.readInt64LE(cursor.buffer, cursor.offset);
     const high = cursor.buffer.readUInt32LE(cursor.offset + 8);
 
@@ -251,10 +275,10 @@ exports.decodeValues = function(type, cursor, count, opts) {
       return decodeValues_INT32(cursor, count);
 
     case 'INT64':
-      return decodeValues_INT64(cursor, count);
+      return decodeValues_INT64(cursor, count, opts);
 
     case 'INT96':
-      return decodeValues_INT96(cursor, count);
+      return decodeValues_INT96(cursor, count, opts);
 
     case 'FLOAT':
       return decodeValues_FLOAT(cursor, count);
@@ -4,4 +4,13 @@ exports.decodeValues = function(type, cursor, count, opts) {
   opts.bitWidth = cursor.buffer.slice(cursor.offset, cursor.offset+1).readInt8();
   cursor.offset += 1;
   return rle.decodeValues(type, cursor, count, Object.assign({}, opts, {disableEnvelope: true}));
-};
\ No newline at end of file
+};
+
+exports.encodeValues = function(type, values, opts) {
+  let bitWidth = Buffer.alloc(1);
+  bitWidth.writeInt8(opts.bitWidth);
+  return Buffer.concat([
+    bitWidth,
+    rle.encodeValues('INT32', values, Object.assign({}, opts, {disableEnvelope: true}))
+  ]);
+};
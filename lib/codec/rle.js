@@ -1,4 +1,5 @@
 const varint = require('varint')
+const parquet_util = require('../util')
 
 function encodeRunBitpacked(values, opts) {
   for (let i = 0; i < values.length % 8; i++) {
@@ -23,7 +24,7 @@ function encodeRunRepeated(value, count, opts) {
 
   for (let i = 0; i < buf.length; ++i) {
     buf.writeUInt8(value & 0xff, i);
-    value >> 8;
+    value = value >> 8;
   }
 
   return Buffer.concat([
@@ -111,8 +112,7 @@ function decodeRunBitpacked(cursor, count, opts) {
 function decodeRunRepeated(cursor, count, opts) {
   let value = 0;
   for (let i = 0; i < Math.ceil(opts.bitWidth / 8); ++i) {
-    value << 8;
-    value += cursor.buffer[cursor.offset];
+    value += cursor.buffer[cursor.offset] * Math.pow(2, 8 * i);
     cursor.offset += 1;
   }
 
@@ -150,5 +150,9 @@ exports.decodeValues = function(type, cursor, count, opts) {
     throw "invalid RLE encoding";
   }
 
+  if (type === 'INT64' && opts.int64As && opts.int64As !== 'number') {
+    values = values.map(v => parquet_util.fromInt64(BigInt(v), opts.int64As));
+  }
+
   return values;
 };
\ No newline at end of file
@@ -1,8 +1,23 @@
 'use strict';
+const util = require('util');
 const zlib = require('zlib');
 const snappy = require('snappyjs');
 const lzo = require('lzo');
 const brotli = require('brotli');
+const parquet_thrift = require('../gen-nodejs/parquet_types');
+
+/* zstd-napi is a native module and an optional dependency; it is loaded on
+ * first use like lz4js so that the other compression methods work wherever it
+ * is not installed */
+const zstd = lazyRequire('zstd-napi', 'ZSTD');
+const lz4 = lazyRequire('lz4js', 'LZ4');
+
+const gzip = util.promisify(zlib.gzip);
+const gunzip = util.promisify(zlib.gunzip);
+
+const PARQUET_COMPRESSION_ZSTD_DEFAULT_LEVEL = 3;
+const PARQUET_COMPRESSION_BROTLI_DEFAULT_QUALITY = 8;
+const PARQUET_COMPRESSION_LZ4_FRAME_MAGIC = 0x184D2204;
 
 const PARQUET_COMPRESSION_METHODS = {
   'UNCOMPRESSED': {
@@ -24,26 +39,62 @@ const PARQUET_COMPRESSION_METHODS = {
   'BROTLI': {
     deflate: deflate_brotli,
     inflate: inflate_brotli
+  },
+  'ZSTD': {
+    deflate: deflate_zstd,
+    inflate: inflate_zstd
+  },
+  'LZ4': {
+    deflate: deflate_lz4,
+    inflate: inflate_lz4
+  },
+  'LZ4_RAW': {
+    deflate: deflate_lz4_raw,
+    inflate: inflate_lz4_raw
   }
 };
 
 /**
- * Deflate a value using compression method `method`
+ * Register a compression method. The codec must provide a `deflate(value, opts)`
+ * and an `inflate(value)` method that return a buffer or a promise of a buffer.
+ * The method must be one of the parquet compression codecs; registering a
+ * method that already exists replaces its implementation
+ */
+function registerCompression(method, codec) {
+  if (!(method in parquet_thrift.CompressionCodec)) {
+    throw 'invalid compression method: ' + method;
+  }
+
+  if (!codec ||
+      typeof codec.deflate !== 'function' ||
+      typeof codec.inflate !== 'function') {
+    throw 'invalid compression codec for method: ' + method;
+  }
+
+  PARQUET_COMPRESSION_METHODS[method] = {
+    deflate: codec.deflate,
+    inflate: codec.inflate
+  };
+}
+
+/**
+ * Deflate a value using compression method `method`. The (optional) `opts`
+ * are passed to the compression method, e.g. to set the compression `level`
  */
-function deflate(method, value) {
+async function deflate(method, value, opts) {
   if (!(method in PARQUET_COMPRESSION_METHODS)) {
     throw 'invalid compression method: ' + method;
   }
 
-  return PARQUET_COMPRESSION_METHODS[method].deflate(value);
+  return toBuffer(await PARQUET_COMPRESSION_METHODS[method].deflate(value, opts || {}));
 }
 
 function deflate_identity(value) {
   return value;
 }
 
-function deflate_gzip(value) {
-  return zlib.gzipSync(value);
+function deflate_gzip(value, opts) {
+  return gzip(value, opts);
 }
 
 function deflate_snappy(value) {
@@ -54,23 +105,70 @@ function deflate_lzo(value) {
   return lzo.compress(value);
 }
 
-function deflate_brotli(value) {
+function deflate_brotli(value, opts) {
   return new Buffer(brotli.compress(value, {
     mode: 0,
-    quality: 8,
+    quality: opts.level === undefined ?
+        PARQUET_COMPRESSION_BROTLI_DEFAULT_QUALITY :
+        opts.level,
     lgwin: 22
   }));
 }
 
+/**
+ * The (deprecated) LZ4 codec uses the Hadoop framing: each LZ4 block is
+ * prefixed with its uncompressed and compressed size (as big endian 32 bit
+ * integers)
+ */
+function deflate_lz4(value) {
+  const block = deflate_lz4_raw(value);
+  let header = Buffer.alloc(8);
+  header.writeUInt32BE(value.length, 0);
+  header.writeUInt32BE(block.length, 4);
+  return Buffer.concat([header, block]);
+}
+
+function deflate_lz4_raw(value) {
+  let buf = Buffer.alloc(lz4().compressBound(value.length));
+  let len = lz4().compressBlock(value, buf, 0, value.length, new Uint32Array(1 << 16));
+
+  /* the input could not be compressed, store it as a single literal run */
+  if (len === 0) {
+    let pos = 0;
+    if (value.length >= 15) {
+      buf[pos++] = 0xf0;
+      let n = value.length - 15;
+      for (; n >= 255; n -= 255) {
+        buf[pos++] = 255;
+      }
+      buf[pos++] = n;
+    } else {
+      buf[pos++] = value.length << 4;
+    }
+
+    len = pos + value.copy(buf, pos);
+  }
+
+  return buf.slice(0, len);
+}
+
+function deflate_zstd(value, opts) {
+  return zstd().compress(value, {
+    compressionLevel: opts.level === undefined ?
+        PARQUET_COMPRESSION_ZSTD_DEFAULT_LEVEL :
+        opts.level
+  });
+}
+
 /**
  * Inflate a value using compression method `method`
  */
-function inflate(method, value) {
+async function inflate(method, value) {
   if (!(method in PARQUET_COMPRESSION_METHODS)) {
     throw 'invalid compression method: ' + method;
   }
 
-  return PARQUET_COMPRESSION_METHODS[method].inflate(value);
+  return toBuffer(await PARQUET_COMPRESSION_METHODS[method].inflate(value));
 }
 
 function inflate_identity(value) {
@@ -78,7 +176,7 @@ function inflate_identity(value) {
 }
 
 function inflate_gzip(value) {
-  return zlib.gunzipSync(value);
+  return gunzip(value);
 }
 
 function inflate_snappy(value) {
@@ -93,5 +191,169 @@ function inflate_brotli(value) {
   return new Buffer(brotli.decompress(value));
 }
 
-module.exports = { PARQUET_COMPRESSION_METHODS, deflate, inflate };
+function inflate_zstd(value) {
+  return zstd().decompress(value);
+}
+
+/**
+ * Files labeled as LZ4 are either written using the Hadoop framing, as raw
+ * LZ4 blocks (older versions of parquet-cpp) or as LZ4 frames. Like other
+ * readers, try the Hadoop framing first and fall back to the other formats
+ */
+function inflate_lz4(value) {
+  const hadoop = inflate_lz4_hadoop(value);
+  if (hadoop) {
+    return hadoop;
+  }
+
+  if (value.length >= 4 && value.readUInt32LE(0) === PARQUET_COMPRESSION_LZ4_FRAME_MAGIC) {
+    return Buffer.from(lz4().decompress(value));
+  }
+
+  return inflate_lz4_raw(value);
+}
+
+function inflate_lz4_hadoop(value) {
+  let blocks = [];
+  let pos = 0;
+
+  while (pos < value.length) {
+    if (pos + 8 > value.length) {
+      return null;
+    }
+
+    const uncompressedSize = value.readUInt32BE(pos);
+    const compressedSize = value.readUInt32BE(pos + 4);
+    pos += 8;
+
+    if (pos + compressedSize > value.length) {
+      return null;
+    }
+
+    const block = value.slice(pos, pos + compressedSize);
+    if (getLz4BlockSize(block) !== uncompressedSize) {
+      return null;
+    }
+
+    blocks.push(decompressLz4Block(block, uncompressedSize));
+    pos += compressedSize;
+  }
+
+  return blocks.length > 0 ? Buffer.concat(blocks) : null;
+}
+
+function inflate_lz4_raw(value) {
+  const size = getLz4BlockSize(value);
+  if (size < 0) {
+    throw 'invalid LZ4 block';
+  }
+
+  return decompressLz4Block(value, size);
+}
+
+function decompressLz4Block(block, size) {
+  let buf = Buffer.alloc(size);
+  lz4().decompressBlock(block, buf, 0, block.length, 0);
+  return buf;
+}
+
+/**
+ * Returns the uncompressed size of a raw LZ4 block or -1 if the block is
+ * malformed
+ */
+function getLz4BlockSize(block) {
+  let pos = 0;
+  let size = 0;
+
+  while (pos < block.length) {
+    const token = block[pos++];
+
+    let literals = token >> 4;
+    if (literals === 15) {
+      let b;
+      do {
+        if (pos >= block.length) {
+          return -1;
+        }
+
+        b = block[pos++];
+        literals += b;
+      } while (b === 255);
+    }
+
+    pos += literals;
+    size += literals;
+
+    if (pos > block.length) {
+      return -1;
+    }
+
+    /* the last sequence only contains literals */
+    if (pos === block.length) {
+      break;
+    }
+
+    if (pos + 2 > block.length) {
+      return -1;
+    }
+
+    const offset = block[pos] | (block[pos + 1] << 8);
+    pos += 2;
+
+    if (offset === 0 || offset > size) {
+      return -1;
+    }
+
+    let matchLength = token & 15;
+    if (matchLength === 15) {
+      let b;
+      do {
+        if (pos >= block.length) {
+          return -1;
+        }
+
+        b = block[pos++];
+        matchLength += b;
+      } while (b === 255);
+    }
+
+    size += matchLength + 4;
+  }
+
+  return size;
+}
+
+function toBuffer(value) {
+  return Buffer.isBuffer(value) ? value : Buffer.from(value);
+}
+
+/**
+ * Returns a function that loads the module name, which implements compression
+ * method `method`, when it is first called
+ */
+function lazyRequire(name, method) {
+  let loaded = null;
+  return () => {
+    if (!loaded) {
+      try {
+        loaded = require(name);
+      } catch (e) {
+        if (e.code === 'MODULE_NOT_FOUND') {
+          throw 'install ' + name + ' for ' + method + ' compression';
+        }
+
+        throw e;
+      }
+    }
+
+    return loaded;
+  };
+}
+
+module.exports = {
+  PARQUET_COMPRESSION_METHODS,
+  registerCompression,
+  deflate,
+  inflate
+};
 
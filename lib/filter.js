@@ -0,0 +1,369 @@
+'use strict';
+const parquet_types = require('./types');
+const parquet_shredder = require('./shred');
+const parquet_geo = require('./geo');
+
+const PARQUET_FILTER_PATH_SEPARATOR = '.';
+
+/**
+ * Supported filter operators. `test` is evaluated against a single value of
+ * a materialized record, `mayMatch` against the [min, max] range of a row
+ * group or page and must only return false if no value in the range can
+ * satisfy the predicate. Both receive the comparison function of the column.
+ * Operators on geospatial columns use `mayMatchBoundingBox` instead, which is
+ * evaluated against the bounding box of a column chunk
+ */
+const PARQUET_FILTER_OPERATORS = {
+  'eq': {
+    test: (v, x, cmp) => cmp(v, x) === 0,
+    mayMatch: (min, max, x, cmp) => cmp(min, x) <= 0 && cmp(max, x) >= 0
+  },
+  'ne': {
+    test: (v, x, cmp) => cmp(v, x) !== 0,
+    mayMatch: (min, max, x, cmp) => cmp(min, x) !== 0 || cmp(max, x) !== 0
+  },
+  'gt': {
+    test: (v, x, cmp) => cmp(v, x) > 0,
+    mayMatch: (min, max, x, cmp) => cmp(max, x) > 0
+  },
+  'gte': {
+    test: (v, x, cmp) => cmp(v, x) >= 0,
+    mayMatch: (min, max, x, cmp) => cmp(max, x) >= 0
+  },
+  'lt': {
+    test: (v, x, cmp) => cmp(v, x) < 0,
+    mayMatch: (min, max, x, cmp) => cmp(min, x) < 0
+  },
+  'lte': {
+    test: (v, x, cmp) => cmp(v, x) <= 0,
+    mayMatch: (min, max, x, cmp) => cmp(min, x) <= 0
+  },
+  'in': {
+    test: (v, x, cmp) => x.some(d => cmp(v, d) === 0),
+    mayMatch: (min, max, x, cmp) => x.some(d => cmp(min, d) <= 0 && cmp(max, d) >= 0)
+  },
+  /* geospatial values have no min/max value but a bounding box */
+  'intersects': {
+    test: (v, x, cmp, field) => {
+      const bbox = parquet_geo.getBoundingBox(
+          Buffer.isBuffer(v) ? parquet_geo.decodeWKB(v) : v,
+          field.originalType === 'GEOGRAPHY');
+
+      return !!bbox && parquet_geo.intersects(bbox, x);
+    },
+    mayMatch: () => true,
+    mayMatchBoundingBox: (bbox, x) => parquet_geo.intersects(bbox, x)
+  }
+};
+
+/**
+ * A filter expression that is used to skip row groups and pages based on
+ * their statistics and to drop non-matching rows after materialization.
+ *
+ * The expression is an object mapping column paths (nested fields are
+ * separated by a dot) to either a value or an object of operators, e.g.
+ *
+ *   { price: { gt: 10 }, name: { in: ['apple'] }, 'stock.warehouse': 'A' }
+ *
+ * All predicates must be satisfied for a row to match. For repeated fields
+ * it is sufficient that one of the values satisfies the predicate. Null
+ * values never match.
+ *
+ * GEOMETRY and GEOGRAPHY columns only support the intersects operator, which
+ * matches values whose bounding box intersects the given envelope, e.g.
+ *
+ *   { location: { intersects: { xmin: 13, ymin: 52, xmax: 14, ymax: 53 } } }
+ */
+class ParquetFilter {
+
+  /**
+   * Create a new filter from a filter expression
+   */
+  constructor(schema, where) {
+    this.predicates = [];
+
+    for (let key in where) {
+      const path = key.split(PARQUET_FILTER_PATH_SEPARATOR);
+      const field = findLeafField(schema, path);
+      if (!field) {
+        throw 'invalid filter column: ' + key;
+      }
+
+      let ops = where[key];
+      if (!isOperatorObject(ops)) {
+        ops = { eq: ops };
+      }
+
+      for (let op in ops) {
+        if (!(op in PARQUET_FILTER_OPERATORS)) {
+          throw 'invalid filter operator: ' + op;
+        }
+
+        if (op === 'in' && !Array.isArray(ops[op])) {
+          throw 'value for filter operator in must be an array';
+        }
+
+        if ((op === 'intersects') !== isGeospatial(field)) {
+          throw 'invalid filter operator for ' + (field.originalType || field.primitiveType) + ': ' + op;
+        }
+
+        if (op === 'intersects' && !isBoundingBox(ops[op])) {
+          throw 'value for filter operator intersects must be a bounding box';
+        }
+
+        this.predicates.push({
+          path: path,
+          branch: schema.findFieldBranch(path.slice()),
+          key: path.join(','),
+          operator: PARQUET_FILTER_OPERATORS[op],
+          compare: getCompareFunction(field),
+          field: field,
+          value: ops[op]
+        });
+      }
+    }
+
+    this.columns = [];
+    for (let predicate of this.predicates) {
+      /* map values can only be materialized together with their keys */
+      let paths = predicate.branch
+          .filter(f => f.originalType === 'MAP' && parquet_shredder.getMapFields(f))
+          .map(f => parquet_shredder.getMapFields(f).key.path);
+
+      for (let path of paths.concat([predicate.path])) {
+        if (!this.columns.some(c => c.join(',') === path.join(','))) {
+          this.columns.push(path);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns true if any value in the range [min, max] of the column at path
+   * could satisfy the filter
+   */
+  matchRange(path, min, max) {
+    const key = path.join(',');
+    return this.predicates
+        .filter(p => p.key === key)
+        .every(p => p.operator.mayMatch(min, max, p.value, p.compare));
+  }
+
+  /**
+   * Returns true if any value in the bounding box of the column at path could
+   * satisfy the filter
+   */
+  matchBoundingBox(path, bbox) {
+    const key = path.join(',');
+    return this.predicates
+        .filter(p => p.key === key && p.operator.mayMatchBoundingBox)
+        .every(p => p.operator.mayMatchBoundingBox(bbox, p.value));
+  }
+
+  /**
+   * Returns false if the column chunk statistics of the row group prove that
+   * no row in the row group can match the filter
+   */
+  matchRowGroup(rowGroup) {
+    for (let colChunk of rowGroup.columns) {
+      const path = colChunk.meta_data.path_in_schema;
+      if (!this.hasColumn(path)) {
+        continue;
+      }
+
+      const geospatialStats = colChunk.meta_data.geospatial_statistics;
+      if (geospatialStats) {
+        if (geospatialStats.bbox && !this.matchBoundingBox(path, geospatialStats.bbox)) {
+          return false;
+        }
+
+        continue;
+      }
+
+      const stats = colChunk.meta_data.statistics;
+      if (!stats) {
+        continue;
+      }
+
+      if (stats.min_value === undefined || stats.max_value === undefined) {
+        /* a column chunk that only contains nulls can never match */
+        if (+stats.null_count > 0 && +stats.null_count >= +colChunk.meta_data.num_values) {
+          return false;
+        }
+
+        continue;
+      }
+
+      if (!this.matchRange(path, stats.min_value, stats.max_value)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns false if the column index proves that no row in the page with
+   * index pageNumber can match the filter
+   */
+  matchPage(path, columnIndex, pageNumber) {
+    if (columnIndex.null_pages && columnIndex.null_pages[pageNumber]) {
+      return false;
+    }
+
+    const min = columnIndex.min_values[pageNumber];
+    const max = columnIndex.max_values[pageNumber];
+
+    /* the min/max value of a page that is not a null page may be unknown,
+     * e.g. for empty strings */
+    if (min === undefined || max === undefined) {
+      return true;
+    }
+
+    return this.matchRange(path, min, max);
+  }
+
+  /**
+   * Returns true if the materialized record matches the filter
+   */
+  matchRecord(record) {
+    return this.predicates.every(p => {
+      return collectValues(record, p.branch).some(v => p.operator.test(v, p.value, p.compare, p.field));
+    });
+  }
+
+  /**
+   * Returns true if the filter has a predicate on the column at path
+   */
+  hasColumn(path) {
+    return this.columns.some(c => c.join(',') === path.join(','));
+  }
+
+};
+
+function findLeafField(schema, path) {
+  let fields = schema.fields;
+  let field;
+  for (let name of path) {
+    if (!fields || !(name in fields)) {
+      return null;
+    }
+
+    field = fields[name];
+    fields = field.fields;
+  }
+
+  return (field && !field.isNested) ? field : null;
+}
+
+/**
+ * Returns the comparison function for values of field. Types that can not be
+ * compared natively (e.g. DECIMAL or 64 bit integers) provide their own
+ */
+function getCompareFunction(field) {
+  const type = field.originalType || field.primitiveType;
+  const typeDef = parquet_types.PARQUET_LOGICAL_TYPES[type];
+
+  /* user-defined types are compared by their primitive values unless they
+   * provide a compare method; without a fromPrimitive method, their values
+   * are read as primitive values already */
+  if (typeDef && (typeDef.compare || (typeDef.custom && typeDef.fromPrimitive))) {
+    return (a, b) => parquet_types.compareValues(type, a, b, field);
+  }
+
+  return compareValues;
+}
+
+function isGeospatial(field) {
+  return field.originalType === 'GEOMETRY' || field.originalType === 'GEOGRAPHY';
+}
+
+function isBoundingBox(value) {
+  return !!value &&
+      ['xmin', 'ymin', 'xmax', 'ymax'].every(k => typeof value[k] === 'number');
+}
+
+function isOperatorObject(value) {
+  return !!value && value.constructor === Object;
+}
+
+/**
+ * Collect all non-null leaf values of the field branch, descending into
+ * repeated fields as well as materialized lists and maps
+ */
+function collectValues(record, branch) {
+  let values = [record];
+  for (let i = 0; i < branch.length; i++) {
+    let field = branch[i];
+    let next = [];
+    for (let v of values) {
+      if (v === null || v === undefined || typeof v !== 'object' || !(field.name in v)) {
+        continue;
+      }
+
+      const child = v[field.name];
+      if (Array.isArray(child) && !isListOrMap(field)) {
+        next = next.concat(child);
+      } else {
+        next.push(child);
+      }
+    }
+
+    /* the elements of lists and maps are not wrapped in their repeated
+     * groups, i.e. the next fields of the branch are skipped */
+    while (isListOrMap(field)) {
+      next = next.filter(v => v !== null && v !== undefined);
+
+      if (field.originalType === 'LIST') {
+        const list = parquet_shredder.getListFields(field);
+        i += (list.element === list.repeated) ? 1 : 2;
+        next = next.reduce((a, l) => a.concat(l), []);
+      } else {
+        const map = parquet_shredder.getMapFields(field);
+        i += 2;
+        const key = branch[i] && branch[i].name === map.key.name;
+        next = next.reduce((a, m) => a.concat(key ? [...m.keys()] : [...m.values()]), []);
+      }
+
+      field = branch[i];
+    }
+
+    values = next;
+  }
+
+  return values.filter(v => v !== null && v !== undefined);
+}
+
+function isListOrMap(field) {
+  return !!field &&
+      ((field.originalType === 'LIST' && !!parquet_shredder.getListFields(field)) ||
+      (field.originalType === 'MAP' && !!parquet_shredder.getMapFields(field)));
+}
+
+/**
+ * Compare two values of the same logical type. Strings and buffers are
+ * compared byte-wise since BYTE_ARRAY statistics may be decoded as either
+ */
+function compareValues(a, b) {
+  if (a instanceof Date) {
+    a = a.getTime();
+  }
+
+  if (b instanceof Date) {
+    b = b.getTime();
+  }
+
+  if (Buffer.isBuffer(a) || Buffer.isBuffer(b)) {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+  }
+
+  if (a < b) {
+    return -1;
+  } else if (a > b) {
+    return 1;
+  } else {
+    return 0;
+  }
+}
+
+module.exports = { ParquetFilter, PARQUET_FILTER_OPERATORS, compareValues };
@@ -0,0 +1,540 @@
+'use strict';
+
+/**
+ * Well-known binary (WKB) geometry type codes. The codes of geometries with Z,
+ * M or ZM coordinates are offset by 1000, 2000 or 3000 respectively
+ */
+const WKB_GEOMETRY_TYPES = {
+  'Point': 1,
+  'LineString': 2,
+  'Polygon': 3,
+  'MultiPoint': 4,
+  'MultiLineString': 5,
+  'MultiPolygon': 6,
+  'GeometryCollection': 7
+};
+
+const WKB_GEOMETRY_NAMES = Object.keys(WKB_GEOMETRY_TYPES);
+
+/**
+ * Edge interpolation algorithms of the GEOGRAPHY type
+ */
+const PARQUET_EDGE_ALGORITHMS = [
+  'SPHERICAL',
+  'VINCENTY',
+  'THOMAS',
+  'ANDOYER',
+  'KARNEY'
+];
+
+/**
+ * Encode a GeoJSON geometry object as little-endian ISO WKB. Positions with
+ * three elements are written as XYZ and positions with four elements as XYZM
+ * coordinates
+ */
+function encodeWKB(geometry) {
+  let parts = [];
+  writeGeometry(parts, geometry, getDimensions(geometry));
+  return Buffer.concat(parts);
+}
+
+function getDimensions(geometry) {
+  let dims = 2;
+  const visit = (c) => {
+    if (Array.isArray(c) && Array.isArray(c[0])) {
+      c.forEach(visit);
+    } else if (Array.isArray(c)) {
+      dims = Math.max(dims, Math.min(c.length, 4));
+    }
+  };
+
+  if (geometry && geometry.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach(g => dims = Math.max(dims, getDimensions(g)));
+  } else if (geometry) {
+    visit(geometry.coordinates);
+  }
+
+  return dims;
+}
+
+function writeGeometry(parts, geometry, dims) {
+  if (!geometry || !(geometry.type in WKB_GEOMETRY_TYPES)) {
+    throw 'invalid GeoJSON geometry';
+  }
+
+  let header = Buffer.alloc(5);
+  header.writeUInt8(1, 0);
+  header.writeUInt32LE(WKB_GEOMETRY_TYPES[geometry.type] + { 2: 0, 3: 1000, 4: 3000 }[dims], 1);
+  parts.push(header);
+
+  const coordinates = geometry.coordinates;
+  switch (geometry.type) {
+
+    case 'Point':
+      writePosition(parts, coordinates, dims);
+      break;
+
+    case 'LineString':
+      writePositions(parts, coordinates, dims);
+      break;
+
+    case 'Polygon':
+      writeCount(parts, coordinates);
+      coordinates.forEach(ring => writePositions(parts, ring, dims));
+      break;
+
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      writeCount(parts, coordinates);
+      coordinates.forEach(c => writeGeometry(
+          parts,
+          { type: geometry.type.substr(5), coordinates: c },
+          dims));
+      break;
+
+    case 'GeometryCollection':
+      writeCount(parts, geometry.geometries);
+      geometry.geometries.forEach(g => writeGeometry(parts, g, dims));
+      break;
+
+  }
+}
+
+function writeCount(parts, list) {
+  if (!Array.isArray(list)) {
+    throw 'invalid GeoJSON geometry';
+  }
+
+  let buf = Buffer.alloc(4);
+  buf.writeUInt32LE(list.length, 0);
+  parts.push(buf);
+}
+
+function writePositions(parts, positions, dims) {
+  writeCount(parts, positions);
+  positions.forEach(p => writePosition(parts, p, dims));
+}
+
+/* an empty point is written with NaN coordinates */
+function writePosition(parts, position, dims) {
+  if (!Array.isArray(position) || position.length === 1 ||
+      !position.every(v => typeof v === 'number')) {
+    throw 'invalid GeoJSON geometry';
+  }
+
+  let buf = Buffer.alloc(8 * dims);
+  for (let i = 0; i < dims; ++i) {
+    buf.writeDoubleLE(i < position.length ? position[i] : NaN, 8 * i);
+  }
+
+  parts.push(buf);
+}
+
+/**
+ * Decode a WKB geometry (in either byte order) into a GeoJSON geometry
+ * object. Since GeoJSON has no notion of M coordinates, the positions of
+ * XYM geometries are returned as [x, y, NaN, m]
+ */
+function decodeWKB(buffer) {
+  let cursor = { buffer: buffer, offset: 0 };
+  let geometry;
+
+  try {
+    geometry = readGeometry(cursor);
+  } catch (e) {
+    if (e instanceof RangeError) {
+      throw 'invalid WKB geometry';
+    }
+
+    throw e;
+  }
+
+  if (cursor.offset !== buffer.length) {
+    throw 'invalid WKB geometry';
+  }
+
+  return geometry;
+}
+
+function readHeader(cursor) {
+  const byteOrder = cursor.buffer.readUInt8(cursor.offset);
+  if (byteOrder > 1) {
+    throw 'invalid WKB geometry';
+  }
+
+  cursor.littleEndian = (byteOrder === 1);
+  cursor.offset += 1;
+
+  const code = readUInt32(cursor);
+  const type = WKB_GEOMETRY_NAMES[code % 1000 - 1];
+  const dimensions = Math.floor(code / 1000);
+  if (!type || dimensions > 3) {
+    throw 'invalid WKB geometry';
+  }
+
+  return {
+    type: type,
+    code: code,
+    hasZ: dimensions === 1 || dimensions === 3,
+    hasM: dimensions >= 2
+  };
+}
+
+function readGeometry(cursor) {
+  const header = readHeader(cursor);
+
+  switch (header.type) {
+
+    case 'Point': {
+      const position = readPosition(cursor, header);
+      return {
+        type: 'Point',
+        coordinates: position.every(v => isNaN(v)) ? [] : position
+      };
+    }
+
+    case 'LineString':
+      return {
+        type: 'LineString',
+        coordinates: readList(cursor, () => readPosition(cursor, header))
+      };
+
+    case 'Polygon':
+      return {
+        type: 'Polygon',
+        coordinates: readList(cursor, () => {
+          return readList(cursor, () => readPosition(cursor, header));
+        })
+      };
+
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      return {
+        type: header.type,
+        coordinates: readList(cursor, () => {
+          const child = readGeometry(cursor);
+          if (child.type !== header.type.substr(5)) {
+            throw 'invalid WKB geometry';
+          }
+
+          return child.coordinates;
+        })
+      };
+
+    case 'GeometryCollection':
+      return {
+        type: 'GeometryCollection',
+        geometries: readList(cursor, () => readGeometry(cursor))
+      };
+
+  }
+}
+
+function readList(cursor, readElement) {
+  const count = readUInt32(cursor);
+  let list = [];
+  for (let i = 0; i < count; ++i) {
+    list.push(readElement());
+  }
+
+  return list;
+}
+
+function readPosition(cursor, header) {
+  const dims = 2 + header.hasZ + header.hasM;
+  let position = [];
+  for (let i = 0; i < dims; ++i) {
+    position.push(readDouble(cursor));
+  }
+
+  if (header.hasM && !header.hasZ) {
+    position.splice(2, 0, NaN);
+  }
+
+  return position;
+}
+
+function readUInt32(cursor) {
+  const v = cursor.littleEndian ?
+      cursor.buffer.readUInt32LE(cursor.offset) :
+      cursor.buffer.readUInt32BE(cursor.offset);
+
+  cursor.offset += 4;
+  return v;
+}
+
+function readDouble(cursor) {
+  const v = cursor.littleEndian ?
+      cursor.buffer.readDoubleLE(cursor.offset) :
+      cursor.buffer.readDoubleBE(cursor.offset);
+
+  cursor.offset += 8;
+  return v;
+}
+
+/**
+ * Returns the ISO WKB geometry type code of a WKB geometry
+ */
+function getGeometryType(buffer) {
+  return readHeader({ buffer: buffer, offset: 0 }).code;
+}
+
+/**
+ * Compute the bounding box of a GeoJSON geometry. The edges of GEOGRAPHY
+ * values are interpolated along great circles, i.e. the box is extended by
+ * the latitude of edges that bulge towards the poles and by the poles
+ * enclosed by polygons. Returns null for empty geometries
+ */
+function getBoundingBox(geometry, geography) {
+  let bbox = {
+    xmin: Infinity, xmax: -Infinity,
+    ymin: Infinity, ymax: -Infinity,
+    zmin: Infinity, zmax: -Infinity,
+    mmin: Infinity, mmax: -Infinity
+  };
+
+  extendBoundingBox(bbox, geometry, geography);
+  return isEmptyBoundingBox(bbox) ? null : bbox;
+}
+
+function extendBoundingBox(bbox, geometry, geography) {
+  const coordinates = geometry.coordinates;
+
+  switch (geometry.type) {
+
+    case 'Point':
+      addPosition(bbox, coordinates);
+      break;
+
+    case 'MultiPoint':
+      coordinates.forEach(p => addPosition(bbox, p));
+      break;
+
+    case 'LineString':
+      addPositions(bbox, coordinates, geography);
+      break;
+
+    case 'MultiLineString':
+      coordinates.forEach(l => addPositions(bbox, l, geography));
+      break;
+
+    case 'Polygon':
+      addPolygon(bbox, coordinates, geography);
+      break;
+
+    case 'MultiPolygon':
+      coordinates.forEach(p => addPolygon(bbox, p, geography));
+      break;
+
+    case 'GeometryCollection':
+      geometry.geometries.forEach(g => extendBoundingBox(bbox, g, geography));
+      break;
+
+  }
+}
+
+function addPosition(bbox, position) {
+  ['x', 'y', 'z', 'm'].forEach((axis, i) => {
+    const v = position[i];
+    if (typeof v === 'number' && !isNaN(v)) {
+      bbox[axis + 'min'] = Math.min(bbox[axis + 'min'], v);
+      bbox[axis + 'max'] = Math.max(bbox[axis + 'max'], v);
+    }
+  });
+}
+
+function addPositions(bbox, positions, geography) {
+  positions.forEach(p => addPosition(bbox, p));
+
+  if (geography) {
+    for (let i = 1; i < positions.length; ++i) {
+      const range = getEdgeLatitudeRange(positions[i - 1], positions[i]);
+      bbox.ymin = Math.min(bbox.ymin, range[0]);
+      bbox.ymax = Math.max(bbox.ymax, range[1]);
+    }
+  }
+}
+
+function addPolygon(bbox, rings, geography) {
+  rings.forEach(r => addPositions(bbox, r, geography));
+
+  /* the interior of a GEOGRAPHY polygon is on the left of its exterior ring,
+   * so a ring that winds eastwards around the globe encloses the north pole
+   * and a ring that winds westwards the south pole */
+  if (geography && rings.length > 0) {
+    const winding = getLongitudeWinding(rings[0]);
+    if (Math.abs(winding) > 180) {
+      bbox.xmin = -180;
+      bbox.xmax = 180;
+      if (winding > 0) {
+        bbox.ymax = 90;
+      } else {
+        bbox.ymin = -90;
+      }
+    }
+  }
+}
+
+function getLongitudeWinding(ring) {
+  let winding = 0;
+  for (let i = 1; i < ring.length; ++i) {
+    let delta = ring[i][0] - ring[i - 1][0];
+    while (delta > 180) {
+      delta -= 360;
+    }
+    while (delta < -180) {
+      delta += 360;
+    }
+
+    winding += delta;
+  }
+
+  return winding;
+}
+
+/**
+ * Returns the [min, max] latitude of the great circle arc between two
+ * positions (in degrees)
+ */
+function getEdgeLatitudeRange(a, b) {
+  let range = [Math.min(a[1], b[1]), Math.max(a[1], b[1])];
+  const u = toVector(a);
+  const v = toVector(b);
+  const n = cross(u, v);
+
+  /* the arc between antipodal points is undefined */
+  if (dot(n, n) < 1e-24) {
+    return dot(u, v) < 0 ? [-90, 90] : range;
+  }
+
+  /* the point of the great circle that is closest to the north pole */
+  const p = [-n[0] * n[2], -n[1] * n[2], n[0] * n[0] + n[1] * n[1]];
+  if (p[2] === 0) {
+    return range;
+  }
+
+  const latitude = Math.atan2(p[2], Math.hypot(p[0], p[1])) * 180 / Math.PI;
+  const q = p.map(c => -c);
+
+  if (dot(cross(u, p), n) >= 0 && dot(cross(p, v), n) >= 0) {
+    range[1] = Math.max(range[1], latitude);
+  }
+
+  if (dot(cross(u, q), n) >= 0 && dot(cross(q, v), n) >= 0) {
+    range[0] = Math.min(range[0], -latitude);
+  }
+
+  return range;
+}
+
+function toVector(position) {
+  const lon = position[0] * Math.PI / 180;
+  const lat = position[1] * Math.PI / 180;
+  return [
+    Math.cos(lat) * Math.cos(lon),
+    Math.cos(lat) * Math.sin(lon),
+    Math.sin(lat)
+  ];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function isEmptyBoundingBox(bbox) {
+  return !(bbox.xmin <= bbox.xmax && bbox.ymin <= bbox.ymax);
+}
+
+/**
+ * Compute the geospatial statistics of a list of WKB values of field, i.e.
+ * the bounding box of all values and the list of their geometry types. The
+ * bounding box is only computed for GEOMETRY values and GEOGRAPHY values
+ * with spherical edges
+ */
+function getStatistics(values, field) {
+  const geography = field.originalType === 'GEOGRAPHY';
+  let statistics = {
+    bbox: null,
+    types: new Set()
+  };
+
+  if (geography && (field.algorithm || 'SPHERICAL') !== 'SPHERICAL') {
+    statistics.bbox = undefined;
+  }
+
+  for (let value of values) {
+    statistics.types.add(getGeometryType(value));
+
+    if (statistics.bbox !== undefined) {
+      const bbox = getBoundingBox(decodeWKB(value), geography);
+      statistics.bbox = mergeBoundingBoxes(statistics.bbox, bbox);
+    }
+  }
+
+  return statistics;
+}
+
+/**
+ * Merge two geospatial statistics. A bounding box of undefined is unknown,
+ * a bounding box of null is empty
+ */
+function mergeStatistics(a, b) {
+  if (!a) {
+    return b;
+  }
+
+  return {
+    bbox: (a.bbox === undefined || b.bbox === undefined) ?
+        undefined :
+        mergeBoundingBoxes(a.bbox, b.bbox),
+    types: new Set([...a.types, ...b.types])
+  };
+}
+
+function mergeBoundingBoxes(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+
+  let bbox = {};
+  for (let axis of ['x', 'y', 'z', 'm']) {
+    bbox[axis + 'min'] = Math.min(a[axis + 'min'], b[axis + 'min']);
+    bbox[axis + 'max'] = Math.max(a[axis + 'max'], b[axis + 'max']);
+  }
+
+  return bbox;
+}
+
+/**
+ * Returns true if the bounding box intersects the envelope. Boxes with an
+ * xmin greater than xmax wrap around the antimeridian. Z and M values are
+ * not taken into account
+ */
+function intersects(bbox, envelope) {
+  const ranges = (min, max) => min <= max ? [[min, max]] : [[min, Infinity], [-Infinity, max]];
+  const overlap = (a, b) => a.some(r => b.some(s => r[0] <= s[1] && s[0] <= r[1]));
+
+  return overlap(ranges(bbox.ymin, bbox.ymax), [[envelope.ymin, envelope.ymax]]) &&
+      overlap(ranges(bbox.xmin, bbox.xmax), ranges(envelope.xmin, envelope.xmax));
+}
+
+module.exports = {
+  PARQUET_EDGE_ALGORITHMS,
+  encodeWKB,
+  decodeWKB,
+  getGeometryType,
+  getBoundingBox,
+  getStatistics,
+  mergeStatistics,
+  intersects
+};
@@ -1,5 +1,6 @@
 'use strict';
 const fs = require('fs');
+const stream = require('stream');
 const thrift = require('thrift');
 const parquet_thrift = require('../gen-nodejs/parquet_types')
 const parquet_shredder = require('./shred')
@@ -8,6 +9,8 @@ const parquet_schema = require('./schema')
 const parquet_codec = require('./codec')
 const parquet_compression = require('./compression')
 const parquet_types = require('./types');
+const parquet_filter = require('./filter');
+const parquet_variant = require('./variant');
 const BufferReader = require('./bufferReader');
 
 /**
@@ -16,9 +19,9 @@ const BufferReader = require('./bufferReader');
 const PARQUET_MAGIC = 'PAR1';
 
 /**
- * Parquet File Format Version
+ * Supported Parquet File Format Versions
  */
-const PARQUET_VERSION = 1;
+const PARQUET_VERSIONS = [1, 2];
 
 /**
  * Internal type used for repetition/definition levels
@@ -26,6 +29,48 @@ const PARQUET_VERSION = 1;
 const PARQUET_RDLVL_TYPE = 'INT32';
 const PARQUET_RDLVL_ENCODING = 'RLE';
 
+/**
+ * Initial number of bytes read for a page header when reading page by page
+ */
+const PARQUET_PAGE_HEADER_SIZE = 1024;
+
+/**
+ * Number of rows that are materialized at once in streaming mode
+ */
+const PARQUET_STREAMING_ROW_COUNT = 1024;
+
+/**
+ * Default maximum number of bytes of prefetched column chunks per cursor
+ */
+const PARQUET_DEFAULT_PREFETCH_MEMORY = 64 * 1024 * 1024;
+
+/**
+ * Supported representations of 64 bit integers (see the int64As option)
+ */
+const PARQUET_INT64_REPRESENTATIONS = ['number', 'bigint', 'string'];
+
+/**
+ * Supported representations of timestamps (see the timestampAs option)
+ */
+const PARQUET_TIMESTAMP_REPRESENTATIONS = ['date', 'bigint'];
+
+/**
+ * Supported representations of geospatial values (see the geometryAs option)
+ */
+const PARQUET_GEOMETRY_REPRESENTATIONS = ['geojson', 'wkb'];
+
+/**
+ * Supported representations of values per cursor (see getCursor), the first
+ * one of each option is the default
+ */
+const PARQUET_CURSOR_REPRESENTATIONS = {
+  dates: ['date', 'number'],
+  bytes: ['slice', 'copy'],
+  json: ['parse', 'raw'],
+  int64: PARQUET_INT64_REPRESENTATIONS,
+  nulls: ['omit', 'null']
+};
+
 /**
  * A parquet cursor is used to retrieve rows from a parquet file in order
  */
@@ -37,13 +82,61 @@ class ParquetCursor  {
    * advanced and internal use cases. Consider using getCursor() on the
    * ParquetReader instead
    */
-  constructor(metadata, envelopeReader, schema, columnList) {
+  constructor(metadata, envelopeReader, schema, columnList, opts) {
+    opts = opts || {};
     this.metadata = metadata;
     this.envelopeReader = envelopeReader;
     this.schema = schema;
-    this.columnList = columnList;
     this.rowGroup = [];
     this.rowGroupIndex = 0;
+    this.batch = null;
+    this.pageStream = null;
+    this.filter = null;
+    this.options = {};
+
+    if (opts.streaming !== undefined && typeof opts.streaming !== 'boolean') {
+      throw 'invalid streaming option: ' + opts.streaming;
+    }
+
+    this.streaming = !!opts.streaming;
+
+    for (let name of ['offset', 'limit', 'prefetch', 'prefetchMemory']) {
+      if (opts[name] !== undefined && !(Number.isInteger(opts[name]) && opts[name] >= 0)) {
+        throw 'invalid ' + name + ' option: ' + opts[name];
+      }
+    }
+
+    this.offset = opts.offset || 0;
+    this.limit = opts.limit === undefined ? Infinity : opts.limit;
+
+    /* column chunks of upcoming row groups that are read in the background */
+    this.prefetch = opts.prefetch || 0;
+    this.prefetchMemory = opts.prefetchMemory === undefined ?
+        PARQUET_DEFAULT_PREFETCH_MEMORY :
+        opts.prefetchMemory;
+    this.prefetched = new Map();
+    this.pendingReads = new Set();
+
+    for (let name in PARQUET_CURSOR_REPRESENTATIONS) {
+      if (opts[name] === undefined) {
+        continue;
+      }
+
+      if (!PARQUET_CURSOR_REPRESENTATIONS[name].includes(opts[name])) {
+        throw 'invalid ' + name + ' option: ' + opts[name];
+      }
+
+      this.options[name] = opts[name];
+    }
+
+    /* paths within variants are read from the columns of the variant */
+    const variantColumns = expandVariantColumns(schema, columnList);
+    this.columnList = variantColumns.columnList;
+    this.variantProjections = variantColumns.projections;
+
+    if (opts.where) {
+      this.filter = new parquet_filter.ParquetFilter(schema, opts.where);
+    }
   }
 
   /**
@@ -51,32 +144,470 @@ class ParquetCursor  {
    * of the file was reached
    */
   async next() {
-    if (this.rowGroup.length === 0) {
+    while (this.rowGroup.length === 0) {
+      if (this.pageStream) {
+        this.rowGroup = await this.readPageStream();
+        projectVariants(this.rowGroup, this.variantProjections);
+        continue;
+      }
+
       if (this.rowGroupIndex >= this.metadata.row_groups.length) {
         return null;
       }
 
-      let rowBuffer = await this.envelopeReader.readRowGroup(
-          this.schema,
-          this.metadata.row_groups[this.rowGroupIndex],
-          this.columnList);
+      let rowGroup = this.metadata.row_groups[this.rowGroupIndex];
+      let rowRanges = this.selectRowGroupRows(this.rowGroupIndex);
+      if (rowRanges && rowRanges.length === 0) {
+        this.rowGroup = [];
+      } else if (this.streaming) {
+        this.pageStream = this.openPageStream(rowGroup, rowRanges);
+      } else if (this.filter) {
+        let opts = this.startRowGroupRead(this.rowGroupIndex, this.options);
+        this.rowGroup = await this.readFilteredRowGroup(rowGroup, rowRanges, opts);
+      } else {
+        let rowBuffer = await this.envelopeReader.readRowGroup(
+            this.schema,
+            rowGroup,
+            this.columnList,
+            rowRanges,
+            this.startRowGroupRead(this.rowGroupIndex, this.options));
+
+        this.rowGroup = parquet_shredder.materializeRecords(
+            this.schema,
+            rowBuffer,
+            null,
+            this.options);
+      }
 
-      this.rowGroup = parquet_shredder.materializeRecords(this.schema, rowBuffer);
+      projectVariants(this.rowGroup, this.variantProjections);
       this.rowGroupIndex++;
     }
 
     return this.rowGroup.shift();
   }
 
+  /**
+   * Return the rows of the row group at index that lie within the offset and
+   * limit of the cursor as a list of [start, end) row indices (or null if all
+   * rows of the row group do)
+   */
+  selectRowGroupRows(index) {
+    let firstRow = 0;
+    for (let i = 0; i < index; i++) {
+      firstRow += +this.metadata.row_groups[i].num_rows;
+    }
+
+    let rowCount = +this.metadata.row_groups[index].num_rows;
+    let start = Math.max(this.offset - firstRow, 0);
+    let end = Math.min(this.offset + this.limit - firstRow, rowCount);
+    if (start === 0 && end === rowCount) {
+      return null;
+    }
+
+    return start < end ? [[start, end]] : [];
+  }
+
+  /**
+   * Read the rows of a row group that match the cursor's filter. Row groups
+   * and pages that can not contain any matching rows are skipped entirely
+   */
+  async readFilteredRowGroup(rowGroup, rowRanges, opts) {
+    let rowBuffer = await this.readFilteredRowBuffer(rowGroup, rowRanges, opts);
+    if (!rowBuffer) {
+      return [];
+    }
+
+    return this.materializeRows(rowBuffer);
+  }
+
+  /**
+   * Materialize the requested columns of a row buffer into records, dropping
+   * the records that do not match the cursor's filter (if any)
+   */
+  materializeRows(rowBuffer) {
+    let records = parquet_shredder.materializeRecords(
+        this.schema,
+        selectColumnData(rowBuffer, this.columnList),
+        null,
+        this.options);
+
+    if (!this.filter) {
+      return records;
+    }
+
+    /* the filter is evaluated against the default representation */
+    let filterRecords = records;
+    if (rowBuffer.missingColumns.length > 0 || this.options.dates || this.options.json) {
+      filterRecords = parquet_shredder.materializeRecords(
+          this.schema,
+          selectColumnData(rowBuffer, this.filter.columns));
+    }
+
+    return records.filter((record, i) => this.filter.matchRecord(filterRecords[i]));
+  }
+
+  /**
+   * Return the filter columns that have to be read in addition to the
+   * requested columns
+   */
+  getMissingFilterColumns() {
+    if (!this.filter || this.columnList.length === 0) {
+      return [];
+    }
+
+    return this.filter.columns.filter(c => {
+      return parquet_util.fieldIndexOf(this.columnList, c) < 0;
+    });
+  }
+
+  /**
+   * Read the requested columns and the columns of the filter for the pages
+   * of a row group that may contain matching rows, optionally restricted to
+   * the given row ranges. Returns null if the row group can not contain any
+   * matching rows
+   */
+  async readFilteredRowBuffer(rowGroup, rowRanges, opts) {
+    if (!this.filter.matchRowGroup(rowGroup)) {
+      return null;
+    }
+
+    let filterRanges = await selectRowRanges(this.envelopeReader, this.filter, rowGroup);
+    rowRanges = rowRanges ? intersectRowRanges(filterRanges, rowRanges) : filterRanges;
+    if (rowRanges.length === 0) {
+      return null;
+    }
+
+    /* the filter columns have to be read even if they were not requested */
+    let missingColumns = this.getMissingFilterColumns();
+    let rowBuffer = await this.envelopeReader.readRowGroup(
+        this.schema,
+        rowGroup,
+        this.columnList.concat(missingColumns),
+        rowRanges,
+        opts);
+
+    rowBuffer.missingColumns = missingColumns;
+    return rowBuffer;
+  }
+
+  /**
+   * Start reading the rows (within rowRanges) of a row group page by page.
+   * Returns null if the row group can not contain any matching rows
+   */
+  openPageStream(rowGroup, rowRanges) {
+    if (this.filter && !this.filter.matchRowGroup(rowGroup)) {
+      return null;
+    }
+
+    let missingColumns = this.getMissingFilterColumns();
+    let columnList = this.columnList.concat(missingColumns);
+
+    let columns = [];
+    for (let colChunk of rowGroup.columns) {
+      let path = colChunk.meta_data.path_in_schema;
+      if (columnList.length > 0 && parquet_util.fieldIndexOf(columnList, path) < 0) {
+        continue;
+      }
+
+      columns.push({
+        key: path.join(','),
+        dLevelMax: this.schema.findField(path).dLevelMax,
+        pages: this.envelopeReader.readColumnChunkPages(this.schema, colChunk, this.options),
+        page: null,
+        index: 0,
+        valueIndex: 0
+      });
+    }
+
+    let range = rowRanges ? rowRanges[0] : [0, +rowGroup.num_rows];
+    return {
+      columns: columns,
+      missingColumns: missingColumns,
+      row: 0,
+      start: range[0],
+      end: range[1]
+    };
+  }
+
+  /**
+   * Read the next rows of the row group that is read page by page. At most
+   * one page per column and PARQUET_STREAMING_ROW_COUNT rows are decoded at
+   * any time
+   */
+  async readPageStream() {
+    let pageStream = this.pageStream;
+
+    /* the rows in front of the offset are decoded but not materialized */
+    let skip = pageStream.row < pageStream.start;
+    let rowCount = Math.min(
+        PARQUET_STREAMING_ROW_COUNT,
+        (skip ? pageStream.start : pageStream.end) - pageStream.row);
+
+    let rowBuffer = {
+      rowCount: rowCount,
+      columnData: {},
+      missingColumns: pageStream.missingColumns
+    };
+
+    for (let column of pageStream.columns) {
+      rowBuffer.columnData[column.key] = await readColumnRows(column, rowCount);
+    }
+
+    pageStream.row += rowCount;
+    if (pageStream.row >= pageStream.end) {
+      this.pageStream = null;
+    }
+
+    return skip ? [] : this.materializeRows(rowBuffer);
+  }
+
+  /**
+   * Retrieve the next batch of up to maxRows rows (by default the remaining
+   * rows of the current row group) in columnar form. A batch never spans
+   * more than one row group. Returns NULL if the end of the file was reached.
+   *
+   * The returned object has the form { rowCount, columns, validity, offsets }
+   * where each of the maps is keyed by the dotted path of a leaf column:
+   *
+   *   - columns: the values of the column. Columns of the BOOLEAN, INT32,
+   *     INT64, FLOAT and DOUBLE physical types are returned as typed arrays
+   *     holding the physical values (i.e. DATE, TIMESTAMP and DECIMAL
+   *     columns are not converted), all other columns are returned as arrays
+   *     of converted values
+   *   - validity: for columns that may contain nulls, a Uint8Array which is
+   *     1 for each defined value and 0 for each null
+   *   - offsets: for repeated columns, an Int32Array of rowCount + 1 entries
+   *     such that the values of row i are the values from offsets[i] up to
+   *     offsets[i + 1]. Empty and null lists have no values
+   *
+   * Records are never materialized, except for evaluating the filter of the
+   * cursor. Columns that are nested in more than one repeated field are not
+   * supported. A cursor should be consumed either with next() or with
+   * nextBatch(), but not both
+   */
+  async nextBatch(maxRows) {
+    if (maxRows !== undefined && (!Number.isInteger(maxRows) || maxRows < 1)) {
+      throw 'invalid maxRows: ' + maxRows;
+    }
+
+    while (!this.batch || this.batch.offset >= this.batch.rowCount) {
+      if (this.rowGroupIndex >= this.metadata.row_groups.length) {
+        return null;
+      }
+
+      let rowRanges = this.selectRowGroupRows(this.rowGroupIndex);
+      this.batch = await this.readRowGroupBatch(this.rowGroupIndex, rowRanges);
+      this.batch.offset = 0;
+      this.rowGroupIndex++;
+    }
+
+    let start = this.batch.offset;
+    let end = this.batch.rowCount;
+    if (maxRows !== undefined) {
+      end = Math.min(end, start + maxRows);
+    }
+
+    this.batch.offset = end;
+    return sliceBatch(this.batch, start, end);
+  }
+
+  /**
+   * Read the (matching) rows within rowRanges of the row group at index into
+   * a batch
+   */
+  async readRowGroupBatch(index, rowRanges) {
+    let emptyBatch = { rowCount: 0, columns: {}, validity: {}, offsets: {} };
+    if (rowRanges && rowRanges.length === 0) {
+      return emptyBatch;
+    }
+
+    /* 64 bit integers are always decoded exactly into BigInt64Arrays */
+    let rowGroup = this.metadata.row_groups[index];
+    let opts = this.startRowGroupRead(
+        index,
+        Object.assign({}, this.options, { int64: 'bigint' }));
+
+    let rowBuffer = null;
+    let mask = null;
+    if (this.filter) {
+      rowBuffer = await this.readFilteredRowBuffer(rowGroup, rowRanges, opts);
+      if (!rowBuffer) {
+        return emptyBatch;
+      }
+
+      mask = parquet_shredder.materializeRecords(
+          this.schema,
+          selectColumnData(rowBuffer, this.filter.columns))
+        .map(record => this.filter.matchRecord(record));
+
+      rowBuffer = selectColumnData(rowBuffer, this.columnList);
+    } else {
+      rowBuffer = await this.envelopeReader.readRowGroup(
+          this.schema,
+          rowGroup,
+          this.columnList,
+          rowRanges,
+          opts);
+    }
+
+    return decodeBatch(this.schema, rowBuffer, mask, this.options);
+  }
+
+  /**
+   * Start prefetching the row groups after index (see prefetchRowGroups) and
+   * return the read options for the row group at index, which include its
+   * column chunks if they were prefetched
+   */
+  startRowGroupRead(index, opts) {
+    let prefetched = this.prefetched.get(index);
+    this.prefetched.delete(index);
+    this.prefetchRowGroups(index + 1);
+
+    if (!prefetched) {
+      return opts;
+    }
+
+    return Object.assign({}, opts, { prefetched: prefetched.chunks });
+  }
+
+  /**
+   * Issue the reads for the selected column chunks of up to opts.prefetch
+   * row groups from index on, as long as the total size of the prefetched
+   * column chunks stays within opts.prefetchMemory bytes. Row groups that are
+   * skipped entirely are not prefetched
+   */
+  prefetchRowGroups(index) {
+    let size = 0;
+    for (let prefetched of this.prefetched.values()) {
+      size += prefetched.size;
+    }
+
+    let last = Math.min(index + this.prefetch, this.metadata.row_groups.length);
+    for (let i = index; i < last; i++) {
+      let rowGroup = this.metadata.row_groups[i];
+      let rowRanges = this.selectRowGroupRows(i);
+      if (this.prefetched.has(i) ||
+          (rowRanges && rowRanges.length === 0) ||
+          (this.filter && !this.filter.matchRowGroup(rowGroup))) {
+        continue;
+      }
+
+      let columnList = this.columnList.concat(this.getMissingFilterColumns());
+      let colChunks = rowGroup.columns.filter(colChunk => {
+        return columnList.length === 0 ||
+            parquet_util.fieldIndexOf(columnList, colChunk.meta_data.path_in_schema) >= 0;
+      });
+
+      let ranges = colChunks.map(getColumnChunkRange);
+      let rowGroupSize = ranges.reduce((n, r) => n + r.length, 0);
+      if (size + rowGroupSize > this.prefetchMemory) {
+        break;
+      }
+
+      let chunks = new Map();
+      colChunks.forEach((colChunk, j) => {
+        let read = Promise.resolve(this.envelopeReader.read(ranges[j].offset, ranges[j].length));
+        chunks.set(colChunk, read);
+
+        /* errors are raised once the row group is actually read */
+        this.pendingReads.add(read);
+        read.catch(() => {}).then(() => {
+          this.pendingReads.delete(read);
+          this.updatePrefetching();
+        });
+      });
+
+      this.prefetched.set(i, { chunks: chunks, size: rowGroupSize });
+      size += rowGroupSize;
+    }
+
+    this.updatePrefetching();
+  }
+
+  /**
+   * Discard all prefetched column chunks. The returned promise resolves once
+   * the pending reads have completed
+   */
+  async cancelPrefetch() {
+    this.prefetched.clear();
+    this.updatePrefetching();
+    await Promise.all(Array.from(this.pendingReads).map(read => read.catch(() => {})));
+  }
+
+  /**
+   * Register the cursor with the envelope reader while it holds prefetched
+   * column chunks or has pending reads, so that closing the reader cancels them
+   */
+  updatePrefetching() {
+    let cursors = this.envelopeReader.prefetchingCursors;
+    if (this.prefetched.size > 0 || this.pendingReads.size > 0) {
+      cursors.add(this);
+    } else {
+      cursors.delete(this);
+    }
+  }
+
   /**
    * Rewind the cursor the the beginning of the file
    */
   rewind() {
     this.rowGroup = [];
     this.rowGroupIndex = 0;
+    this.batch = null;
+    this.pageStream = null;
+    this.cancelPrefetch();
+  }
+
+  /**
+   * Iterate over the remaining rows of the cursor (using for await...of)
+   */
+  async *[Symbol.asyncIterator]() {
+    let record = null;
+    while (record = await this.next()) {
+      yield record;
+    }
   }
 };
 
+/**
+ * An object mode stream of the rows of a parquet file. The reader is closed
+ * once all rows have been read or the stream is destroyed
+ */
+class ParquetReadStream extends stream.Readable {
+
+  constructor(reader, cursor, opts) {
+    super({ objectMode: true, highWaterMark: opts.highWaterMark });
+    this.reader = reader;
+    this.cursor = cursor;
+  }
+
+  _read() {
+    this.cursor.next()
+      .then(record => {
+        if (record) {
+          this.push(record);
+        } else {
+          return this.closeReader().then(() => this.push(null));
+        }
+      })
+      .catch(err => this.destroy(err));
+  }
+
+  _destroy(err, callback) {
+    this.closeReader()
+      .then(() => callback(err), closeErr => callback(err || closeErr));
+  }
+
+  async closeReader() {
+    const reader = this.reader;
+    this.reader = null;
+    if (reader) {
+      await reader.close();
+    }
+  }
+
+}
+
 /**
  * A parquet reader allows retrieving the rows from a parquet file in order.
  * The basic usage is to create a reader and then retrieve a cursor/iterator
@@ -92,12 +623,12 @@ class ParquetReader {
    */
   static async openFile(filePath, options) {
     let envelopeReader = await ParquetEnvelopeReader.openFile(filePath, options);
-    return this.openEnvelopeReader(envelopeReader);
+    return this.openEnvelopeReader(envelopeReader, options);
   }
 
   static async openBuffer(buffer, options) {
     let envelopeReader = await ParquetEnvelopeReader.openBuffer(buffer, options);
-    return this.openEnvelopeReader(envelopeReader);
+    return this.openEnvelopeReader(envelopeReader, options);
   }
 
   /**
@@ -107,7 +638,7 @@ class ParquetReader {
    */
   static async openS3(client, params, options) {
     let envelopeReader = await ParquetEnvelopeReader.openS3(client, params, options);
-    return this.openEnvelopeReader(envelopeReader);
+    return this.openEnvelopeReader(envelopeReader, options);
   }
 
   /**
@@ -118,14 +649,14 @@ class ParquetReader {
    */
   static async openUrl(request, params, options) {
     let envelopeReader = await ParquetEnvelopeReader.openUrl(request, params, options);
-    return this.openEnvelopeReader(envelopeReader); 
+    return this.openEnvelopeReader(envelopeReader, options);
   }
 
-  static async openEnvelopeReader(envelopeReader) {
+  static async openEnvelopeReader(envelopeReader, opts) {
     try {
       await envelopeReader.readHeader();
       let metadata = await envelopeReader.readFooter();
-      return new ParquetReader(metadata, envelopeReader);
+      return new ParquetReader(metadata, envelopeReader, opts);
     } catch (err) {
       await envelopeReader.close();
       throw err;
@@ -136,18 +667,84 @@ class ParquetReader {
    * Create a new parquet reader from the file metadata and an envelope reader.
    * It is not recommended to call this constructor directly except for advanced
    * and internal use cases. Consider using one of the open{File,Buffer} methods
-   * instead
+   * instead.
+   *
+   * The optional opts.int64As parameter controls how 64 bit integers are
+   * returned: as a 'number' (the default, only exact up to 2^53), 'bigint' or
+   * 'string'
+   *
+   * The optional opts.timestampAs parameter controls how timestamps (including
+   * INT96 timestamps) are returned: as a 'date' (the default, truncated to
+   * milliseconds) or as a 'bigint' in the unit of the column (nanoseconds for
+   * INT96)
+   *
+   * The optional opts.geometryAs parameter controls how GEOMETRY and GEOGRAPHY
+   * values are returned: as 'geojson' geometry objects (the default) or as
+   * 'wkb' buffers
    */
-  constructor(metadata, envelopeReader) {
-    if (metadata.version != PARQUET_VERSION) {
+  constructor(metadata, envelopeReader, opts) {
+    opts = opts || {};
+
+    if (!PARQUET_VERSIONS.includes(metadata.version)) {
       throw 'invalid parquet version';
     }
 
+    if (opts.int64As !== undefined &&
+        !PARQUET_INT64_REPRESENTATIONS.includes(opts.int64As)) {
+      throw 'invalid int64As option: ' + opts.int64As;
+    }
+
+    if (opts.timestampAs !== undefined &&
+        !PARQUET_TIMESTAMP_REPRESENTATIONS.includes(opts.timestampAs)) {
+      throw 'invalid timestampAs option: ' + opts.timestampAs;
+    }
+
+    if (opts.geometryAs !== undefined &&
+        !PARQUET_GEOMETRY_REPRESENTATIONS.includes(opts.geometryAs)) {
+      throw 'invalid geometryAs option: ' + opts.geometryAs;
+    }
+
     this.metadata = envelopeReader.metadata = metadata;
     this.envelopeReader = envelopeReader;
+    let schemaDefinition = decodeSchema(this.metadata.schema.splice(1));
+    decodeCustomTypes(schemaDefinition, this.metadata.key_value_metadata);
+
     this.schema = envelopeReader.schema = new parquet_schema.ParquetSchema(
-        decodeSchema(
-            this.metadata.schema.splice(1)));
+        schemaDefinition);
+
+    /* the int64As, timestampAs and geometryAs options are stored on the
+     * fields so they reach all decoders */
+    for (let field of this.schema.fieldList) {
+      /* variant values are decoded from the whole group */
+      if (field.originalType === 'VARIANT') {
+        field.int64As = opts.int64As || 'number';
+        field.timestampAs = opts.timestampAs || 'date';
+      }
+
+      if (field.originalType === 'GEOMETRY' || field.originalType === 'GEOGRAPHY') {
+        field.geometryAs = opts.geometryAs || 'geojson';
+      }
+
+      if (field.primitiveType === 'INT96') {
+        field.int96As = 'buffer';
+      }
+
+      if (field.primitiveType === 'INT96' ||
+          (field.originalType || '').startsWith('TIMESTAMP_')) {
+        field.timestampAs = opts.timestampAs || 'date';
+      }
+
+      if (field.primitiveType !== 'INT64') {
+        continue;
+      }
+
+      /* decimals and timestamps are always decoded exactly */
+      if (field.originalType === 'DECIMAL' || field.timestampAs) {
+        field.int64As = 'bigint';
+      } else if (opts.int64As) {
+        field.int64As = opts.int64As;
+      }
+    }
 
     /* decode any statistics values */
     if (this.metadata.row_groups) {
@@ -169,9 +766,43 @@ class ParquetReader {
    *
    * The required_columns parameter controls which columns are actually read
    * from disk. An empty array or no value implies all columns. A list of column
-   * names means that only those columns should be loaded from disk.
+   * names means that only those columns should be loaded from disk. Paths
+   * within a VARIANT field (e.g. 'payload.user.id') only read the columns
+   * that the value at that path was shredded into.
+   *
+   * The optional opts.where parameter is a filter expression (see
+   * ParquetFilter) that is used to skip row groups and pages using their
+   * statistics and to drop non-matching rows from the result.
+   *
+   * The representation of the values can be selected per cursor:
+   *  - opts.dates: 'date' (the default) or 'number' (milliseconds since the
+   *    epoch) for timestamps and dates
+   *  - opts.bytes: 'slice' (the default, sharing the page buffer) or 'copy'
+   *    for byte arrays
+   *  - opts.json: 'parse' (the default) or 'raw' (the JSON string)
+   *  - opts.int64: 'number', 'bigint' or 'string' (overrides the int64As
+   *    option of the reader)
+   *  - opts.nulls: 'omit' (the default) to leave out missing optional fields
+   *    or 'null' to set them to null
+   *
+   * The optional opts.offset and opts.limit parameters restrict the cursor to
+   * the rows from offset (counting from 0) up to offset + limit. Only the row
+   * groups and (using the offset index) the pages that contain those rows are
+   * read. A filter only applies to the rows within that range.
+   *
+   * The optional opts.streaming parameter reads the row groups page by page
+   * instead of reading and decoding whole column chunks, so that memory use is
+   * bounded by the page size times the number of selected columns rather than
+   * by the row group size. In streaming mode, pages are not skipped using the
+   * column index. It does not apply to nextBatch().
+   *
+   * The optional opts.prefetch parameter is the number of row groups ahead of
+   * the current one whose selected column chunks are read in the background,
+   * as long as they do not exceed opts.prefetchMemory bytes in total (64 MiB
+   * by default). Prefetched data is discarded by rewind() and close(). It
+   * does not apply to the streaming mode.
    */
-  getCursor(columnList) {
+  getCursor(columnList, opts) {
     if (!columnList) {
       columnList = [];
     }
@@ -182,7 +813,41 @@ class ParquetReader {
         this.metadata, 
         this.envelopeReader,
         this.schema,
-        columnList);
+        columnList,
+        opts);
+  }
+
+  /**
+   * Return the row at index n (counting from 0) or null if the file has fewer
+   * rows. Only the pages that contain the row are read from disk (if the file
+   * has an offset index). The optional columnList is the same as for getCursor
+   */
+  async getRow(n, columnList) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw 'invalid row index: ' + n;
+    }
+
+    return this.getCursor(columnList, { offset: n, limit: 1 }).next();
+  }
+
+  /**
+   * Return an object mode Readable stream of the rows of this file that
+   * closes the reader once all rows have been read or the stream is
+   * destroyed. The optional opts.columns parameter selects the columns (see
+   * getCursor) and opts.highWaterMark the number of rows that are buffered
+   * ahead of the consumer. All other options are passed to the cursor.
+   */
+  createReadStream(opts) {
+    opts = opts || {};
+
+    let cursorOpts = Object.assign({}, opts);
+    delete cursorOpts.columns;
+    delete cursorOpts.highWaterMark;
+
+    return new ParquetReadStream(
+        this,
+        this.getCursor(opts.columns, cursorOpts),
+        { highWaterMark: opts.highWaterMark });
   }
 
   /**
@@ -206,6 +871,10 @@ class ParquetReader {
   getMetadata() {
     let md = {};
     for (let kv of this.metadata.key_value_metadata) {
+      if (kv.key === parquet_types.PARQUET_CUSTOM_TYPES_KEY) {
+        continue;
+      }
+
       md[kv.key] = kv.value;
     }
 
@@ -217,6 +886,11 @@ class ParquetReader {
    * reading rows
    */
   async close() {
+    /* the file is only closed once the pending prefetch reads completed */
+    for (let cursor of this.envelopeReader.prefetchingCursors) {
+      await cursor.cancelPrefetch();
+    }
+
     await this.envelopeReader.close();
     this.envelopeReader = null;
     this.metadata = null;
@@ -306,6 +980,7 @@ class ParquetEnvelopeReader {
     this.readFn = readFn;
     this.close = closeFn;
     this.fileSize = fileSize;
+    this.prefetchingCursors = new Set();
     if (options.maxLength || options.maxSpan || options.queueWait) {
       const bufferReader = new BufferReader(this, options);
       this.read = (offset, length) => bufferReader.read(offset, length);
@@ -376,7 +1051,7 @@ class ParquetEnvelopeReader {
 
   async readPage(offsetIndex, pageNumber, records) {
     let column = Object.assign({},offsetIndex.column);
-    column.metadata = Object.assign({},column.metadata);
+    column.meta_data = Object.assign({},column.meta_data);
     column.meta_data.data_page_offset = offsetIndex.page_locations[pageNumber].offset;
     column.meta_data.total_compressed_size =  offsetIndex.page_locations[pageNumber].compressed_page_size;
     const chunk = await this.readColumnChunk(this.schema, column);
@@ -389,12 +1064,16 @@ class ParquetEnvelopeReader {
     return parquet_shredder.materializeRecords(this.schema, data, records);
   }
 
-  async readRowGroup(schema, rowGroup, columnList) {
+  async readRowGroup(schema, rowGroup, columnList, rowRanges, opts) {
     var buffer = {
       rowCount: +rowGroup.num_rows,
       columnData: {}
     };
 
+    if (rowRanges) {
+      buffer.rowCount = rowRanges.reduce((n, r) => n + r[1] - r[0], 0);
+    }
+
     for (let colChunk of rowGroup.columns) {
       const colMetadata = colChunk.meta_data;
       const colKey = colMetadata.path_in_schema;
@@ -403,40 +1082,189 @@ class ParquetEnvelopeReader {
         continue;
       }
 
-      buffer.columnData[colKey] = await this.readColumnChunk(schema, colChunk);
+      if (rowRanges) {
+        buffer.columnData[colKey] = await this.readColumnChunkRows(
+            schema,
+            colChunk,
+            +rowGroup.num_rows,
+            rowRanges,
+            opts);
+      } else {
+        buffer.columnData[colKey] = await this.readColumnChunk(schema, colChunk, opts);
+      }
     }
 
     return buffer;
   }
 
-  async readColumnChunk(schema, colChunk) {
+  async readColumnChunk(schema, colChunk, opts) {
     if (colChunk.file_path !== null) {
       throw 'external references are not supported';
     }
 
-    let field = schema.findField(colChunk.meta_data.path_in_schema);
-    let type = parquet_util.getThriftEnum(
-        parquet_thrift.Type,
-        colChunk.meta_data.type);
-
-    let compression = parquet_util.getThriftEnum(
-        parquet_thrift.CompressionCodec,
-        colChunk.meta_data.codec);
-
-    let pagesOffset = +colChunk.meta_data.data_page_offset;
-    let pagesSize = +colChunk.meta_data.total_compressed_size;
-    let pagesBuf = await this.read(pagesOffset, pagesSize);
-
-    return decodeDataPages(pagesBuf, {
-      type: type,
-      rLevelMax: field.rLevelMax,
-      dLevelMax: field.dLevelMax,
-      compression: compression,
-      column: field
-    });
+    let pagesBuf = null;
+    if (opts && opts.prefetched && opts.prefetched.has(colChunk)) {
+      pagesBuf = await opts.prefetched.get(colChunk);
+    } else {
+      let range = getColumnChunkRange(colChunk);
+      pagesBuf = await this.read(range.offset, range.length);
+    }
+
+    return decodeColumnChunk(schema, colChunk, pagesBuf, opts);
   }
 
-  async readFooter() {
+  /**
+   * Read only the rows within rowRanges (a sorted list of [start, end) row
+   * indices) from a column chunk. If the column chunk has an offset index,
+   * only the pages that overlap the requested rows are read and decoded
+   */
+  async readColumnChunkRows(schema, colChunk, rowCount, rowRanges, opts) {
+    if (colChunk.file_path !== null) {
+      throw 'external references are not supported';
+    }
+
+    let field = schema.findField(colChunk.meta_data.path_in_schema);
+
+    /* prefetched column chunks are sliced instead of reading single pages */
+    let prefetched = opts && opts.prefetched && opts.prefetched.has(colChunk);
+    if (!colChunk.offset_index_offset || prefetched) {
+      let data = await this.readColumnChunk(schema, colChunk, opts);
+      return sliceColumnData(data, 0, rowRanges, field.dLevelMax);
+    }
+
+    let offsetIndex = await this.readOffsetIndex(colChunk);
+    let locations = offsetIndex.page_locations;
+
+    /* group consecutive pages that overlap the requested rows into runs */
+    let runs = [];
+    for (let i = 0; i < locations.length; i++) {
+      let start = +locations[i].first_row_index;
+      let end = i + 1 < locations.length ? +locations[i + 1].first_row_index : rowCount;
+      if (!overlapsRowRanges(rowRanges, start, end)) {
+        continue;
+      }
+
+      let run = runs[runs.length - 1];
+      if (run && run.last === i - 1) {
+        run.last = i;
+        run.size += locations[i].compressed_page_size;
+      } else {
+        runs.push({
+          first: i,
+          last: i,
+          firstRow: start,
+          offset: +locations[i].offset,
+          size: locations[i].compressed_page_size
+        });
+      }
+    }
+
+    /* any dictionary page is located in front of the first data page */
+    let dictionaryBuf = null;
+    let chunkOffset = +colChunk.meta_data.data_page_offset;
+    if (colChunk.meta_data.dictionary_page_offset > 0) {
+      chunkOffset = Math.min(chunkOffset, +colChunk.meta_data.dictionary_page_offset);
+    }
+
+    if (locations.length > 0 && chunkOffset < +locations[0].offset) {
+      dictionaryBuf = await this.read(chunkOffset, +locations[0].offset - chunkOffset);
+    }
+
+    let result = {
+      rlevels: [],
+      dlevels: [],
+      values: [],
+      count: 0
+    };
+
+    for (let run of runs) {
+      let pagesBuf = await this.read(run.offset, run.size);
+      if (dictionaryBuf) {
+        pagesBuf = Buffer.concat([dictionaryBuf, pagesBuf]);
+      }
+
+      let data = sliceColumnData(
+          await decodeColumnChunk(schema, colChunk, pagesBuf, opts),
+          run.firstRow,
+          rowRanges,
+          field.dLevelMax);
+
+      for (let i = 0; i < data.count; i++) {
+        result.rlevels.push(data.rlevels[i]);
+        result.dlevels.push(data.dlevels[i]);
+      }
+
+      for (let i = 0; i < data.values.length; i++) {
+        result.values.push(data.values[i]);
+      }
+
+      result.count += data.count;
+    }
+
+    return result;
+  }
+
+  /**
+   * Read and decode the data pages of a column chunk one page at a time, so
+   * that only a single page of the column chunk is held in memory. Returns an
+   * async iterator of the decoded levels and values of each data page
+   */
+  async *readColumnChunkPages(schema, colChunk, opts) {
+    if (colChunk.file_path !== null) {
+      throw 'external references are not supported';
+    }
+
+    let decodeOpts = getColumnChunkOptions(schema, colChunk, opts);
+    let range = getColumnChunkRange(colChunk);
+    let offset = range.offset;
+    let end = range.offset + range.length;
+    let dictionary;
+    while (offset < end) {
+      let header = await this.readPageHeader(offset, end);
+      offset += header.size;
+
+      let pageBuf = await this.read(offset, header.pageHeader.compressed_page_size);
+      offset += header.pageHeader.compressed_page_size;
+
+      let cursor = {
+        buffer: pageBuf,
+        offset: 0,
+        size: pageBuf.length
+      };
+
+      let pageData = await decodePage(cursor, header.pageHeader, dictionary, decodeOpts);
+      if (pageData.dictionary) {
+        dictionary = pageData.dictionary;
+      } else {
+        yield pageData;
+      }
+    }
+  }
+
+  /**
+   * Read the page header at offset. The size of the header is not known in
+   * advance, so the read is retried with a larger buffer (up to end) if the
+   * header does not fit
+   */
+  async readPageHeader(offset, end) {
+    let length = Math.min(PARQUET_PAGE_HEADER_SIZE, end - offset);
+    for (;;) {
+      let pageHeader = new parquet_thrift.PageHeader();
+      let buf = await this.read(offset, length);
+      try {
+        let size = parquet_util.decodeThrift(pageHeader, buf);
+        return { pageHeader, size };
+      } catch (err) {
+        if (length >= end - offset) {
+          throw err;
+        }
+
+        length = Math.min(length * 2, end - offset);
+      }
+    }
+  }
+
+  async readFooter() {
     if (typeof this.fileSize === 'function') {
       this.fileSize = await this.fileSize();
     }
@@ -461,6 +1289,538 @@ class ParquetEnvelopeReader {
 
 }
 
+/**
+ * Determine the ranges of rows within a row group that may match the filter
+ * using the column index of every filtered column. Returns a sorted list of
+ * [start, end) row indices
+ */
+async function selectRowRanges(envelopeReader, filter, rowGroup) {
+  const rowCount = +rowGroup.num_rows;
+  let rowRanges = [[0, rowCount]];
+
+  for (let colChunk of rowGroup.columns) {
+    const path = colChunk.meta_data.path_in_schema;
+    if (!filter.hasColumn(path)) {
+      continue;
+    }
+
+    if (!colChunk.column_index_offset || !colChunk.offset_index_offset) {
+      continue;
+    }
+
+    const columnIndex = await envelopeReader.readColumnIndex(colChunk);
+    const offsetIndex = await envelopeReader.readOffsetIndex(colChunk);
+    const locations = offsetIndex.page_locations;
+
+    let pageRanges = [];
+    for (let i = 0; i < locations.length; i++) {
+      if (!filter.matchPage(path, columnIndex, i)) {
+        continue;
+      }
+
+      const start = +locations[i].first_row_index;
+      const end = i + 1 < locations.length ? +locations[i + 1].first_row_index : rowCount;
+      const last = pageRanges[pageRanges.length - 1];
+      if (last && last[1] === start) {
+        last[1] = end;
+      } else {
+        pageRanges.push([start, end]);
+      }
+    }
+
+    rowRanges = intersectRowRanges(rowRanges, pageRanges);
+  }
+
+  return rowRanges;
+}
+
+function intersectRowRanges(a, b) {
+  let result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (start < end) {
+      result.push([start, end]);
+    }
+
+    if (a[i][1] < b[j][1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+}
+
+function overlapsRowRanges(rowRanges, start, end) {
+  return rowRanges.some(r => r[0] < end && start < r[1]);
+}
+
+/**
+ * Only keep the rows within rowRanges from decoded column data. firstRow is
+ * the index of the first row in data within the row group
+ */
+function sliceColumnData(data, firstRow, rowRanges, dLevelMax) {
+  let result = {
+    rlevels: [],
+    dlevels: [],
+    values: [],
+    count: 0
+  };
+
+  let row = firstRow - 1;
+  let valueIndex = 0;
+  let rangeIndex = 0;
+
+  for (let i = 0; i < data.count; i++) {
+    if (data.rlevels[i] === 0) {
+      ++row;
+    }
+
+    while (rangeIndex < rowRanges.length && rowRanges[rangeIndex][1] <= row) {
+      ++rangeIndex;
+    }
+
+    const keep = rangeIndex < rowRanges.length && rowRanges[rangeIndex][0] <= row;
+    if (keep) {
+      result.rlevels.push(data.rlevels[i]);
+      result.dlevels.push(data.dlevels[i]);
+      result.count += 1;
+    }
+
+    if (data.dlevels[i] === dLevelMax) {
+      if (keep) {
+        result.values.push(data.values[valueIndex]);
+      }
+
+      ++valueIndex;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Expand the entries of the column list that point to a VARIANT field or to a
+ * path within a variant into the columns required to reassemble the value at
+ * that path: the metadata, the binary values of the enclosing objects and all
+ * columns of the shredded path. Returns the expanded column list and, per
+ * variant field, the paths that its values are reduced to
+ */
+function expandVariantColumns(schema, columnList) {
+  let columns = [];
+  let projections = [];
+  const addColumn = (path) => {
+    if (parquet_util.fieldIndexOf(columns, path) < 0) {
+      columns.push(path);
+    }
+  };
+
+  for (let entry of columnList) {
+    const path = entry.length === 1 ? entry[0].split('.') : entry;
+
+    let fields = schema.fields;
+    let field = null;
+    let i = 0;
+    for (; i < path.length; i++) {
+      field = fields[path[i]];
+      if (!field ||
+          !field.isNested ||
+          field.originalType ||
+          field.repetitionType === 'REPEATED') {
+        break;
+      }
+
+      fields = field.fields;
+    }
+
+    if (!parquet_variant.isVariant(field)) {
+      addColumn(entry);
+      continue;
+    }
+
+    const variantPath = path.slice(i + 1);
+    addColumn(field.fields.metadata.path);
+
+    let group = field;
+    for (let key of variantPath) {
+      if (group.fields.value) {
+        addColumn(group.fields.value.path);
+      }
+
+      const typed = group.fields.typed_value;
+      if (!typed || !typed.isNested || typed.originalType === 'LIST' || !(key in typed.fields)) {
+        group = null;
+        break;
+      }
+
+      group = typed.fields[key];
+    }
+
+    if (group) {
+      listLeafPaths(group).forEach(addColumn);
+    }
+
+    let projection = projections.find(p => p.path.join(',') === field.path.join(','));
+    if (!projection) {
+      projection = {
+        path: field.path,
+        repeated: field.repetitionType === 'REPEATED',
+        variantPaths: []
+      };
+      projections.push(projection);
+    }
+
+    projection.variantPaths.push(variantPath);
+  }
+
+  /* variants that are read as a whole are not reduced */
+  projections = projections.filter(p => !p.variantPaths.some(v => v.length === 0));
+
+  return { columnList: columns, projections: projections };
+}
+
+function listLeafPaths(field) {
+  if (!field.isNested) {
+    return [field.path];
+  }
+
+  return Object.values(field.fields).reduce((a, f) => a.concat(listLeafPaths(f)), []);
+}
+
+/**
+ * Reduce the reassembled values of the variant fields of the records to the
+ * requested paths (see expandVariantColumns)
+ */
+function projectVariants(records, projections) {
+  const project = (value, variantPaths) => {
+    let result;
+    for (let variantPath of variantPaths) {
+      let v = value;
+      for (let key of variantPath) {
+        v = (v && v.constructor === Object) ? v[key] : undefined;
+      }
+
+      if (v === undefined) {
+        continue;
+      }
+
+      result = result || {};
+      let obj = result;
+      for (let key of variantPath.slice(0, -1)) {
+        obj = obj[key] = obj[key] || {};
+      }
+
+      obj[variantPath[variantPath.length - 1]] = v;
+    }
+
+    return result;
+  };
+
+  for (let projection of projections) {
+    const name = projection.path[projection.path.length - 1];
+    for (let record of records) {
+      let parent = record;
+      for (let p of projection.path.slice(0, -1)) {
+        parent = parent ? parent[p] : undefined;
+      }
+
+      if (!parent || parent[name] === undefined || parent[name] === null) {
+        continue;
+      }
+
+      if (projection.repeated) {
+        parent[name] = parent[name].map(v => {
+          const value = project(v, projection.variantPaths);
+          return value === undefined ? null : value;
+        });
+      } else {
+        parent[name] = project(parent[name], projection.variantPaths);
+        if (parent[name] === undefined) {
+          delete parent[name];
+        }
+      }
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Return a copy of the row buffer that only contains the listed columns. An
+ * empty column list selects all columns
+ */
+function selectColumnData(rowBuffer, columnList) {
+  if (columnList.length === 0) {
+    return rowBuffer;
+  }
+
+  let columnData = {};
+  for (let k in rowBuffer.columnData) {
+    if (parquet_util.fieldIndexOf(columnList, k.split(',')) >= 0) {
+      columnData[k] = rowBuffer.columnData[k];
+    }
+  }
+
+  return {
+    rowCount: rowBuffer.rowCount,
+    columnData: columnData
+  };
+}
+
+/**
+ * Take the levels and values of the next rowCount rows from a column that is
+ * read page by page (see openPageStream). A row may continue on the next page
+ */
+async function readColumnRows(column, rowCount) {
+  let data = {
+    rlevels: [],
+    dlevels: [],
+    values: [],
+    count: 0
+  };
+
+  let rows = 0;
+  for (;;) {
+    if (!column.page || column.index >= column.page.count) {
+      let next = await column.pages.next();
+      if (next.done) {
+        break;
+      }
+
+      column.page = next.value;
+      column.index = 0;
+      column.valueIndex = 0;
+      continue;
+    }
+
+    let page = column.page;
+    let i = column.index;
+    if (page.rlevels[i] === 0) {
+      if (rows === rowCount) {
+        break;
+      }
+
+      rows++;
+    }
+
+    data.rlevels.push(page.rlevels[i]);
+    data.dlevels.push(page.dlevels[i]);
+    if (page.dlevels[i] === column.dLevelMax) {
+      data.values.push(page.values[column.valueIndex++]);
+    }
+
+    data.count++;
+    column.index++;
+  }
+
+  return data;
+}
+
+/**
+ * Typed arrays that hold the values of the physical types in a batch
+ */
+const PARQUET_BATCH_ARRAYS = {
+  'BOOLEAN': Uint8Array,
+  'INT32': Int32Array,
+  'INT64': BigInt64Array,
+  'FLOAT': Float32Array,
+  'DOUBLE': Float64Array
+};
+
+function getBatchArray(field) {
+  switch (field.originalType) {
+    case 'UINT_8':
+    case 'UINT_16':
+    case 'UINT_32':
+      return Uint32Array;
+    case 'UINT_64':
+      return BigUint64Array;
+  }
+
+  return PARQUET_BATCH_ARRAYS[field.primitiveType] || Array;
+}
+
+/**
+ * Convert the column data of a row buffer into a batch, keeping only the rows
+ * for which mask is true (if a mask is given)
+ */
+function decodeBatch(schema, rowBuffer, mask, opts) {
+  let batch = {
+    rowCount: mask ? mask.filter(m => m).length : rowBuffer.rowCount,
+    columns: {},
+    validity: {},
+    offsets: {}
+  };
+
+  for (let k in rowBuffer.columnData) {
+    let column = decodeBatchColumn(
+        schema.findFieldBranch(k),
+        rowBuffer.columnData[k],
+        mask,
+        opts);
+
+    let key = k.split(',').join('.');
+    batch.columns[key] = column.values;
+    if (column.validity) {
+      batch.validity[key] = column.validity;
+    }
+    if (column.offsets) {
+      batch.offsets[key] = column.offsets;
+    }
+  }
+
+  return batch;
+}
+
+function decodeBatchColumn(branch, data, mask, opts) {
+  let field = branch[branch.length - 1];
+  if (field.rLevelMax > 1) {
+    throw 'nextBatch does not support nested repeated columns: ' + field.path.join('.');
+  }
+
+  /* entries below the definition level of the repeated field are empty lists */
+  let repeated = field.rLevelMax > 0;
+  let elementDLevel = 0;
+  if (repeated) {
+    elementDLevel = branch.find(f => f.repetitionType === 'REPEATED').dLevelMax;
+  }
+
+  let ArrayType = getBatchArray(field);
+  let type = field.originalType || field.primitiveType;
+
+  let values = [];
+  let validity = [];
+  let offsets = [];
+  let row = -1;
+  let valueIndex = 0;
+  for (let i = 0; i < data.count; i++) {
+    if (data.rlevels[i] === 0) {
+      row++;
+      if (repeated && (!mask || mask[row])) {
+        offsets.push(values.length);
+      }
+    }
+
+    let defined = data.dlevels[i] === field.dLevelMax;
+    let value = defined ? data.values[valueIndex++] : null;
+    if ((mask && !mask[row]) || data.dlevels[i] < elementDLevel) {
+      continue;
+    }
+
+    if (defined && ArrayType === Array) {
+      value = parquet_types.fromPrimitive(type, value, field, opts);
+    }
+
+    values.push(value);
+    validity.push(defined ? 1 : 0);
+  }
+
+  let column = {};
+  if (ArrayType === Array) {
+    column.values = values;
+  } else {
+    let zero = (ArrayType === BigInt64Array || ArrayType === BigUint64Array) ? 0n : 0;
+    column.values = ArrayType.from(values, v => v === null ? zero : v);
+  }
+
+  if (field.dLevelMax > elementDLevel) {
+    column.validity = Uint8Array.from(validity);
+  }
+
+  if (repeated) {
+    offsets.push(values.length);
+    column.offsets = Int32Array.from(offsets);
+  }
+
+  return column;
+}
+
+/**
+ * Return the rows from start up to end of a batch as a new batch
+ */
+function sliceBatch(batch, start, end) {
+  let slice = {
+    rowCount: end - start,
+    columns: {},
+    validity: {},
+    offsets: {}
+  };
+
+  for (let key in batch.columns) {
+    let first = start;
+    let last = end;
+    if (batch.offsets[key]) {
+      first = batch.offsets[key][start];
+      last = batch.offsets[key][end];
+      slice.offsets[key] = batch.offsets[key].slice(start, end + 1).map(o => o - first);
+    }
+
+    slice.columns[key] = batch.columns[key].slice(first, last);
+    if (batch.validity[key]) {
+      slice.validity[key] = batch.validity[key].slice(first, last);
+    }
+  }
+
+  return slice;
+}
+
+function decodeColumnChunk(schema, colChunk, buffer, opts) {
+  return decodeDataPages(buffer, getColumnChunkOptions(schema, colChunk, opts));
+}
+
+/**
+ * Return the byte range of the pages of a column chunk. The column chunk starts
+ * at the dictionary page if there is one
+ */
+function getColumnChunkRange(colChunk) {
+  let offset = +colChunk.meta_data.data_page_offset;
+  if (colChunk.meta_data.dictionary_page_offset > 0) {
+    offset = Math.min(offset, +colChunk.meta_data.dictionary_page_offset);
+  }
+
+  return {
+    offset: offset,
+    length: +colChunk.meta_data.total_compressed_size
+  };
+}
+
+/**
+ * Return the options for decoding the pages of a column chunk
+ */
+function getColumnChunkOptions(schema, colChunk, opts) {
+  let field = schema.findField(colChunk.meta_data.path_in_schema);
+
+  /* the int64 option of a cursor overrides the one of the reader, decimals
+   * and timestamps are always decoded exactly */
+  if (opts && opts.int64 &&
+      field.primitiveType === 'INT64' &&
+      field.originalType !== 'DECIMAL' &&
+      !field.timestampAs) {
+    field = Object.assign(Object.create(field), { int64As: opts.int64 });
+  }
+
+  let type = parquet_util.getThriftEnum(
+      parquet_thrift.Type,
+      colChunk.meta_data.type);
+
+  let compression = parquet_util.getThriftEnum(
+      parquet_thrift.CompressionCodec,
+      colChunk.meta_data.codec);
+
+  return {
+    type: type,
+    rLevelMax: field.rLevelMax,
+    dLevelMax: field.dLevelMax,
+    compression: compression,
+    column: field
+  };
+}
+
 /**
  * Decode a consecutive array of data using one of the parquet encodings
  */
@@ -477,13 +1837,16 @@ function decodeStatisticsValue(value, column) {
   if (value === null || !value.length) {
     return undefined;
   }
+
+  /* geospatial values are unordered, i.e. their min/max values are meaningless */
+  if (column.originalType === 'GEOMETRY' || column.originalType === 'GEOGRAPHY') {
+    return undefined;
+  }
   if (!column.primitiveType.includes('BYTE_ARRAY')) {
     value = decodeValues(column.primitiveType,'PLAIN',{buffer: Buffer.from(value), offset: 0}, 1, column);
     if (value.length === 1) value = value[0];
   }
-  if (column.originalType) {
-    value = parquet_types.fromPrimitive(column.originalType, value);
-  }
+  value = parquet_types.fromPrimitive(column.originalType || column.primitiveType, value, column);
   return value;
 }
 
@@ -504,7 +1867,7 @@ function decodeStatistics(statistics, column) {
   return statistics;
 }
 
-function decodeDataPages(buffer, opts) {
+async function decodeDataPages(buffer, opts) {
   let cursor = {
     buffer: buffer,
     offset: 0,
@@ -524,33 +1887,10 @@ function decodeDataPages(buffer, opts) {
     const pageHeader = new parquet_thrift.PageHeader();
     cursor.offset += parquet_util.decodeThrift(pageHeader, cursor.buffer.slice(cursor.offset)); 
 
-    const pageType = parquet_util.getThriftEnum(
-        parquet_thrift.PageType,
-        pageHeader.type);
-
-    let pageData = null;
-    
-    
-    switch (pageType) {
-      case 'DATA_PAGE':
-      pageHeader.data_page_header.statistics = decodeStatistics(pageHeader.data_page_header.statistics, opts.column);
-        pageData = decodeDataPage(cursor, pageHeader, opts);
-        
-        break;
-      case 'DATA_PAGE_V2':
-      pageHeader.data_page_header_v2.statistics = decodeStatistics(pageHeader.data_page_header_v2.statistics, opts.column);
-        pageData = decodeDataPageV2(cursor, pageHeader, opts);
-        
-        break;
-      case 'DICTIONARY_PAGE':
-        dictionary = decodeDictionaryPage(cursor, pageHeader, opts);
-        continue;
-      default:
-        throw "invalid page type: " + pageType;
-    }
-
-    if (dictionary) {
-      pageData.values = pageData.values.map(d => dictionary[d]);
+    const pageData = await decodePage(cursor, pageHeader, dictionary, opts);
+    if (pageData.dictionary) {
+      dictionary = pageData.dictionary;
+      continue;
     }
 
     for (let i = 0; i < pageData.rlevels.length; i++) {
@@ -569,7 +1909,50 @@ function decodeDataPages(buffer, opts) {
   return data;
 }
  
-function decodeDictionaryPage(cursor, header, opts) {
+/**
+ * Decode the page at the cursor. Returns { dictionary } for dictionary pages
+ * and the levels and values for data pages, with dictionary encoded values
+ * looked up in the given dictionary
+ */
+async function decodePage(cursor, pageHeader, dictionary, opts) {
+  const pageType = parquet_util.getThriftEnum(
+      parquet_thrift.PageType,
+      pageHeader.type);
+
+  let pageData = null;
+  let pageEncoding = null;
+
+  switch (pageType) {
+    case 'DATA_PAGE':
+      pageHeader.data_page_header.statistics = decodeStatistics(pageHeader.data_page_header.statistics, opts.column);
+      pageData = await decodeDataPage(cursor, pageHeader, opts);
+      pageEncoding = pageHeader.data_page_header.encoding;
+      break;
+    case 'DATA_PAGE_V2':
+      pageHeader.data_page_header_v2.statistics = decodeStatistics(pageHeader.data_page_header_v2.statistics, opts.column);
+      pageData = await decodeDataPageV2(cursor, pageHeader, opts);
+      pageEncoding = pageHeader.data_page_header_v2.encoding;
+      break;
+    case 'DICTIONARY_PAGE':
+      return { dictionary: await decodeDictionaryPage(cursor, pageHeader, opts) };
+    default:
+      throw "invalid page type: " + pageType;
+  }
+
+  /* pages may fall back to a non-dictionary encoding mid column chunk */
+  if (dictionary && isDictionaryEncoding(pageEncoding)) {
+    pageData.values = pageData.values.map(d => dictionary[d]);
+  }
+
+  return pageData;
+}
+
+function isDictionaryEncoding(encoding) {
+  return encoding === parquet_thrift.Encoding.PLAIN_DICTIONARY ||
+      encoding === parquet_thrift.Encoding.RLE_DICTIONARY;
+}
+
+async function decodeDictionaryPage(cursor, header, opts) {
   const cursorEnd = cursor.offset + header.compressed_page_size;
 
   let dictCursor = {
@@ -581,7 +1964,7 @@ function decodeDictionaryPage(cursor, header, opts) {
   cursor.offset = cursorEnd;
 
   if (opts.compression && opts.compression !== 'UNCOMPRESSED') {
-    let valuesBuf = parquet_compression.inflate(
+    let valuesBuf = await parquet_compression.inflate(
         opts.compression,
         dictCursor.buffer.slice(dictCursor.offset,cursorEnd));
 
@@ -592,12 +1975,22 @@ function decodeDictionaryPage(cursor, header, opts) {
     };
   }
 
-  return decodeValues('BYTE_ARRAY', 'PLAIN', dictCursor, header.dictionary_page_header.num_values, opts)
-    .map(d => d.toString());
+  /* dictionary values are always PLAIN encoded using the column's primitive
+   * type; the logical type is applied when the records are materialized */
+  return decodeValues(
+      opts.type,
+      'PLAIN',
+      dictCursor,
+      header.dictionary_page_header.num_values,
+      {
+        typeLength: opts.column.typeLength,
+        int64As: opts.column.int64As,
+        int96As: opts.column.int96As
+      });
 
 }
 
-function decodeDataPage(cursor, header, opts) {
+async function decodeDataPage(cursor, header, opts) {
   const cursorEnd = cursor.offset + header.compressed_page_size;
   let valueCount = header.data_page_header.num_values;
   let valueEncoding = parquet_util.getThriftEnum(
@@ -606,7 +1999,7 @@ function decodeDataPage(cursor, header, opts) {
 
   let valuesBufCursor = cursor;
   if (opts.compression && opts.compression !== 'UNCOMPRESSED') {
-    let valuesBuf = parquet_compression.inflate(
+    let valuesBuf = await parquet_compression.inflate(
         opts.compression,
         cursor.buffer.slice(cursor.offset, cursorEnd));
 
@@ -671,9 +2064,13 @@ function decodeDataPage(cursor, header, opts) {
       {
         typeLength: opts.column.typeLength,
         bitWidth: opts.column.typeLength,
-        disableEnvelope: opts.column.disableEnvelope
+        disableEnvelope: opts.column.disableEnvelope,
+        int64As: opts.column.int64As,
+        int96As: opts.column.int96As
       });
 
+  cursor.offset = cursorEnd;
+
   return {
     dlevels: dLevels,
     rlevels: rLevels,
@@ -682,11 +2079,19 @@ function decodeDataPage(cursor, header, opts) {
   };
 }
 
-function decodeDataPageV2(cursor, header, opts) {
+async function decodeDataPageV2(cursor, header, opts) {
   const cursorEnd = cursor.offset + header.compressed_page_size;
 
-  const valueCount = header.data_page_header_v2.num_rows;
-  const valueCountNonNull = valueCount - header.data_page_header_v2.num_nulls;
+  /* num_values counts the levels of the page and num_rows its records, which
+   * differ for repeated columns. Older versions of parquet.js wrote the number
+   * of non-null values to num_values and the number of levels to num_rows;
+   * for valid headers num_values + num_nulls only equals num_rows if there are
+   * no nulls and num_values equals num_rows */
+  const header_v2 = header.data_page_header_v2;
+  const valueCount = header_v2.num_values + header_v2.num_nulls === header_v2.num_rows ?
+      header_v2.num_rows :
+      header_v2.num_values;
+  const valueCountNonNull = valueCount - header_v2.num_nulls;
   const valueEncoding = parquet_util.getThriftEnum(
       parquet_thrift.Encoding,
       header.data_page_header_v2.encoding);
@@ -727,7 +2132,7 @@ function decodeDataPageV2(cursor, header, opts) {
   let valuesBufCursor = cursor;
 
   if (header.data_page_header_v2.is_compressed) {
-    let valuesBuf = parquet_compression.inflate(
+    let valuesBuf = await parquet_compression.inflate(
         opts.compression,
         cursor.buffer.slice(cursor.offset, cursorEnd));
 
@@ -747,7 +2152,9 @@ function decodeDataPageV2(cursor, header, opts) {
       valueCountNonNull,
       {
         typeLength: opts.column.typeLength,
-        bitWidth: opts.column.typeLength
+        bitWidth: opts.column.typeLength,
+        int64As: opts.column.int64As,
+        int96As: opts.column.int96As
       });
 
   return {
@@ -781,6 +2188,7 @@ function decodeSchema(schemaElements) {
 
     if (schemaElement.num_children > 0) {
       schema[schemaElement.name] = {
+        type: decodeGroupType(schemaElement, repeated),
         optional: optional,
         repeated: repeated,
         fields: Object.create({},{
@@ -808,12 +2216,30 @@ function decodeSchema(schemaElements) {
             schemaElement.converted_type);
       }
 
-      schema[schemaElement.name] = {
+      /* the logical type annotation takes precedence over the converted type */
+      const annotation = decodeLogicalType(schemaElement.logicalType);
+      if (annotation) {
+        logicalType = annotation.type;
+      }
+
+      let field = schema[schemaElement.name] = {
         type: logicalType,
         typeLength: schemaElement.type_length,
         optional: optional,
         repeated: repeated
       };
+
+      if (logicalType === 'DECIMAL') {
+        field.precision = schemaElement.precision;
+        field.scale = schemaElement.scale;
+        field.primitiveType = parquet_util.getThriftEnum(
+            parquet_thrift.Type,
+            schemaElement.type);
+      }
+
+      if (annotation) {
+        Object.assign(field, annotation.params);
+      }
     }
 
     /* if we have processed all children we move schema pointer to parent again */
@@ -824,6 +2250,178 @@ function decodeSchema(schemaElements) {
   return schema;
 }
 
+/**
+ * Restore the user-defined logical types recorded in the key/value metadata.
+ * Columns whose type is not registered (or is registered with a different
+ * primitive type) are read as their primitive type
+ */
+function decodeCustomTypes(schema, keyValueMetadata) {
+  const kv = (keyValueMetadata || []).find(
+      kv => kv.key === parquet_types.PARQUET_CUSTOM_TYPES_KEY);
+
+  if (!kv) {
+    return;
+  }
+
+  let customTypes;
+  try {
+    customTypes = JSON.parse(kv.value);
+  } catch (e) {
+    return;
+  }
+
+  for (let path in customTypes) {
+    let field = { fields: schema };
+    for (let name of path.split(',')) {
+      field = field && field.fields && field.fields[name];
+    }
+
+    const typeDef = parquet_types.PARQUET_LOGICAL_TYPES[customTypes[path]];
+    if (field && !field.fields && typeDef && typeDef.custom &&
+        typeDef.primitiveType === field.type) {
+      field.type = customTypes[path];
+    }
+  }
+}
+
+/**
+ * Returns LIST or MAP if the group is annotated as a list or a map. Some
+ * legacy writers annotate map groups as MAP_KEY_VALUE instead of MAP
+ */
+function decodeGroupType(schemaElement, repeated) {
+  const annotation = decodeLogicalType(schemaElement.logicalType);
+  if (annotation) {
+    return annotation.type;
+  }
+
+  if (schemaElement.converted_type == null) {
+    return undefined;
+  }
+
+  const convertedType = parquet_util.getThriftEnum(
+      parquet_thrift.ConvertedType,
+      schemaElement.converted_type);
+
+  if (convertedType === 'MAP_KEY_VALUE' && !repeated) {
+    return 'MAP';
+  }
+
+  return convertedType;
+}
+
+/**
+ * Decode the logical type annotation of a schema element into the name of
+ * the corresponding type (e.g. TIMESTAMP_NANOS or UINT_16) and the parameters
+ * of the type. Returns null if the element has no (known) annotation
+ */
+function decodeLogicalType(logicalType) {
+  if (!logicalType) {
+    return null;
+  }
+
+  if (logicalType.LIST) {
+    return { type: 'LIST' };
+  }
+
+  if (logicalType.MAP) {
+    return { type: 'MAP' };
+  }
+
+  if (logicalType.VARIANT) {
+    return { type: 'VARIANT' };
+  }
+
+  if (logicalType.STRING) {
+    return { type: 'UTF8' };
+  }
+
+  if (logicalType.ENUM) {
+    return { type: 'ENUM' };
+  }
+
+  if (logicalType.UUID) {
+    return { type: 'UUID' };
+  }
+
+  if (logicalType.JSON) {
+    return { type: 'JSON' };
+  }
+
+  if (logicalType.BSON) {
+    return { type: 'BSON' };
+  }
+
+  if (logicalType.UNKNOWN) {
+    return { type: 'NULL' };
+  }
+
+  if (logicalType.DATE) {
+    return { type: 'DATE' };
+  }
+
+  if (logicalType.FLOAT16) {
+    return { type: 'FLOAT16' };
+  }
+
+  if (logicalType.GEOMETRY) {
+    return {
+      type: 'GEOMETRY',
+      params: {
+        crs: logicalType.GEOMETRY.crs
+      }
+    };
+  }
+
+  if (logicalType.GEOGRAPHY) {
+    let algorithm = logicalType.GEOGRAPHY.algorithm;
+    if (algorithm !== null && algorithm !== undefined) {
+      algorithm = parquet_util.getThriftEnum(
+          parquet_thrift.EdgeInterpolationAlgorithm,
+          algorithm);
+    }
+
+    return {
+      type: 'GEOGRAPHY',
+      params: {
+        crs: logicalType.GEOGRAPHY.crs,
+        algorithm: algorithm || undefined
+      }
+    };
+  }
+
+  if (logicalType.DECIMAL) {
+    return {
+      type: 'DECIMAL',
+      params: {
+        precision: logicalType.DECIMAL.precision,
+        scale: logicalType.DECIMAL.scale
+      }
+    };
+  }
+
+  if (logicalType.INTEGER) {
+    const prefix = logicalType.INTEGER.isSigned ? 'INT_' : 'UINT_';
+    return { type: prefix + logicalType.INTEGER.bitWidth };
+  }
+
+  const temporal = logicalType.TIMESTAMP || logicalType.TIME;
+  if (temporal) {
+    const unit = ['MILLIS', 'MICROS', 'NANOS'].find(u => temporal.unit[u]);
+    if (!unit) {
+      return null;
+    }
+
+    return {
+      type: (logicalType.TIMESTAMP ? 'TIMESTAMP_' : 'TIME_') + unit,
+      params: {
+        isAdjustedToUTC: temporal.isAdjustedToUTC
+      }
+    };
+  }
+
+  return null;
+}
+
 module.exports = {
   ParquetEnvelopeReader,
   ParquetReader,
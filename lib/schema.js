@@ -3,9 +3,16 @@ const parquet_codec = require('./codec');
 const parquet_compression = require('./compression');
 const parquet_types = require('./types');
 const parquet_util = require('./util');
+const parquet_geo = require('./geo');
+const parquet_variant = require('./variant');
 
 const PARQUET_COLUMN_KEY_SEPARATOR = '.';
 
+/**
+ * Logical types of groups (i.e. nested fields)
+ */
+const PARQUET_GROUP_TYPES = ['LIST', 'MAP', 'VARIANT'];
+
 /**
  * A parquet file schema
  */
@@ -76,7 +83,20 @@ function buildFields(schema, rLevelParentMax, dLevelParentMax, path) {
 
   let fieldList = {};
   for (let name in schema) {
-    const opts = schema[name];
+    let opts = schema[name];
+
+    /* LIST, MAP and VARIANT fields are groups with a spec-compliant structure */
+    if (opts.type === 'LIST' && !opts.fields) {
+      opts = buildListDefinition(name, opts);
+    }
+
+    if (opts.type === 'MAP' && !opts.fields) {
+      opts = buildMapDefinition(name, opts);
+    }
+
+    if (opts.type === 'VARIANT' && !opts.fields) {
+      opts = buildVariantDefinition(name, opts);
+    }
 
     /* field repetition type */
     const required = !opts.optional;
@@ -117,6 +137,10 @@ function buildFields(schema, rLevelParentMax, dLevelParentMax, path) {
               path.concat([name]))
       };
 
+      if (PARQUET_GROUP_TYPES.includes(opts.type)) {
+        fieldList[name].originalType = opts.type;
+      }
+
       continue;
     }
 
@@ -126,6 +150,10 @@ function buildFields(schema, rLevelParentMax, dLevelParentMax, path) {
       throw 'invalid parquet type: ' + opts.type;
     }
 
+    if (opts.type === 'NULL' && repetitionType !== 'OPTIONAL') {
+      throw 'NULL field must be optional: ' + name;
+    }
+
     /* field encoding */
     if (!opts.encoding) {
       opts.encoding = 'PLAIN';
@@ -143,6 +171,25 @@ function buildFields(schema, rLevelParentMax, dLevelParentMax, path) {
       throw 'unsupported compression method: ' + opts.compression;
     }
 
+    if (opts.compressionOptions !== undefined &&
+        (!opts.compressionOptions || typeof opts.compressionOptions !== 'object')) {
+      throw 'invalid compression options: ' + opts.compressionOptions;
+    }
+
+    /* compressionLevel is a shorthand for compressionOptions.level */
+    if (opts.compressionLevel !== undefined) {
+      opts.compressionOptions = Object.assign(
+          {},
+          opts.compressionOptions,
+          { level: opts.compressionLevel });
+    }
+
+    if (opts.compressionOptions &&
+        opts.compressionOptions.level !== undefined &&
+        !Number.isInteger(opts.compressionOptions.level)) {
+      throw 'invalid compression level: ' + opts.compressionOptions.level;
+    }
+
     /* add to schema */
     fieldList[name] = {
       name: name,
@@ -153,15 +200,263 @@ function buildFields(schema, rLevelParentMax, dLevelParentMax, path) {
       encoding: opts.encoding,
       statistics: opts.statistics,
       compression: opts.compression,
+      compressionOptions: opts.compressionOptions,
       typeLength: opts.typeLength || typeDef.typeLength,
       rLevelMax: rLevelMax,
       dLevelMax: dLevelMax
     };
+
+    if (opts.type === 'DECIMAL') {
+      buildDecimalField(fieldList[name], opts);
+    }
+
+    if (/^(TIME|TIMESTAMP)_/.test(opts.type)) {
+      buildTemporalField(fieldList[name], opts);
+    }
+
+    if (opts.type === 'GEOMETRY' || opts.type === 'GEOGRAPHY') {
+      buildGeospatialField(fieldList[name], opts);
+    }
   }
 
   return fieldList;
 }
 
+/**
+ * Expand a { type: 'LIST', element: ... } definition into the three-level
+ * list structure: <name> (LIST) { repeated group list { element } }
+ */
+function buildListDefinition(name, opts) {
+  if (!opts.element || typeof opts.element !== 'object') {
+    throw 'missing element definition for LIST: ' + name;
+  }
+
+  if (opts.element.repeated) {
+    throw 'element of LIST can not be repeated: ' + name;
+  }
+
+  return {
+    type: 'LIST',
+    optional: opts.optional,
+    repeated: opts.repeated,
+    statistics: opts.statistics,
+    fields: {
+      list: {
+        repeated: true,
+        fields: {
+          element: opts.element
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Expand a { type: 'MAP', key: ..., value: ... } definition into the map
+ * structure: <name> (MAP) { repeated group key_value { key, value } }
+ */
+function buildMapDefinition(name, opts) {
+  if (!opts.key || typeof opts.key !== 'object' || !opts.value || typeof opts.value !== 'object') {
+    throw 'missing key or value definition for MAP: ' + name;
+  }
+
+  if (opts.key.optional || opts.key.repeated || opts.key.fields) {
+    throw 'key of MAP must be a required primitive field: ' + name;
+  }
+
+  if (opts.value.repeated) {
+    throw 'value of MAP can not be repeated: ' + name;
+  }
+
+  return {
+    type: 'MAP',
+    optional: opts.optional,
+    repeated: opts.repeated,
+    statistics: opts.statistics,
+    fields: {
+      key_value: {
+        repeated: true,
+        fields: {
+          key: opts.key,
+          value: opts.value
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Expand a { type: 'VARIANT', shredding: ... } definition into the variant
+ * structure: <name> (VARIANT) { metadata, value, typed_value }
+ *
+ * The optional shredding is the type of the shredded value: the name of a
+ * primitive type, an array with the shredding of the elements or an object
+ * with the shredding of the fields, e.g.
+ *
+ *   { user: { id: 'INT64', name: 'UTF8' }, tags: ['UTF8'] }
+ */
+function buildVariantDefinition(name, opts) {
+  let fields = {
+    metadata: { type: 'BYTE_ARRAY' },
+    value: { type: 'BYTE_ARRAY', optional: opts.shredding !== undefined }
+  };
+
+  if (opts.shredding !== undefined) {
+    fields.typed_value = buildShreddedDefinition(name, opts.shredding);
+  }
+
+  return {
+    type: 'VARIANT',
+    optional: opts.optional,
+    repeated: opts.repeated,
+    statistics: opts.statistics,
+    fields: fields
+  };
+}
+
+/**
+ * Build the definition of the typed_value field of a shredded variant value
+ */
+function buildShreddedDefinition(name, shredding) {
+  if (typeof shredding === 'string') {
+    if (!(shredding in parquet_variant.PARQUET_VARIANT_SHREDDED_TYPES)) {
+      throw 'invalid shredded type for VARIANT: ' + shredding;
+    }
+
+    return { type: shredding, optional: true };
+  }
+
+  /* elements of arrays and fields of objects are groups of a value and a
+   * typed_value, the latter may be shredded further */
+  const buildGroup = (s) => ({
+    fields: {
+      value: { type: 'BYTE_ARRAY', optional: true },
+      typed_value: buildShreddedDefinition(name, s)
+    }
+  });
+
+  if (Array.isArray(shredding) && shredding.length === 1) {
+    return {
+      type: 'LIST',
+      optional: true,
+      element: buildGroup(shredding[0])
+    };
+  }
+
+  if (shredding && shredding.constructor === Object && Object.keys(shredding).length > 0) {
+    let fields = {};
+    for (let key in shredding) {
+      fields[key] = buildGroup(shredding[key]);
+    }
+
+    return { optional: true, fields: fields };
+  }
+
+  throw 'invalid shredding for VARIANT: ' + name;
+}
+
+/**
+ * DECIMAL fields store their precision and scale. Unless a primitive type is
+ * given, the smallest primitive type that can hold the precision is used
+ */
+function buildDecimalField(field, opts) {
+  const precision = opts.precision;
+  const scale = opts.scale === undefined ? 0 : opts.scale;
+
+  if (!Number.isInteger(precision) || precision < 1) {
+    throw 'invalid precision for DECIMAL: ' + precision;
+  }
+
+  if (!Number.isInteger(scale) || scale < 0 || scale > precision) {
+    throw 'invalid scale for DECIMAL: ' + scale;
+  }
+
+  let primitiveType = opts.primitiveType;
+  if (!primitiveType) {
+    if (precision <= 9) {
+      primitiveType = 'INT32';
+    } else if (precision <= 18) {
+      primitiveType = 'INT64';
+    } else {
+      primitiveType = 'FIXED_LEN_BYTE_ARRAY';
+    }
+  }
+
+  switch (primitiveType) {
+
+    case 'INT32':
+      if (precision > 9) {
+        throw 'invalid precision for DECIMAL(INT32): ' + precision;
+      }
+      break;
+
+    case 'INT64':
+      if (precision > 18) {
+        throw 'invalid precision for DECIMAL(INT64): ' + precision;
+      }
+      break;
+
+    case 'FIXED_LEN_BYTE_ARRAY':
+      if (!field.typeLength) {
+        field.typeLength = Math.ceil((precision * Math.log2(10) + 1) / 8);
+      }
+
+      if (precision > Math.floor(Math.log10(Math.pow(2, 8 * field.typeLength - 1) - 1))) {
+        throw 'invalid precision for DECIMAL(FIXED_LEN_BYTE_ARRAY(' +
+            field.typeLength + ')): ' + precision;
+      }
+      break;
+
+    case 'BYTE_ARRAY':
+      break;
+
+    default:
+      throw 'invalid primitive type for DECIMAL: ' + primitiveType;
+
+  }
+
+  field.primitiveType = primitiveType;
+  field.precision = precision;
+  field.scale = scale;
+}
+
+/**
+ * TIME and TIMESTAMP fields store whether their values are adjusted to UTC
+ * (the default) or are local times
+ */
+function buildTemporalField(field, opts) {
+  const isAdjustedToUTC = opts.isAdjustedToUTC === undefined ? true : opts.isAdjustedToUTC;
+
+  if (typeof isAdjustedToUTC !== 'boolean') {
+    throw 'invalid isAdjustedToUTC for ' + opts.type + ': ' + isAdjustedToUTC;
+  }
+
+  field.isAdjustedToUTC = isAdjustedToUTC;
+}
+
+/**
+ * The coordinate reference system defaults to OGC:CRS84 (longitude/latitude)
+ * and the edges of geographies to spherical interpolation
+ */
+function buildGeospatialField(field, opts) {
+  if (opts.crs !== undefined && opts.crs !== null) {
+    if (typeof opts.crs !== 'string' || !opts.crs) {
+      throw 'invalid crs for ' + opts.type + ': ' + opts.crs;
+    }
+
+    field.crs = opts.crs;
+  }
+
+  if (opts.type === 'GEOGRAPHY') {
+    const algorithm = opts.algorithm || 'SPHERICAL';
+    if (!parquet_geo.PARQUET_EDGE_ALGORITHMS.includes(algorithm)) {
+      throw 'invalid edge algorithm for GEOGRAPHY: ' + algorithm;
+    }
+
+    field.algorithm = algorithm;
+  }
+}
+
 function listFields(fields) {
   let list = [];
 
@@ -1,6 +1,7 @@
 'use strict';
 const parquet_types = require('./types');
 const parquet_schema = require('./schema');
+const parquet_variant = require('./variant');
 
 /**
  * 'Shred' a record into a list of <value, repetition_level, definition_level>
@@ -87,13 +88,20 @@ function shredRecordInternal(fields, record, data, rlvl, dlvl) {
     // fetch values
     let values = [];
     if (record && (fieldName in record) && record[fieldName] !== undefined && record[fieldName] !== null) {
-      if (record[fieldName].constructor === Array) {
+      if (isGroupType(field) && field.repetitionType !== 'REPEATED') {
+        values.push(record[fieldName]);
+      } else if (record[fieldName].constructor === Array) {
         values = record[fieldName];
       } else {
         values.push(record[fieldName]);
       }
     }
 
+    // lists, maps and variants are converted to their physical (nested) structure
+    if (isGroupType(field)) {
+      values = values.map(v => toGroupValue(field, v));
+    }
+
     // check values
     if (values.length == 0 && !!record && field.repetitionType === 'REQUIRED') {
       throw 'missing required field: ' + field.name;
@@ -133,7 +141,7 @@ function shredRecordInternal(fields, record, data, rlvl, dlvl) {
             field.dLevelMax);
       } else {
         data[field.path].distinct_values.add(values[i]);
-        data[field.path].values.push(parquet_types.toPrimitive(fieldType, values[i]));
+        data[field.path].values.push(parquet_types.toPrimitive(fieldType, values[i], field));
         data[field.path].rlevels.push(rlvl_i);
         data[field.path].dlevels.push(field.dLevelMax);
         data[field.path].count += 1;
@@ -142,6 +150,170 @@ function shredRecordInternal(fields, record, data, rlvl, dlvl) {
   }
 }
 
+/**
+ * Returns the repeated field and the element field of a LIST group. Following
+ * the backward-compatibility rules of the spec, the repeated field is itself
+ * the element in legacy two-level lists. Returns null if the group is not a
+ * valid list
+ */
+function getListFields(field) {
+  const children = Object.values(field.fields);
+  if (children.length !== 1 || children[0].repetitionType !== 'REPEATED') {
+    return null;
+  }
+
+  const repeated = children[0];
+  if (!repeated.isNested ||
+      repeated.fieldCount > 1 ||
+      repeated.name === 'array' ||
+      repeated.name === field.name + '_tuple') {
+    return { repeated: repeated, element: repeated };
+  }
+
+  return { repeated: repeated, element: Object.values(repeated.fields)[0] };
+}
+
+/**
+ * Returns the repeated key/value field and the key and value fields of a MAP
+ * group. Returns null if the group is not a valid map
+ */
+function getMapFields(field) {
+  const children = Object.values(field.fields);
+  if (children.length !== 1 ||
+      children[0].repetitionType !== 'REPEATED' ||
+      !children[0].isNested) {
+    return null;
+  }
+
+  const entry = Object.values(children[0].fields);
+  return { repeated: children[0], key: entry[0], value: entry[1] };
+}
+
+function isListOrMap(field) {
+  return (field.originalType === 'LIST' && !!getListFields(field)) ||
+      (field.originalType === 'MAP' && !!getMapFields(field));
+}
+
+/**
+ * Returns true if the values of field are converted from and to the physical
+ * structure of the group (i.e. LIST, MAP and VARIANT groups)
+ */
+function isGroupType(field) {
+  return isListOrMap(field) || parquet_variant.isVariant(field);
+}
+
+/**
+ * Convert an array (for LIST groups), a Map or a plain object (for MAP groups)
+ * or any value (for VARIANT groups) to the nested structure of the group
+ */
+function toGroupValue(field, value) {
+  if (field.originalType === 'VARIANT') {
+    return parquet_variant.toVariantGroup(field, value);
+  }
+
+  if (field.originalType === 'LIST') {
+    if (value.constructor !== Array) {
+      throw 'value for LIST must be an array: ' + field.name;
+    }
+
+    const list = getListFields(field);
+    if (list.element === list.repeated) {
+      return { [list.repeated.name]: value };
+    }
+
+    return {
+      [list.repeated.name]: value.map(v => ({ [list.element.name]: v }))
+    };
+  }
+
+  let entries;
+  if (value instanceof Map) {
+    entries = [...value.entries()];
+  } else if (value.constructor === Object) {
+    entries = Object.entries(value);
+  } else {
+    throw 'value for MAP must be a Map or an object: ' + field.name;
+  }
+
+  const map = getMapFields(field);
+  return {
+    [map.repeated.name]: entries.map(([k, v]) => {
+      let entry = { [map.key.name]: k };
+      if (map.value) {
+        entry[map.value.name] = v;
+      }
+
+      return entry;
+    })
+  };
+}
+
+/**
+ * Convert the nested structure of LIST, MAP and VARIANT groups in a
+ * materialized record to arrays, Maps and the reassembled variant values
+ */
+function fromGroupValues(fields, record, opts) {
+  for (let name in record) {
+    if (!(name in fields)) {
+      continue;
+    }
+
+    const field = fields[name];
+    if (field.repetitionType === 'REPEATED' && Array.isArray(record[name])) {
+      record[name] = record[name].map(v => fromGroupValue(field, v, opts));
+    } else {
+      record[name] = fromGroupValue(field, record[name], opts);
+    }
+
+    /* variants whose columns were not read are missing */
+    if (record[name] === undefined) {
+      delete record[name];
+    }
+  }
+
+  return record;
+}
+
+function fromGroupValue(field, value, opts) {
+  if (value === null || value === undefined || !field.isNested) {
+    return value;
+  }
+
+  if (field.originalType === 'LIST' && getListFields(field)) {
+    const list = getListFields(field);
+    const items = value[list.repeated.name] || [];
+
+    if (list.element === list.repeated) {
+      return items.map(v => fromGroupValue(list.element, v, opts));
+    }
+
+    return items.map(v => {
+      const element = v[list.element.name];
+      return element === undefined ? null : fromGroupValue(list.element, element, opts);
+    });
+  }
+
+  if (parquet_variant.isVariant(field)) {
+    return parquet_variant.fromVariantGroup(field, value, opts);
+  }
+
+  if (field.originalType === 'MAP' && getMapFields(field)) {
+    const map = getMapFields(field);
+    const items = value[map.repeated.name] || [];
+
+    return new Map(items.map(v => {
+      const key = fromGroupValue(map.key, v[map.key.name], opts);
+      const val = map.value ? v[map.value.name] : undefined;
+      return [key, val === undefined ? null : fromGroupValue(map.value, val, opts)];
+    }));
+  }
+
+  return fromGroupValues(field.fields, value, opts);
+}
+
+exports.getListFields = getListFields;
+exports.getMapFields = getMapFields;
+
 /**
  * 'Materialize' a list of <value, repetition_level, definition_level>
  * tuples back to nested records (objects/arrays) using the Google Dremel
@@ -161,12 +333,17 @@ function shredRecordInternal(fields, record, data, rlvl, dlvl) {
  *      rowCount: X,
  *   }
  *
+ * The optional opts select the representation of the values (see
+ * ParquetCursor). If opts.nulls is 'null', missing optional fields are set
+ * to null instead of being omitted
  */
-exports.materializeRecords = function(schema, buffer, records) {
+exports.materializeRecords = function(schema, buffer, records, opts) {
   if (!records) {
     records = [];
   }
 
+  const nulls = !!opts && opts.nulls === 'null';
+
   for (let k in buffer.columnData) {
     const field = schema.findField(k);
     const fieldBranch = schema.findFieldBranch(k);
@@ -186,7 +363,9 @@ exports.materializeRecords = function(schema, buffer, records) {
       if (dLevel === field.dLevelMax) {
         value = parquet_types.fromPrimitive(
             field.originalType || field.primitiveType,
-            values.next().value);
+            values.next().value,
+            field,
+            opts);
       }
 
       records[rLevels[0] - 1] = records[rLevels[0] - 1] || {};
@@ -196,17 +375,27 @@ exports.materializeRecords = function(schema, buffer, records) {
           fieldBranch,
           rLevels.slice(1),
           dLevel,
-          value);
+          value,
+          nulls);
     }
   }
 
+  if (schema.fieldList.some(f => isGroupType(f))) {
+    records.forEach(record => fromGroupValues(schema.fields, record, opts));
+  }
+
   return records;
 }
 
-function materializeRecordField(record, branch, rLevels, dLevel, value) {
+function materializeRecordField(record, branch, rLevels, dLevel, value, nulls) {
   const node = branch[0];
 
   if (dLevel < node.dLevelMax) {
+    /* optional fields that are not defined are null, repeated fields are empty */
+    if (nulls && node.repetitionType === 'OPTIONAL' && !(node.name in record)) {
+      record[node.name] = null;
+    }
+
     return;
   }
 
@@ -225,7 +414,8 @@ function materializeRecordField(record, branch, rLevels, dLevel, value) {
           branch.slice(1),
           rLevels.slice(1),
           dLevel,
-          value);
+          value,
+          nulls);
     } else {
       record[node.name] = record[node.name] || {};
 
@@ -234,7 +424,8 @@ function materializeRecordField(record, branch, rLevels, dLevel, value) {
           branch.slice(1),
           rLevels,
           dLevel,
-          value);
+          value,
+          nulls);
     }
   } else {
     if (node.repetitionType === "REPEATED") {
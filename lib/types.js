@@ -1,5 +1,6 @@
 'use strict';
 const BSON = require('bson');
+const parquet_geo = require('./geo');
 
 const PARQUET_LOGICAL_TYPES = {
   'BOOLEAN': {
@@ -13,11 +14,14 @@ const PARQUET_LOGICAL_TYPES = {
   },
   'INT64': {
     primitiveType: 'INT64',
-    toPrimitive: toPrimitive_INT64
+    toPrimitive: toPrimitive_INT64,
+    compare: compare_INT64
   },
   'INT96': {
     primitiveType: 'INT96',
-    toPrimitive: toPrimitive_INT96
+    toPrimitive: toPrimitive_INT96,
+    fromPrimitive: fromPrimitive_INT96,
+    compare: compare_INT96
   },
   'FLOAT': {
     primitiveType: 'FLOAT',
@@ -27,6 +31,14 @@ const PARQUET_LOGICAL_TYPES = {
     primitiveType: 'DOUBLE',
     toPrimitive: toPrimitive_DOUBLE
   },
+  'FLOAT16': {
+    primitiveType: 'FIXED_LEN_BYTE_ARRAY',
+    originalType: 'FLOAT16',
+    typeLength: 2,
+    toPrimitive: toPrimitive_FLOAT16,
+    fromPrimitive: fromPrimitive_FLOAT16,
+    compare: compare_FLOAT16
+  },
   'BYTE_ARRAY': {
     primitiveType: 'BYTE_ARRAY',
     toPrimitive: toPrimitive_BYTE_ARRAY
@@ -41,33 +53,73 @@ const PARQUET_LOGICAL_TYPES = {
     toPrimitive: toPrimitive_UTF8,
     fromPrimitive: fromPrimitive_UTF8
   },
+  'ENUM': {
+    primitiveType: 'BYTE_ARRAY',
+    originalType: 'ENUM',
+    toPrimitive: toPrimitive_UTF8,
+    fromPrimitive: fromPrimitive_UTF8
+  },
+  'UUID': {
+    primitiveType: 'FIXED_LEN_BYTE_ARRAY',
+    originalType: 'UUID',
+    typeLength: 16,
+    toPrimitive: toPrimitive_UUID,
+    fromPrimitive: fromPrimitive_UUID,
+    compare: compare_UUID
+  },
+  'NULL': {
+    primitiveType: 'INT32',
+    originalType: 'NULL',
+    toPrimitive: toPrimitive_NULL
+  },
   'TIME_MILLIS': {
     primitiveType: 'INT32',
     originalType: 'TIME_MILLIS',
-    toPrimitive: toPrimitive_TIME_MILLIS
+    toPrimitive: toPrimitive_TIME_MILLIS,
+    fromPrimitive: fromPrimitive_TIME,
+    compare: compare_TIME_MILLIS
   },
   'TIME_MICROS': {
     primitiveType: 'INT64',
     originalType: 'TIME_MICROS',
-    toPrimitive: toPrimitive_TIME_MICROS
+    toPrimitive: toPrimitive_TIME_MICROS,
+    fromPrimitive: fromPrimitive_TIME,
+    compare: compare_TIME_MICROS
+  },
+  'TIME_NANOS': {
+    primitiveType: 'INT64',
+    originalType: 'TIME_NANOS',
+    toPrimitive: toPrimitive_TIME_NANOS,
+    fromPrimitive: fromPrimitive_TIME,
+    compare: compare_TIME_NANOS
   },
   'DATE': {
     primitiveType: 'INT32',
     originalType: 'DATE',
     toPrimitive: toPrimitive_DATE,
-    fromPrimitive: fromPrimitive_DATE
+    fromPrimitive: fromPrimitive_DATE,
+    compare: compare_DATE
   },
   'TIMESTAMP_MILLIS': {
     primitiveType: 'INT64',
     originalType: 'TIMESTAMP_MILLIS',
     toPrimitive: toPrimitive_TIMESTAMP_MILLIS,
-    fromPrimitive: fromPrimitive_TIMESTAMP_MILLIS
+    fromPrimitive: fromPrimitive_TIMESTAMP_MILLIS,
+    compare: compare_TIMESTAMP_MILLIS
   },
   'TIMESTAMP_MICROS': {
     primitiveType: 'INT64',
     originalType: 'TIMESTAMP_MICROS',
     toPrimitive: toPrimitive_TIMESTAMP_MICROS,
-    fromPrimitive: fromPrimitive_TIMESTAMP_MICROS
+    fromPrimitive: fromPrimitive_TIMESTAMP_MICROS,
+    compare: compare_TIMESTAMP_MICROS
+  },
+  'TIMESTAMP_NANOS': {
+    primitiveType: 'INT64',
+    originalType: 'TIMESTAMP_NANOS',
+    toPrimitive: toPrimitive_TIMESTAMP_NANOS,
+    fromPrimitive: fromPrimitive_TIMESTAMP_NANOS,
+    compare: compare_TIMESTAMP_NANOS
   },
   'UINT_8': {
     primitiveType: 'INT32',
@@ -87,7 +139,9 @@ const PARQUET_LOGICAL_TYPES = {
   'UINT_64': {
     primitiveType: 'INT64',
     originalType: 'UINT_64',
-    toPrimitive: toPrimitive_UINT64
+    toPrimitive: toPrimitive_UINT64,
+    fromPrimitive: fromPrimitive_UINT64,
+    compare: compare_INT64
   },
   'INT_8': {
     primitiveType: 'INT32',
@@ -107,7 +161,8 @@ const PARQUET_LOGICAL_TYPES = {
   'INT_64': {
     primitiveType: 'INT64',
     originalType: 'INT_64',
-    toPrimitive: toPrimitive_INT64
+    toPrimitive: toPrimitive_INT64,
+    compare: compare_INT64
   },
   'JSON': {
     primitiveType: 'BYTE_ARRAY',
@@ -121,43 +176,186 @@ const PARQUET_LOGICAL_TYPES = {
     toPrimitive: toPrimitive_BSON,
     fromPrimitive: fromPrimitive_BSON
   },
+  'GEOMETRY': {
+    primitiveType: 'BYTE_ARRAY',
+    originalType: 'GEOMETRY',
+    toPrimitive: toPrimitive_GEOMETRY,
+    fromPrimitive: fromPrimitive_GEOMETRY
+  },
+  'GEOGRAPHY': {
+    primitiveType: 'BYTE_ARRAY',
+    originalType: 'GEOGRAPHY',
+    toPrimitive: toPrimitive_GEOMETRY,
+    fromPrimitive: fromPrimitive_GEOMETRY
+  },
   'INTERVAL': {
     primitiveType: 'FIXED_LEN_BYTE_ARRAY',
     originalType: 'INTERVAL',
     typeLength: 12,
     toPrimitive: toPrimitive_INTERVAL,
     fromPrimitive: fromPrimitive_INTERVAL
+  },
+  'DECIMAL': {
+    originalType: 'DECIMAL',
+    toPrimitive: toPrimitive_DECIMAL,
+    fromPrimitive: fromPrimitive_DECIMAL,
+    compare: compare_DECIMAL
   }
 };
 
 /**
  * Convert a value from it's native representation to the internal/underlying
- * primitive type
+ * primitive type. Some types (e.g. DECIMAL) require the field definition
  */
-function toPrimitive(type, value) {
+function toPrimitive(type, value, field) {
   if (!(type in PARQUET_LOGICAL_TYPES)) {
     throw 'invalid type: ' + type;
   }
 
-  return PARQUET_LOGICAL_TYPES[type].toPrimitive(value);
+  return PARQUET_LOGICAL_TYPES[type].toPrimitive(value, field);
 }
 
 /**
  * Convert a value from it's internal/underlying primitive representation to
- * the native representation
+ * the native representation. The optional opts select the representation of
+ * dates, byte arrays and JSON values (see ParquetCursor)
  */
-function fromPrimitive(type, value) {
+function fromPrimitive(type, value, field, opts) {
   if (!(type in PARQUET_LOGICAL_TYPES)) {
     throw 'invalid type: ' + type;
   }
 
+  let result = value;
   if ("fromPrimitive" in PARQUET_LOGICAL_TYPES[type]) {
-    return PARQUET_LOGICAL_TYPES[type].fromPrimitive(value);
+    result = PARQUET_LOGICAL_TYPES[type].fromPrimitive(value, field, opts);
+  }
+
+  /* unconverted byte arrays are slices of the page buffer */
+  if (opts && opts.bytes === 'copy' && result === value && Buffer.isBuffer(result)) {
+    result = Buffer.alloc(value.length);
+    value.copy(result);
+  }
+
+  return result;
+}
+
+/**
+ * Key of the key/value metadata entry that records which columns use a
+ * user-defined logical type
+ */
+const PARQUET_CUSTOM_TYPES_KEY = 'parquetjs.logical_types';
+
+/**
+ * Primitive types that user-defined logical types can be stored as
+ */
+const PARQUET_PRIMITIVE_TYPES = [
+  'BOOLEAN',
+  'INT32',
+  'INT64',
+  'INT96',
+  'FLOAT',
+  'DOUBLE',
+  'BYTE_ARRAY',
+  'FIXED_LEN_BYTE_ARRAY'
+];
+
+/**
+ * Register a user-defined logical type. The type must provide the primitive
+ * type it is stored as (and the typeLength for FIXED_LEN_BYTE_ARRAY) and a
+ * `toPrimitive(value, field)` method. The optional `fromPrimitive(value, field)`
+ * method converts the primitive values back when reading and the optional
+ * `compare(a, b, field)` method is used to compute statistics and to evaluate
+ * filters; without it, values are compared by their primitive values.
+ * Registering a type that already exists replaces it; the built-in
+ * types can not be replaced
+ */
+function registerLogicalType(name, def) {
+  if (typeof name !== 'string' || !name ||
+      name === 'LIST' || name === 'MAP' ||
+      (name in PARQUET_LOGICAL_TYPES && !PARQUET_LOGICAL_TYPES[name].custom)) {
+    throw 'invalid logical type: ' + name;
+  }
+
+  if (!def || !PARQUET_PRIMITIVE_TYPES.includes(def.primitiveType)) {
+    throw 'invalid primitive type for logical type ' + name + ': ' + (def && def.primitiveType);
+  }
+
+  if (def.primitiveType === 'FIXED_LEN_BYTE_ARRAY' &&
+      (!Number.isInteger(def.typeLength) || def.typeLength < 1)) {
+    throw 'invalid typeLength for logical type ' + name + ': ' + def.typeLength;
+  }
+
+  for (let method of ['toPrimitive', 'fromPrimitive', 'compare']) {
+    if (def[method] !== undefined && typeof def[method] !== 'function') {
+      throw 'invalid ' + method + ' for logical type ' + name;
+    }
+  }
+
+  if (!def.toPrimitive) {
+    throw 'invalid toPrimitive for logical type ' + name;
+  }
+
+  let typeDef = {
+    primitiveType: def.primitiveType,
+    originalType: name,
+    typeLength: def.typeLength,
+    toPrimitive: def.toPrimitive,
+    custom: true
+  };
+
+  /* fromPrimitive and compare are looked up using the in operator */
+  if (def.fromPrimitive) {
+    typeDef.fromPrimitive = def.fromPrimitive;
+  }
+
+  if (def.compare) {
+    typeDef.compare = def.compare;
+  }
+
+  PARQUET_LOGICAL_TYPES[name] = typeDef;
+}
+
+/**
+ * Compare two values of the same type in their native representation.
+ * Returns a negative number if a < b, a positive number if a > b and zero
+ * otherwise
+ */
+function compareValues(type, a, b, field) {
+  const typeDef = PARQUET_LOGICAL_TYPES[type];
+  if (typeDef && "compare" in typeDef) {
+    return typeDef.compare(a, b, field);
+  }
+
+  /* user-defined types without a compare method are ordered by their
+   * primitive values, like other readers order the statistics of the column */
+  if (typeDef && typeDef.custom) {
+    return comparePrimitiveValues(
+        typeDef.primitiveType,
+        typeDef.toPrimitive(a, field),
+        typeDef.toPrimitive(b, field));
+  }
+
+  if (a < b) {
+    return -1;
+  } else if (a > b) {
+    return 1;
   } else {
-    return value;
+    return 0;
   }
 }
 
+/**
+ * Compare two values of primitive type `type`; binary values are compared
+ * byte-wise
+ */
+function comparePrimitiveValues(type, a, b) {
+  if (type === 'BYTE_ARRAY' || type === 'FIXED_LEN_BYTE_ARRAY') {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+  }
+
+  return compareValues(type, a, b);
+}
+
 function toPrimitive_BOOLEAN(value) {
   return !!value;
 }
@@ -184,6 +382,104 @@ function toPrimitive_DOUBLE(value) {
   return v;
 }
 
+/**
+ * FLOAT16 values are stored as IEEE 754 half-precision numbers (binary16) in
+ * little-endian byte order. Values are rounded to the nearest representable
+ * number (ties to even); values too large for a half overflow to infinity
+ */
+function toPrimitive_FLOAT16(value) {
+  if (Buffer.isBuffer(value) && value.length === 2) {
+    return value;
+  }
+
+  const v = typeof value === 'number' ? value : parseFloat(value);
+  if (isNaN(v) && !Number.isNaN(value)) {
+    throw 'invalid value for FLOAT16: ' + value;
+  }
+
+  let buf = Buffer.alloc(2);
+  buf.writeUInt16LE(encodeFloat16(v));
+  return buf;
+}
+
+function fromPrimitive_FLOAT16(value) {
+  value = toBinary(value);
+
+  return decodeFloat16(value.readUInt16LE(0));
+}
+
+/* NaN is unordered, i.e. all comparisons involving NaN are false */
+function compare_FLOAT16(a, b) {
+  a = fromPrimitive_FLOAT16(toPrimitive_FLOAT16(a));
+  b = fromPrimitive_FLOAT16(toPrimitive_FLOAT16(b));
+
+  if (Number.isNaN(a) || Number.isNaN(b)) {
+    return NaN;
+  }
+
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function roundHalfToEven(x) {
+  const f = Math.floor(x);
+  const d = x - f;
+  if (d !== 0.5) {
+    return d < 0.5 ? f : f + 1;
+  }
+
+  return f % 2 === 0 ? f : f + 1;
+}
+
+function encodeFloat16(value) {
+  if (Number.isNaN(value)) {
+    return 0x7e00;
+  }
+
+  const sign = (value < 0 || Object.is(value, -0)) ? 0x8000 : 0;
+  const abs = Math.abs(value);
+
+  /* 65520 is halfway between the largest half (65504) and 2^16 */
+  if (abs >= 65520) {
+    return sign | 0x7c00;
+  }
+
+  /* subnormal numbers are multiples of 2^-24 */
+  if (abs < Math.pow(2, -14)) {
+    return sign | roundHalfToEven(abs * Math.pow(2, 24));
+  }
+
+  let exponent = Math.floor(Math.log2(abs));
+  if (Math.pow(2, exponent) > abs) {
+    exponent--;
+  } else if (Math.pow(2, exponent + 1) <= abs) {
+    exponent++;
+  }
+
+  let mantissa = roundHalfToEven((abs / Math.pow(2, exponent) - 1) * 1024);
+  if (mantissa === 1024) {
+    mantissa = 0;
+    exponent++;
+  }
+
+  return sign | ((exponent + 15) << 10) | mantissa;
+}
+
+function decodeFloat16(bits) {
+  const sign = (bits & 0x8000) ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * mantissa * Math.pow(2, -24);
+  }
+
+  if (exponent === 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+
+  return sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+}
+
 function toPrimitive_INT8(value) {
   const v = parseInt(value, 10);
   if (v < -0x80 || v > 0x7f || isNaN(v)) {
@@ -238,9 +534,34 @@ function toPrimitive_UINT32(value) {
   return v;
 }
 
+const kInt64Min = -(2n ** 63n);
+const kInt64Max = 2n ** 63n - 1n;
+const kUint64Max = 2n ** 64n - 1n;
+
+/**
+ * Parse a 64 bit integer. BigInts and integer strings are parsed exactly and
+ * returned as a BigInt if they exceed the safe integer range of a number
+ */
+function parseInt64(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) {
+    const v = BigInt(value.trim());
+    return isSafeInt64(v) ? Number(v) : v;
+  }
+
+  return parseInt(value, 10);
+}
+
+function isSafeInt64(value) {
+  return value >= Number.MIN_SAFE_INTEGER && value <= Number.MAX_SAFE_INTEGER;
+}
+
 function toPrimitive_INT64(value) {
-  const v = parseInt(value, 10);
-  if (isNaN(v)) {
+  const v = parseInt64(value);
+  if (v < kInt64Min || v > kInt64Max || Number.isNaN(v)) {
     throw 'invalid value for INT64: ' + value;
   }
 
@@ -248,21 +569,34 @@ function toPrimitive_INT64(value) {
 }
 
 function toPrimitive_UINT64(value) {
-  const v = parseInt(value, 10);
-  if (v < 0 || isNaN(v)) {
+  const v = parseInt64(value);
+  if (v < 0 || v > kUint64Max || Number.isNaN(v)) {
     throw 'invalid value for UINT64: ' + value;
   }
 
   return v;
 }
 
-function toPrimitive_INT96(value) {
-  const v = parseInt(value, 10);
-  if (isNaN(v)) {
-    throw 'invalid value for INT96: ' + value;
+/* UINT_64 is stored as a signed INT64 */
+function fromPrimitive_UINT64(value) {
+  switch (typeof value) {
+    case 'bigint':
+      return BigInt.asUintN(64, value);
+    case 'string':
+      return BigInt.asUintN(64, BigInt(value)).toString();
+    default:
+      return value < 0 ? value + 2 ** 64 : value;
   }
+}
 
-  return v;
+/**
+ * Compare 64 bit integers that may be given as numbers, BigInts or strings
+ */
+function compare_INT64(a, b) {
+  const toComparable = v => typeof v === 'string' ? parseInt64(v) : v;
+  a = toComparable(a);
+  b = toComparable(b);
+  return a < b ? -1 : (a > b ? 1 : 0);
 }
 
 function toPrimitive_BYTE_ARRAY(value) {
@@ -277,11 +611,63 @@ function fromPrimitive_UTF8(value) {
   return value.toString();
 }
 
+/**
+ * Binary statistics and values are decoded as strings if they are valid utf8;
+ * returns the original buffer of such a string
+ */
+function toBinary(value) {
+  return typeof value === 'string' ? Buffer.from(value) : value;
+}
+
+const kUuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * UUIDs are given as canonical strings (or 16 byte buffers) and stored as
+ * their 16 raw bytes in big-endian order
+ */
+function toPrimitive_UUID(value) {
+  if (Buffer.isBuffer(value) && value.length === 16) {
+    return value;
+  }
+
+  if (typeof value !== 'string' || !kUuidRegex.test(value)) {
+    throw 'invalid value for UUID: ' + value;
+  }
+
+  return Buffer.from(value.replace(/-/g, ''), 'hex');
+}
+
+function fromPrimitive_UUID(value) {
+  value = toBinary(value);
+
+  const hex = value.toString('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20)
+  ].join('-');
+}
+
+function compare_UUID(a, b) {
+  return Buffer.compare(toPrimitive_UUID(a), toPrimitive_UUID(b));
+}
+
+/* columns of the NULL type only ever contain null values */
+function toPrimitive_NULL(value) {
+  throw 'invalid value for NULL: ' + value;
+}
+
 function toPrimitive_JSON(value) {
   return Buffer.from(JSON.stringify(value));
 }
 
-function fromPrimitive_JSON(value) {
+function fromPrimitive_JSON(value, field, opts) {
+  if (opts && opts.json === 'raw') {
+    return value.toString();
+  }
+
   return JSON.parse(value);
 }
 
@@ -295,25 +681,161 @@ function fromPrimitive_BSON(value) {
   return decoder.deserialize(value);
 }
 
-function toPrimitive_TIME_MILLIS(value) {
-  const v = parseInt(value, 10);
-  if (v < 0 || v > 0xffffffffffffffff || isNaN(v)) {
-    throw 'invalid value for TIME_MILLIS: ' + value;
+/**
+ * Geometries are given as GeoJSON geometry objects or as WKB buffers and
+ * stored as WKB. They are returned as GeoJSON unless field.geometryAs is 'wkb'
+ */
+function toPrimitive_GEOMETRY(value) {
+  if (Buffer.isBuffer(value)) {
+    parquet_geo.decodeWKB(value);
+    return value;
   }
 
-  return v;
+  return parquet_geo.encodeWKB(value);
 }
 
-function toPrimitive_TIME_MICROS(value) {
-  const v = parseInt(value, 10);
-  if (v < 0 || isNaN(v)) {
-    throw 'invalid value for TIME_MICROS: ' + value;
+function fromPrimitive_GEOMETRY(value, field) {
+  value = toBinary(value);
+
+  if (field && field.geometryAs === 'wkb') {
+    return value;
   }
 
-  return v;
+  return parquet_geo.decodeWKB(value);
 }
 
+/* number of nanoseconds per time unit */
+const kNanosPerUnit = {
+  'MILLIS': 1000000n,
+  'MICROS': 1000n,
+  'NANOS': 1n
+};
+
 const kMillisPerDay = 86400000;
+const kNanosPerDay = 86400000000000n;
+
+/* INT96 timestamps store the julian day; this is the day of the unix epoch */
+const kJulianDayOfUnixEpoch = 2440588;
+
+const kIntegerRegex = /^\s*[+-]?\d+\s*$/;
+const kIsoDateRegex = /^(\d{4})-(\d{2})-(\d{2})$/;
+const kIsoTimeRegex = /^(\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?$/;
+const kIsoTimestampRegex =
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+function floorDiv(a, b) {
+  const q = a / b;
+  return (a % b !== 0n && (a < 0n) !== (b < 0n)) ? q - 1n : q;
+}
+
+/**
+ * Parse an ISO-8601 date (YYYY-MM-DD) into the number of days since the epoch
+ */
+function parseIsoDate(year, month, day) {
+  let d = new Date(0);
+  d.setUTCFullYear(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10));
+  if (d.getUTCMonth() !== parseInt(month, 10) - 1 || d.getUTCDate() !== parseInt(day, 10)) {
+    return null;
+  }
+
+  return d.getTime() / kMillisPerDay;
+}
+
+/**
+ * Parse an ISO-8601 time of day (HH:MM[:SS[.fffffffff]]) into nanoseconds
+ */
+function parseIsoTime(hours, minutes, seconds, fraction) {
+  const h = parseInt(hours, 10);
+  const m = parseInt(minutes, 10);
+  const s = parseInt(seconds || '0', 10);
+  if (h > 23 || m > 59 || s > 59) {
+    return null;
+  }
+
+  return BigInt((h * 60 + m) * 60 + s) * 1000000000n +
+      BigInt((fraction || '').padEnd(9, '0'));
+}
+
+/**
+ * Parse an ISO-8601 timestamp into nanoseconds since the epoch. Timestamps
+ * without a time zone designator are taken to be in UTC
+ */
+function parseIsoTimestamp(value) {
+  const m = kIsoTimestampRegex.exec(value.trim());
+  if (!m) {
+    return null;
+  }
+
+  const days = parseIsoDate(m[1], m[2], m[3]);
+  const time = parseIsoTime(m[4] || '0', m[5] || '0', m[6], m[7]);
+  if (days === null || time === null) {
+    return null;
+  }
+
+  let nanos = BigInt(days) * kNanosPerDay + time;
+  if (m[8] && m[8].toUpperCase() !== 'Z') {
+    const sign = m[8][0] === '-' ? -1n : 1n;
+    const offset = m[8].slice(1).replace(':', '');
+    const minutes = parseInt(offset.slice(0, 2), 10) * 60 + parseInt(offset.slice(2) || '0', 10);
+    nanos -= sign * BigInt(minutes) * 60000000000n;
+  }
+
+  return nanos;
+}
+
+function toSafeInt64(value) {
+  return isSafeInt64(value) ? Number(value) : value;
+}
+
+function toPrimitive_TIME(value, unit, name) {
+  /* convert from an ISO-8601 time of day */
+  if (typeof value === 'string' && !kIntegerRegex.test(value)) {
+    const m = kIsoTimeRegex.exec(value.trim());
+    const nanos = m ? parseIsoTime(m[1], m[2], m[3], m[4]) : null;
+    if (nanos === null) {
+      throw 'invalid value for ' + name + ': ' + value;
+    }
+
+    return Number(nanos / kNanosPerUnit[unit]);
+  }
+
+  /* convert from integer */
+  const v = parseInt64(value);
+  if (v < 0 || v >= kNanosPerDay / kNanosPerUnit[unit] || Number.isNaN(v)) {
+    throw 'invalid value for ' + name + ': ' + value;
+  }
+
+  return Number(v);
+}
+
+function toPrimitive_TIME_MILLIS(value) {
+  return toPrimitive_TIME(value, 'MILLIS', 'TIME_MILLIS');
+}
+
+function toPrimitive_TIME_MICROS(value) {
+  return toPrimitive_TIME(value, 'MICROS', 'TIME_MICROS');
+}
+
+function toPrimitive_TIME_NANOS(value) {
+  return toPrimitive_TIME(value, 'NANOS', 'TIME_NANOS');
+}
+
+/* the time of day always fits into a number, even for INT64 columns */
+function fromPrimitive_TIME(value) {
+  return Number(value);
+}
+
+function compare_TIME_MILLIS(a, b) {
+  return compare_INT64(toPrimitive_TIME_MILLIS(a), toPrimitive_TIME_MILLIS(b));
+}
+
+function compare_TIME_MICROS(a, b) {
+  return compare_INT64(toPrimitive_TIME_MICROS(a), toPrimitive_TIME_MICROS(b));
+}
+
+function compare_TIME_NANOS(a, b) {
+  return compare_INT64(toPrimitive_TIME_NANOS(a), toPrimitive_TIME_NANOS(b));
+}
 
 function toPrimitive_DATE(value) {
   /* convert from date */
@@ -321,6 +843,17 @@ function toPrimitive_DATE(value) {
     return value.getTime() / kMillisPerDay;
   }
 
+  /* convert from an ISO-8601 date */
+  if (typeof value === 'string' && !kIntegerRegex.test(value)) {
+    const m = kIsoDateRegex.exec(value.trim());
+    const days = m ? parseIsoDate(m[1], m[2], m[3]) : null;
+    if (days === null) {
+      throw 'invalid value for DATE: ' + value;
+    }
+
+    return days;
+  }
+
   /* convert from integer */
   {
     const v = parseInt(value, 10);
@@ -332,51 +865,149 @@ function toPrimitive_DATE(value) {
   }
 }
 
-function fromPrimitive_DATE(value) {
+function fromPrimitive_DATE(value, field, opts) {
+  if (opts && opts.dates === 'number') {
+    return value * kMillisPerDay;
+  }
+
   return new Date(value * kMillisPerDay);
 }
 
+function compare_DATE(a, b) {
+  return compare_INT64(toPrimitive_DATE(a), toPrimitive_DATE(b));
+}
+
+/**
+ * Convert a Date, an ISO-8601 string or an integer (in the given unit) to the
+ * number of units since the epoch. Timestamps before the epoch are negative
+ */
+function toPrimitive_TIMESTAMP(value, unit, name) {
+  let v;
 
-function toPrimitive_TIMESTAMP_MILLIS(value) {
-  /* convert from date */
   if (value instanceof Date) {
-    return value.getTime();
-  }
+    /* convert from date */
+    if (isNaN(value.getTime())) {
+      throw 'invalid value for ' + name + ': ' + value;
+    }
 
-  /* convert from integer */
-  {
-    const v = parseInt(value, 10);
-    if (v < 0 || isNaN(v)) {
-      throw 'invalid value for TIMESTAMP_MILLIS: ' + value;
+    v = BigInt(value.getTime()) * kNanosPerUnit.MILLIS / kNanosPerUnit[unit];
+  } else if (typeof value === 'string' && !kIntegerRegex.test(value)) {
+    /* convert from an ISO-8601 timestamp */
+    const nanos = parseIsoTimestamp(value);
+    if (nanos === null) {
+      throw 'invalid value for ' + name + ': ' + value;
     }
 
-    return v;
+    v = floorDiv(nanos, kNanosPerUnit[unit]);
+  } else {
+    /* convert from integer */
+    v = parseInt64(value);
+  }
+
+  if (v < kInt64Min || v > kInt64Max || Number.isNaN(v)) {
+    throw 'invalid value for ' + name + ': ' + value;
+  }
+
+  return toSafeInt64(v);
+}
+
+/**
+ * Convert a number of units since the epoch to a Date, to a number of
+ * milliseconds if the dates option is 'number' or, if the timestampAs option
+ * of the field is 'bigint' (and no dates option is given), to a BigInt
+ */
+function fromPrimitive_TIMESTAMP(value, unit, field, opts) {
+  const dates = (opts && opts.dates) ||
+      (field && field.timestampAs === 'bigint' ? 'bigint' : 'date');
+
+  if (dates === 'bigint') {
+    return BigInt(value);
   }
+
+  let millis;
+  if (typeof value === 'number' && unit !== 'NANOS') {
+    millis = value / Number(kNanosPerUnit.MILLIS / kNanosPerUnit[unit]);
+  } else {
+    millis = Number(floorDiv(BigInt(value) * kNanosPerUnit[unit], kNanosPerUnit.MILLIS));
+  }
+
+  return dates === 'number' ? millis : new Date(millis);
+}
+
+function toPrimitive_TIMESTAMP_MILLIS(value) {
+  return toPrimitive_TIMESTAMP(value, 'MILLIS', 'TIMESTAMP_MILLIS');
+}
+
+function fromPrimitive_TIMESTAMP_MILLIS(value, field, opts) {
+  return fromPrimitive_TIMESTAMP(value, 'MILLIS', field, opts);
 }
 
-function fromPrimitive_TIMESTAMP_MILLIS(value) {
-  return new Date(value);
+function compare_TIMESTAMP_MILLIS(a, b) {
+  return compare_INT64(toPrimitive_TIMESTAMP_MILLIS(a), toPrimitive_TIMESTAMP_MILLIS(b));
 }
 
 function toPrimitive_TIMESTAMP_MICROS(value) {
-  /* convert from date */
-  if (value instanceof Date) {
-    return value.getTime() * 1000;
+  return toPrimitive_TIMESTAMP(value, 'MICROS', 'TIMESTAMP_MICROS');
+}
+
+function fromPrimitive_TIMESTAMP_MICROS(value, field, opts) {
+  return fromPrimitive_TIMESTAMP(value, 'MICROS', field, opts);
+}
+
+function compare_TIMESTAMP_MICROS(a, b) {
+  return compare_INT64(toPrimitive_TIMESTAMP_MICROS(a), toPrimitive_TIMESTAMP_MICROS(b));
+}
+
+function toPrimitive_TIMESTAMP_NANOS(value) {
+  return toPrimitive_TIMESTAMP(value, 'NANOS', 'TIMESTAMP_NANOS');
+}
+
+function fromPrimitive_TIMESTAMP_NANOS(value, field, opts) {
+  return fromPrimitive_TIMESTAMP(value, 'NANOS', field, opts);
+}
+
+function compare_TIMESTAMP_NANOS(a, b) {
+  return compare_INT64(toPrimitive_TIMESTAMP_NANOS(a), toPrimitive_TIMESTAMP_NANOS(b));
+}
+
+/**
+ * INT96 timestamps (as written by Impala and Spark) store the nanoseconds of
+ * the day followed by the julian day. Integer values are given in nanoseconds
+ * since the epoch
+ */
+function toInt96Nanos(value) {
+  if (Buffer.isBuffer(value) && value.length === 12) {
+    const days = BigInt(value.readInt32LE(8) - kJulianDayOfUnixEpoch);
+    return days * kNanosPerDay + value.readBigUInt64LE(0);
   }
 
-  /* convert from integer */
-  {
-    const v = parseInt(value, 10);
-    if (v < 0 || isNaN(v)) {
-      throw 'invalid value for TIMESTAMP_MICROS: ' + value;
-    }
+  return BigInt(toPrimitive_TIMESTAMP(value, 'NANOS', 'INT96'));
+}
 
-    return v;
+function toPrimitive_INT96(value) {
+  if (Buffer.isBuffer(value) && value.length === 12) {
+    return value;
+  }
+
+  const nanos = toInt96Nanos(value);
+  const days = floorDiv(nanos, kNanosPerDay);
+
+  let buf = Buffer.alloc(12);
+  buf.writeBigUInt64LE(nanos - days * kNanosPerDay, 0);
+  buf.writeInt32LE(Number(days) + kJulianDayOfUnixEpoch, 8);
+  return buf;
+}
+
+function fromPrimitive_INT96(value, field, opts) {
+  if (!Buffer.isBuffer(value)) {
+    return value;
   }
+
+  return fromPrimitive_TIMESTAMP(toInt96Nanos(value), 'NANOS', field, opts);
 }
 
-function fromPrimitive_TIMESTAMP_MICROS(value) {
-  return new Date(value / 1000);
+function compare_INT96(a, b) {
+  return compare_INT64(toInt96Nanos(a), toInt96Nanos(b));
 }
 
 function toPrimitive_INTERVAL(value) {
@@ -400,6 +1031,162 @@ function fromPrimitive_INTERVAL(value) {
   return { months: months, days: days, milliseconds: millis };
 }
 
+/**
+ * Parse a decimal number (given as a string or number) into an unscaled
+ * integer and a scale, i.e. value = unscaled * 10^-scale
+ */
+function parseDecimal(value) {
+  const m = /^\s*([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/.exec(String(value));
+  if (!m || (!m[2] && !m[3])) {
+    return null;
+  }
+
+  const fraction = m[3] || '';
+  let unscaled = BigInt((m[2] || '') + fraction || '0');
+  let scale = fraction.length - parseInt(m[4] || '0', 10);
+
+  if (scale < 0) {
+    unscaled *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+
+  return { unscaled: m[1] === '-' ? -unscaled : unscaled, scale: scale };
+}
+
+/**
+ * Returns the unscaled value of a DECIMAL field. BigInt values are taken to
+ * be unscaled already
+ */
+function toUnscaledDecimal(value, field) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  const d = parseDecimal(value);
+  if (!d) {
+    throw 'invalid value for DECIMAL: ' + value;
+  }
+
+  if (d.scale <= field.scale) {
+    return d.unscaled * 10n ** BigInt(field.scale - d.scale);
+  }
+
+  /* only trailing zeros may be dropped */
+  const divisor = 10n ** BigInt(d.scale - field.scale);
+  if (d.unscaled % divisor !== 0n) {
+    throw 'invalid value for DECIMAL(' + field.precision + ',' + field.scale + '): ' + value;
+  }
+
+  return d.unscaled / divisor;
+}
+
+function toPrimitive_DECIMAL(value, field) {
+  const unscaled = toUnscaledDecimal(value, field);
+  const limit = 10n ** BigInt(field.precision);
+  if (unscaled >= limit || unscaled <= -limit) {
+    throw 'invalid value for DECIMAL(' + field.precision + ',' + field.scale + '): ' + value;
+  }
+
+  switch (field.primitiveType) {
+
+    case 'INT32':
+      return Number(unscaled);
+
+    case 'INT64':
+      return isSafeInt64(unscaled) ? Number(unscaled) : unscaled;
+
+    case 'FIXED_LEN_BYTE_ARRAY':
+      return encodeTwosComplement(unscaled, field.typeLength);
+
+    case 'BYTE_ARRAY': {
+      let length = 1;
+      while (unscaled >= 1n << BigInt(8 * length - 1) || unscaled < -(1n << BigInt(8 * length - 1))) {
+        ++length;
+      }
+
+      return encodeTwosComplement(unscaled, length);
+    }
+
+    default:
+      throw 'invalid primitive type for DECIMAL: ' + field.primitiveType;
+
+  }
+}
+
+function fromPrimitive_DECIMAL(value, field) {
+  value = toBinary(value);
+
+  let unscaled;
+  if (Buffer.isBuffer(value)) {
+    unscaled = decodeTwosComplement(value);
+  } else {
+    unscaled = BigInt(value);
+  }
+
+  const negative = unscaled < 0n;
+  let digits = (negative ? -unscaled : unscaled).toString();
+  if (field.scale > 0) {
+    digits = digits.padStart(field.scale + 1, '0');
+    digits = digits.slice(0, -field.scale) + '.' + digits.slice(-field.scale);
+  }
+
+  return (negative ? '-' : '') + digits;
+}
+
+function compare_DECIMAL(a, b, field) {
+  const toDecimal = v => typeof v === 'bigint' ?
+      { unscaled: v, scale: field.scale } :
+      parseDecimal(v);
+
+  const da = toDecimal(a);
+  const db = toDecimal(b);
+  if (!da || !db) {
+    throw 'invalid value for DECIMAL: ' + (da ? b : a);
+  }
+
+  const scale = Math.max(da.scale, db.scale);
+  const ua = da.unscaled * 10n ** BigInt(scale - da.scale);
+  const ub = db.unscaled * 10n ** BigInt(scale - db.scale);
+  return ua < ub ? -1 : (ua > ub ? 1 : 0);
+}
+
+/**
+ * Encode an integer as a big-endian two's complement number of length bytes
+ */
+function encodeTwosComplement(value, length) {
+  if (value >= 1n << BigInt(8 * length - 1) || value < -(1n << BigInt(8 * length - 1))) {
+    throw 'value does not fit into ' + length + ' bytes: ' + value;
+  }
+
+  let buf = Buffer.alloc(length);
+  let v = BigInt.asUintN(8 * length, value);
+  for (let i = length - 1; i >= 0; --i) {
+    buf[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+
+  return buf;
+}
+
+function decodeTwosComplement(buf) {
+  if (buf.length === 0) {
+    return 0n;
+  }
 
-module.exports = { PARQUET_LOGICAL_TYPES, toPrimitive, fromPrimitive };
+  let v = 0n;
+  for (let i = 0; i < buf.length; ++i) {
+    v = (v << 8n) | BigInt(buf[i]);
+  }
+
+  return BigInt.asIntN(8 * buf.length, v);
+}
+
+module.exports = {
+  PARQUET_LOGICAL_TYPES,
+  PARQUET_CUSTOM_TYPES_KEY,
+  registerLogicalType,
+  toPrimitive,
+  fromPrimitive,
+  compareValues
+};
 
@@ -18,6 +18,21 @@ class fixedTFramedTransport extends thrift.TFramedTransport {
   }
 }
 
+/** We also need to use a patched version of TCompactProtocol where readBool
+  * works for booleans that are not struct fields (e.g. list elements); the
+  * original expects readByte to return an object and always returns false
+  */
+
+class fixedTCompactProtocol extends thrift.TCompactProtocol {
+  readBool() {
+    if (this.boolValue_.hasBoolValue === true) {
+      return super.readBool();
+    }
+
+    return this.trans.readByte() === thrift.TCompactProtocol.Types.CT_BOOLEAN_TRUE;
+  }
+}
+
 
 /**
  * Helper function that serializes a thrift object into a buffer
@@ -43,7 +58,7 @@ exports.decodeThrift = function(obj, buf, offset) {
 
   var transport = new fixedTFramedTransport(buf);
   transport.readPos = offset;
-  var protocol = new thrift.TCompactProtocol(transport);
+  var protocol = new fixedTCompactProtocol(transport);
   obj.read(protocol);
   return transport.readPos - offset;
 }
@@ -59,6 +74,25 @@ exports.getBitWidth = function(val) {
   }
 }
 
+/**
+ * Convert a 64 bit integer (given as a BigInt) to the representation selected
+ * by the int64As option: 'number' (the default, only exact up to 2^53),
+ * 'bigint' or 'string'
+ */
+exports.fromInt64 = function(value, int64As) {
+  switch (int64As) {
+    case 'bigint':
+      return value;
+    case 'string':
+      return value.toString();
+    case 'number':
+    case undefined:
+      return Number(value);
+    default:
+      throw 'invalid int64As option: ' + int64As;
+  }
+}
+
 /**
  * FIXME not ideal that this is linear
  */
@@ -0,0 +1,638 @@
+'use strict';
+const parquet_util = require('./util');
+
+/**
+ * Version of the variant binary encoding
+ */
+const PARQUET_VARIANT_VERSION = 1;
+
+/**
+ * Basic types of variant values, stored in the lower two bits of the value
+ * header
+ */
+const VARIANT_BASIC_TYPES = {
+  PRIMITIVE: 0,
+  SHORT_STRING: 1,
+  OBJECT: 2,
+  ARRAY: 3
+};
+
+/**
+ * Type ids of primitive variant values
+ */
+const VARIANT_PRIMITIVE_TYPES = {
+  NULL: 0,
+  TRUE: 1,
+  FALSE: 2,
+  INT8: 3,
+  INT16: 4,
+  INT32: 5,
+  INT64: 6,
+  DOUBLE: 7,
+  DECIMAL4: 8,
+  DECIMAL8: 9,
+  DECIMAL16: 10,
+  DATE: 11,
+  TIMESTAMP_MICROS: 12,
+  TIMESTAMP_NTZ_MICROS: 13,
+  FLOAT: 14,
+  BINARY: 15,
+  STRING: 16,
+  TIME_NTZ_MICROS: 17,
+  TIMESTAMP_NANOS: 18,
+  TIMESTAMP_NTZ_NANOS: 19,
+  UUID: 20
+};
+
+/**
+ * Types that paths of a variant can be shredded into, mapped to a function
+ * that returns true if a value can be stored in a typed_value of the type
+ */
+const PARQUET_VARIANT_SHREDDED_TYPES = {
+  'BOOLEAN': (v) => typeof v === 'boolean',
+  'INT_8': (v) => isIntegerInRange(v, 8),
+  'INT_16': (v) => isIntegerInRange(v, 16),
+  'INT32': (v) => isIntegerInRange(v, 32),
+  'INT_32': (v) => isIntegerInRange(v, 32),
+  'INT64': (v) => isIntegerInRange(v, 64),
+  'INT_64': (v) => isIntegerInRange(v, 64),
+  'FLOAT': (v) => typeof v === 'number' && Math.fround(v) === v,
+  'DOUBLE': (v) => typeof v === 'number',
+  'TIMESTAMP_MICROS': (v) => v instanceof Date && !isNaN(v.getTime()),
+  'UTF8': (v) => typeof v === 'string',
+  'BYTE_ARRAY': (v) => Buffer.isBuffer(v)
+};
+
+const kMicrosPerMilli = 1000n;
+const kNanosPerMilli = 1000000n;
+const kMillisPerDay = 86400000;
+const kMaxShortStringLength = 63;
+
+/**
+ * Encode a value into the variant binary format. Returns the metadata (i.e.
+ * the dictionary of object keys) and the value
+ *
+ * Supported values are null, booleans, numbers, BigInts, strings, Dates,
+ * Buffers as well as arrays and plain objects of those
+ */
+function encodeVariant(value) {
+  const dictionary = createDictionary(value);
+  return {
+    metadata: encodeMetadata(dictionary),
+    value: encodeValue(value, dictionary)
+  };
+}
+
+/**
+ * Decode a variant from its binary metadata and value. The optional
+ * opts.int64As and opts.timestampAs parameters control how 64 bit integers
+ * and timestamps are returned (see ParquetReader), opts.dates overrides the
+ * latter (see ParquetCursor)
+ */
+function decodeVariant(metadata, value, opts) {
+  return decodeValue(value, 0, decodeMetadata(metadata), opts || {});
+}
+
+/**
+ * Collect the object keys of a value into a sorted dictionary that maps each
+ * key to its id
+ */
+function createDictionary(value) {
+  let keys = new Set();
+  const collect = (v) => {
+    if (Array.isArray(v)) {
+      v.forEach(collect);
+    } else if (isPlainObject(v)) {
+      for (let k in v) {
+        keys.add(k);
+        collect(v[k]);
+      }
+    }
+  };
+
+  collect(value);
+
+  let dictionary = new Map();
+  [...keys]
+      .sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)))
+      .forEach((k, i) => dictionary.set(k, i));
+
+  return dictionary;
+}
+
+function encodeMetadata(dictionary) {
+  const strings = [...dictionary.keys()].map(k => Buffer.from(k));
+  const length = strings.reduce((n, s) => n + s.length, 0);
+  const offsetSize = getOffsetSize(Math.max(length, strings.length));
+
+  let buf = Buffer.alloc(1 + offsetSize * (strings.length + 2) + length);
+  buf[0] = PARQUET_VARIANT_VERSION | (1 << 4) | ((offsetSize - 1) << 6);
+  buf.writeUIntLE(strings.length, 1, offsetSize);
+
+  let offset = 0;
+  let pos = 1 + offsetSize;
+  for (let s of strings) {
+    buf.writeUIntLE(offset, pos, offsetSize);
+    pos += offsetSize;
+    offset += s.length;
+  }
+
+  buf.writeUIntLE(offset, pos, offsetSize);
+  pos += offsetSize;
+  Buffer.concat(strings).copy(buf, pos);
+
+  return buf;
+}
+
+function decodeMetadata(buf) {
+  if (!buf) {
+    return [];
+  }
+
+  try {
+    if ((buf[0] & 0x0f) !== PARQUET_VARIANT_VERSION) {
+      throw 'invalid VARIANT metadata';
+    }
+
+    const offsetSize = (buf[0] >> 6) + 1;
+    const size = buf.readUIntLE(1, offsetSize);
+    const start = 1 + offsetSize * (size + 2);
+
+    let keys = [];
+    for (let i = 0; i < size; i++) {
+      const pos = 1 + offsetSize * (i + 1);
+      keys.push(buf.toString(
+          'utf8',
+          start + buf.readUIntLE(pos, offsetSize),
+          start + buf.readUIntLE(pos + offsetSize, offsetSize)));
+    }
+
+    return keys;
+  } catch (err) {
+    if (err instanceof RangeError) {
+      throw 'invalid VARIANT metadata';
+    }
+
+    throw err;
+  }
+}
+
+function encodeValue(value, dictionary) {
+  if (value === null || value === undefined) {
+    return encodePrimitive(VARIANT_PRIMITIVE_TYPES.NULL);
+  }
+
+  if (typeof value === 'boolean') {
+    return encodePrimitive(value ? VARIANT_PRIMITIVE_TYPES.TRUE : VARIANT_PRIMITIVE_TYPES.FALSE);
+  }
+
+  if (typeof value === 'number') {
+    if (isIntegerInRange(value, 8)) {
+      return encodePrimitive(VARIANT_PRIMITIVE_TYPES.INT8, 1, (b) => b.writeInt8(value, 1));
+    }
+
+    if (isIntegerInRange(value, 16)) {
+      return encodePrimitive(VARIANT_PRIMITIVE_TYPES.INT16, 2, (b) => b.writeInt16LE(value, 1));
+    }
+
+    if (isIntegerInRange(value, 32)) {
+      return encodePrimitive(VARIANT_PRIMITIVE_TYPES.INT32, 4, (b) => b.writeInt32LE(value, 1));
+    }
+
+    if (Number.isSafeInteger(value)) {
+      return encodeInt64(BigInt(value));
+    }
+
+    return encodePrimitive(VARIANT_PRIMITIVE_TYPES.DOUBLE, 8, (b) => b.writeDoubleLE(value, 1));
+  }
+
+  if (typeof value === 'bigint') {
+    if (!isIntegerInRange(value, 64)) {
+      throw 'invalid value for VARIANT: ' + value;
+    }
+
+    return encodeInt64(value);
+  }
+
+  if (typeof value === 'string') {
+    const str = Buffer.from(value);
+    if (str.length <= kMaxShortStringLength) {
+      return Buffer.concat([
+        Buffer.from([(str.length << 2) | VARIANT_BASIC_TYPES.SHORT_STRING]),
+        str
+      ]);
+    }
+
+    return encodePrimitive(VARIANT_PRIMITIVE_TYPES.STRING, 4 + str.length, (b) => {
+      b.writeUInt32LE(str.length, 1);
+      str.copy(b, 5);
+    });
+  }
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      throw 'invalid value for VARIANT: ' + value;
+    }
+
+    const micros = BigInt(value.getTime()) * kMicrosPerMilli;
+    return encodePrimitive(VARIANT_PRIMITIVE_TYPES.TIMESTAMP_MICROS, 8, (b) => b.writeBigInt64LE(micros, 1));
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return encodePrimitive(VARIANT_PRIMITIVE_TYPES.BINARY, 4 + value.length, (b) => {
+      b.writeUInt32LE(value.length, 1);
+      value.copy(b, 5);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    const elements = value.map(v => encodeValue(v, dictionary));
+    return encodeContainer(VARIANT_BASIC_TYPES.ARRAY, null, elements);
+  }
+
+  if (isPlainObject(value)) {
+    let keys = Object.keys(value).filter(k => value[k] !== undefined);
+    keys.sort((a, b) => dictionary.get(a) - dictionary.get(b));
+
+    return encodeContainer(
+        VARIANT_BASIC_TYPES.OBJECT,
+        keys.map(k => dictionary.get(k)),
+        keys.map(k => encodeValue(value[k], dictionary)));
+  }
+
+  throw 'invalid value for VARIANT: ' + value;
+}
+
+function encodePrimitive(typeId, length, write) {
+  let buf = Buffer.alloc(1 + (length || 0));
+  buf[0] = (typeId << 2) | VARIANT_BASIC_TYPES.PRIMITIVE;
+  if (write) {
+    write(buf);
+  }
+
+  return buf;
+}
+
+function encodeInt64(value) {
+  return encodePrimitive(VARIANT_PRIMITIVE_TYPES.INT64, 8, (b) => b.writeBigInt64LE(value, 1));
+}
+
+/**
+ * Encode an object (with the given field ids) or an array: the number of
+ * elements, the field ids, the offsets of the elements and the elements
+ */
+function encodeContainer(basicType, ids, elements) {
+  const length = elements.reduce((n, e) => n + e.length, 0);
+  const isLarge = elements.length > 0xff;
+  const countSize = isLarge ? 4 : 1;
+  const offsetSize = getOffsetSize(length);
+  const idSize = ids ? getOffsetSize(Math.max(0, ...ids)) : 0;
+
+  let header;
+  if (basicType === VARIANT_BASIC_TYPES.OBJECT) {
+    header = (isLarge << 4) | ((idSize - 1) << 2) | (offsetSize - 1);
+  } else {
+    header = (isLarge << 2) | (offsetSize - 1);
+  }
+
+  let buf = Buffer.alloc(
+      1 + countSize + idSize * elements.length + offsetSize * (elements.length + 1));
+
+  buf[0] = (header << 2) | basicType;
+  buf.writeUIntLE(elements.length, 1, countSize);
+
+  let pos = 1 + countSize;
+  for (let i = 0; ids && i < ids.length; i++) {
+    buf.writeUIntLE(ids[i], pos, idSize);
+    pos += idSize;
+  }
+
+  let offset = 0;
+  for (let e of elements) {
+    buf.writeUIntLE(offset, pos, offsetSize);
+    pos += offsetSize;
+    offset += e.length;
+  }
+
+  buf.writeUIntLE(offset, pos, offsetSize);
+
+  return Buffer.concat([buf].concat(elements));
+}
+
+function decodeValue(buf, pos, keys, opts) {
+  try {
+    return decodeValueInternal(buf, pos, keys, opts);
+  } catch (err) {
+    if (err instanceof RangeError) {
+      throw 'invalid VARIANT value';
+    }
+
+    throw err;
+  }
+}
+
+function decodeValueInternal(buf, pos, keys, opts) {
+  const basicType = buf[pos] & 0x03;
+  const header = buf[pos] >> 2;
+
+  switch (basicType) {
+    case VARIANT_BASIC_TYPES.SHORT_STRING:
+      return buf.toString('utf8', pos + 1, pos + 1 + header);
+
+    case VARIANT_BASIC_TYPES.OBJECT: {
+      const countSize = (header & 0x10) ? 4 : 1;
+      const idSize = ((header >> 2) & 0x03) + 1;
+      const offsetSize = (header & 0x03) + 1;
+      const count = buf.readUIntLE(pos + 1, countSize);
+      const idsStart = pos + 1 + countSize;
+      const offsetsStart = idsStart + count * idSize;
+      const valuesStart = offsetsStart + (count + 1) * offsetSize;
+
+      let obj = {};
+      for (let i = 0; i < count; i++) {
+        const key = keys[buf.readUIntLE(idsStart + i * idSize, idSize)];
+        if (key === undefined) {
+          throw 'invalid VARIANT value';
+        }
+
+        obj[key] = decodeValueInternal(
+            buf,
+            valuesStart + buf.readUIntLE(offsetsStart + i * offsetSize, offsetSize),
+            keys,
+            opts);
+      }
+
+      return obj;
+    }
+
+    case VARIANT_BASIC_TYPES.ARRAY: {
+      const countSize = (header & 0x04) ? 4 : 1;
+      const offsetSize = (header & 0x03) + 1;
+      const count = buf.readUIntLE(pos + 1, countSize);
+      const offsetsStart = pos + 1 + countSize;
+      const valuesStart = offsetsStart + (count + 1) * offsetSize;
+
+      let arr = [];
+      for (let i = 0; i < count; i++) {
+        arr.push(decodeValueInternal(
+            buf,
+            valuesStart + buf.readUIntLE(offsetsStart + i * offsetSize, offsetSize),
+            keys,
+            opts));
+      }
+
+      return arr;
+    }
+  }
+
+  const start = pos + 1;
+  switch (header) {
+    case VARIANT_PRIMITIVE_TYPES.NULL:
+      return null;
+    case VARIANT_PRIMITIVE_TYPES.TRUE:
+      return true;
+    case VARIANT_PRIMITIVE_TYPES.FALSE:
+      return false;
+    case VARIANT_PRIMITIVE_TYPES.INT8:
+      return buf.readInt8(start);
+    case VARIANT_PRIMITIVE_TYPES.INT16:
+      return buf.readInt16LE(start);
+    case VARIANT_PRIMITIVE_TYPES.INT32:
+      return buf.readInt32LE(start);
+    case VARIANT_PRIMITIVE_TYPES.INT64:
+      return parquet_util.fromInt64(buf.readBigInt64LE(start), opts.int64As);
+    case VARIANT_PRIMITIVE_TYPES.DOUBLE:
+      return buf.readDoubleLE(start);
+    case VARIANT_PRIMITIVE_TYPES.FLOAT:
+      return buf.readFloatLE(start);
+    case VARIANT_PRIMITIVE_TYPES.DECIMAL4:
+      return decodeDecimal(BigInt(buf.readInt32LE(start + 1)), buf[start]);
+    case VARIANT_PRIMITIVE_TYPES.DECIMAL8:
+      return decodeDecimal(buf.readBigInt64LE(start + 1), buf[start]);
+    case VARIANT_PRIMITIVE_TYPES.DECIMAL16:
+      return decodeDecimal(
+          (buf.readBigInt64LE(start + 9) << 64n) | buf.readBigUInt64LE(start + 1),
+          buf[start]);
+    case VARIANT_PRIMITIVE_TYPES.DATE:
+      if (opts.dates === 'number') {
+        return buf.readInt32LE(start) * kMillisPerDay;
+      }
+
+      return new Date(buf.readInt32LE(start) * kMillisPerDay);
+    case VARIANT_PRIMITIVE_TYPES.TIMESTAMP_MICROS:
+    case VARIANT_PRIMITIVE_TYPES.TIMESTAMP_NTZ_MICROS:
+      return decodeTimestamp(buf.readBigInt64LE(start), kMicrosPerMilli, opts);
+    case VARIANT_PRIMITIVE_TYPES.TIMESTAMP_NANOS:
+    case VARIANT_PRIMITIVE_TYPES.TIMESTAMP_NTZ_NANOS:
+      return decodeTimestamp(buf.readBigInt64LE(start), kNanosPerMilli, opts);
+    case VARIANT_PRIMITIVE_TYPES.TIME_NTZ_MICROS:
+      return Number(buf.readBigInt64LE(start));
+    case VARIANT_PRIMITIVE_TYPES.BINARY:
+      return Buffer.from(buf.slice(start + 4, start + 4 + buf.readUInt32LE(start)));
+    case VARIANT_PRIMITIVE_TYPES.STRING:
+      return buf.toString('utf8', start + 4, start + 4 + buf.readUInt32LE(start));
+    case VARIANT_PRIMITIVE_TYPES.UUID: {
+      const hex = buf.toString('hex', start, start + 16);
+      return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+    }
+  }
+
+  throw 'invalid VARIANT value';
+}
+
+function decodeDecimal(unscaled, scale) {
+  const negative = unscaled < 0n;
+  let digits = (negative ? -unscaled : unscaled).toString();
+  if (scale > 0) {
+    digits = digits.padStart(scale + 1, '0');
+    digits = digits.slice(0, -scale) + '.' + digits.slice(-scale);
+  }
+
+  return (negative ? '-' : '') + digits;
+}
+
+function decodeTimestamp(value, unitsPerMilli, opts) {
+  const dates = opts.dates || (opts.timestampAs === 'bigint' ? 'bigint' : 'date');
+  if (dates === 'bigint') {
+    return value;
+  }
+
+  let millis = value / unitsPerMilli;
+  if (value % unitsPerMilli < 0n) {
+    millis -= 1n;
+  }
+
+  return dates === 'number' ? Number(millis) : new Date(Number(millis));
+}
+
+/**
+ * Returns true if field is a VARIANT group with a binary metadata field
+ */
+function isVariant(field) {
+  return !!field &&
+      field.originalType === 'VARIANT' &&
+      !!field.isNested &&
+      !!field.fields.metadata &&
+      !!(field.fields.value || field.fields.typed_value);
+}
+
+/**
+ * Returns the group holding the value and typed_value of the elements of a
+ * shredded array (the element of the three-level list)
+ */
+function getArrayElement(typed) {
+  const repeated = Object.values(typed.fields)[0];
+  return repeated && repeated.isNested ? Object.values(repeated.fields)[0] : null;
+}
+
+/**
+ * Convert a value to the physical structure of a VARIANT group. Parts of the
+ * value that match the typed_value fields of the group are shredded into
+ * those, the remaining parts are encoded into the binary value fields
+ */
+function toVariantGroup(field, value) {
+  const dictionary = createDictionary(value);
+  return Object.assign(
+      { metadata: encodeMetadata(dictionary) },
+      shredValue(field, value, dictionary));
+}
+
+function shredValue(field, value, dictionary) {
+  const typed = field.fields.typed_value;
+
+  if (typed && typed.isNested && typed.originalType === 'LIST') {
+    if (Array.isArray(value)) {
+      const element = getArrayElement(typed);
+      return {
+        typed_value: value.map(v => shredValue(element, v === undefined ? null : v, dictionary))
+      };
+    }
+  } else if (typed && typed.isNested) {
+    if (isPlainObject(value)) {
+      let typedValue = {};
+      let residual = null;
+      for (let k in value) {
+        if (value[k] === undefined) {
+          continue;
+        }
+
+        if (k in typed.fields) {
+          typedValue[k] = shredValue(typed.fields[k], value[k], dictionary);
+        } else {
+          residual = residual || {};
+          residual[k] = value[k];
+        }
+      }
+
+      /* the groups of missing fields are present, but empty */
+      for (let k in typed.fields) {
+        typedValue[k] = typedValue[k] || {};
+      }
+
+      let group = { typed_value: typedValue };
+      if (residual) {
+        group.value = encodeValue(residual, dictionary);
+      }
+
+      return group;
+    }
+  } else if (typed) {
+    const typeName = typed.originalType || typed.primitiveType;
+    const isType = PARQUET_VARIANT_SHREDDED_TYPES[typeName];
+    if (isType && isType(value)) {
+      return { typed_value: value };
+    }
+  }
+
+  if (!field.fields.value) {
+    throw 'invalid value for VARIANT: ' + value;
+  }
+
+  return { value: encodeValue(value, dictionary) };
+}
+
+/**
+ * Reassemble the value of a materialized VARIANT group. Returns undefined if
+ * the value is missing, e.g. if its columns were not read. The optional
+ * cursorOpts override the representation of 64 bit integers and dates
+ */
+function fromVariantGroup(field, group, cursorOpts) {
+  const keys = decodeMetadata(group.metadata);
+  const opts = {
+    int64As: (cursorOpts && cursorOpts.int64) || field.int64As,
+    timestampAs: field.timestampAs,
+    dates: cursorOpts && cursorOpts.dates
+  };
+
+  return unshredValue(field, group, keys, opts);
+}
+
+function unshredValue(field, group, keys, opts) {
+  const typed = field.fields.typed_value;
+  const typedValue = group.typed_value;
+  const hasValue = group.value !== undefined && group.value !== null;
+
+  if (!typed || typedValue === undefined || typedValue === null) {
+    return hasValue ? decodeValue(group.value, 0, keys, opts) : undefined;
+  }
+
+  if (typed.isNested && typed.originalType === 'LIST') {
+    const element = getArrayElement(typed);
+    const items = typedValue[Object.keys(typed.fields)[0]] || [];
+    return items.map(v => {
+      const value = unshredValue(element, v[element.name] || {}, keys, opts);
+      return value === undefined ? null : value;
+    });
+  }
+
+  if (typed.isNested) {
+    let obj = hasValue ? decodeValue(group.value, 0, keys, opts) : {};
+    for (let k in typed.fields) {
+      const value = unshredValue(typed.fields[k], typedValue[k] || {}, keys, opts);
+      if (value !== undefined) {
+        obj[k] = value;
+      }
+    }
+
+    return obj;
+  }
+
+  return typedValue;
+}
+
+function isPlainObject(value) {
+  return !!value &&
+      typeof value === 'object' &&
+      (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+function isIntegerInRange(value, bits) {
+  if (typeof value === 'bigint') {
+    return bits === 64 && BigInt.asIntN(64, value) === value;
+  }
+
+  const limit = 2 ** (bits - 1);
+  return Number.isInteger(value) && value >= -limit && value < limit;
+}
+
+/**
+ * Returns the smallest number of bytes (up to four) that can hold value
+ */
+function getOffsetSize(value) {
+  let size = 1;
+  while (size < 4 && value >= 2 ** (8 * size)) {
+    ++size;
+  }
+
+  return size;
+}
+
+module.exports = {
+  PARQUET_VARIANT_VERSION,
+  PARQUET_VARIANT_SHREDDED_TYPES,
+  encodeVariant,
+  decodeVariant,
+  isVariant,
+  toVariantGroup,
+  fromVariantGroup
+};
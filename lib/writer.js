@@ -8,6 +8,8 @@ const parquet_util = require('./util')
 const parquet_codec = require('./codec')
 const parquet_compression = require('./compression')
 const parquet_types = require('./types');
+const parquet_geo = require('./geo');
+const parquet_variant = require('./variant');
 
 /**
  * Parquet File Magic String
@@ -25,6 +27,12 @@ const PARQUET_VERSION = 1;
 const PARQUET_DEFAULT_PAGE_SIZE = 8192;
 const PARQUET_DEFAULT_ROW_GROUP_SIZE = 4096;
 
+/**
+ * Default maximum size (in bytes) of a column chunk's dictionary before the
+ * dictionary encodings fall back to PLAIN
+ */
+const PARQUET_DEFAULT_DICTIONARY_SIZE_LIMIT = 1048576;
+
 /**
  * Repetition and Definition Level Encoding
  */
@@ -95,11 +103,11 @@ class ParquetWriter {
     parquet_shredder.shredRecord(this.schema, row, this.rowBuffer);
 
     if (this.rowBuffer.pageRowCount >= this.envelopeWriter.pageSize) {
-      encodePages(this.schema, this.rowBuffer, { useDataPageV2: this.envelopeWriter.useDataPageV2});
+      await encodePages(this.schema, this.rowBuffer, this.envelopeWriter.getPageOptions());
     }
 
     if (this.rowBuffer.rowCount >= this.rowGroupSize) {
-      encodePages(this.schema, this.rowBuffer, { useDataPageV2: this.envelopeWriter.useDataPageV2});
+      await encodePages(this.schema, this.rowBuffer, this.envelopeWriter.getPageOptions());
       await this.envelopeWriter.writeRowGroup(this.rowBuffer);
       this.rowBuffer = {};
     }
@@ -119,7 +127,7 @@ class ParquetWriter {
     this.closed = true;
 
     if (this.rowBuffer.rowCount > 0 || this.rowBuffer.rowCount >= this.rowGroupSize) {
-      encodePages(this.schema, this.rowBuffer, { useDataPageV2: this.envelopeWriter.useDataPageV2});
+      await encodePages(this.schema, this.rowBuffer, this.envelopeWriter.getPageOptions());
       await this.envelopeWriter.writeRowGroup(this.rowBuffer);
       this.rowBuffer = {};
     }
@@ -188,6 +196,17 @@ class ParquetEnvelopeWriter {
     this.pageSize =  opts.pageSize || PARQUET_DEFAULT_PAGE_SIZE;
     this.useDataPageV2 = ("useDataPageV2" in opts) ? opts.useDataPageV2 : true;
     this.pageIndex = opts.pageIndex;
+    this.dictionarySizeLimit = opts.dictionarySizeLimit || PARQUET_DEFAULT_DICTIONARY_SIZE_LIMIT;
+  }
+
+  /**
+   * Return the options used to encode the data pages of a row group
+   */
+  getPageOptions() {
+    return {
+      useDataPageV2: this.useDataPageV2,
+      dictionarySizeLimit: this.dictionarySizeLimit
+    };
   }
 
   writeSection(buf) {
@@ -206,8 +225,8 @@ class ParquetEnvelopeWriter {
    * Encode a parquet row group. The records object should be created using the
    * shredRecord method
    */
-  writeRowGroup(records) {
-    let rgroup = encodeRowGroup(
+  async writeRowGroup(records) {
+    let rgroup = await encodeRowGroup(
         this.schema,
         records,
         {
@@ -330,31 +349,90 @@ function encodeStatisticsValue(value, column) {
   if (value === undefined) {
     return new Buffer(0);
   }
-  if (column.originalType) {
-    value = parquet_types.toPrimitive(column.originalType,value);
-  }
+  value = parquet_types.toPrimitive(column.originalType || column.primitiveType, value, column);
   if (column.primitiveType !== 'BYTE_ARRAY') {
     value = encodeValues(column.primitiveType,'PLAIN',[value],column);
   }
   return value;
 }
 
+function isFloatingPoint(column) {
+  return column.primitiveType === 'FLOAT' ||
+      column.primitiveType === 'DOUBLE' ||
+      column.originalType === 'FLOAT16';
+}
+
+/**
+ * Returns true if value is NaN, including FLOAT16 values that are given as
+ * buffers with one of the NaN bit patterns
+ */
+function isNaNValue(value, column) {
+  if (column.originalType === 'FLOAT16') {
+    value = parquet_types.fromPrimitive('FLOAT16', parquet_types.toPrimitive('FLOAT16', value));
+  }
+
+  return typeof value === 'number' && isNaN(value);
+}
+
+function isGeospatial(column) {
+  return column.originalType === 'GEOMETRY' ||
+      column.originalType === 'GEOGRAPHY';
+}
+
+function compareStatisticsValues(a, b, column) {
+  return parquet_types.compareValues(
+      column.originalType || column.primitiveType,
+      a,
+      b,
+      column);
+}
+
 function encodeStatistics(statistics,column) {
   statistics = Object.assign({},statistics);
-  statistics.min_value = encodeStatisticsValue(statistics.min_value, column);
-  statistics.max_value = encodeStatisticsValue(statistics.max_value, column);
 
-  statistics.max = statistics.max_value;
-  statistics.min = statistics.min_value;
+  /* geospatial values are unordered and have no min/max value */
+  if (!isGeospatial(column)) {
+    statistics.min_value = encodeStatisticsValue(statistics.min_value, column);
+    statistics.max_value = encodeStatisticsValue(statistics.max_value, column);
+
+    statistics.max = statistics.max_value;
+    statistics.min = statistics.min_value;
+  }
 
   return new parquet_thrift.Statistics(statistics);
 }
 
-function encodePages(schema, rowBuffer, opts) {
+function encodeGeospatialStatistics(statistics) {
+  let geospatialStatistics = new parquet_thrift.GeospatialStatistics();
+  geospatialStatistics.geospatial_types = [...statistics.types].sort((a, b) => a - b);
+
+  /* the bounding box is omitted if it is unknown or empty */
+  const bbox = statistics.bbox;
+  if (bbox) {
+    geospatialStatistics.bbox = new parquet_thrift.BoundingBox({
+      xmin: bbox.xmin,
+      xmax: bbox.xmax,
+      ymin: bbox.ymin,
+      ymax: bbox.ymax
+    });
+
+    for (let axis of ['z', 'm']) {
+      if (bbox[axis + 'min'] <= bbox[axis + 'max']) {
+        geospatialStatistics.bbox[axis + 'min'] = bbox[axis + 'min'];
+        geospatialStatistics.bbox[axis + 'max'] = bbox[axis + 'max'];
+      }
+    }
+  }
+
+  return geospatialStatistics;
+}
+
+async function encodePages(schema, rowBuffer, opts) {
   if (!rowBuffer.pageRowCount) {
     return;
   }
 
+  let encodedPages = [];
   for (let field of schema.fieldList) {
     if (field.isNested) {
       continue;
@@ -365,51 +443,123 @@ function encodePages(schema, rowBuffer, opts) {
     
     let statistics;
 
-    if (field.statistics !== false) {
+    if (field.statistics !== false && isGeospatial(field)) {
+      statistics = {
+        geospatial: parquet_geo.getStatistics(values.values, field),
+        null_count: values.count - values.values.length,
+        distinct_count: values.distinct_values.size
+      };
+    } else if (field.statistics !== false) {
       statistics = {};
-      [...values.distinct_values].forEach( (v,i) => {
-        if (i === 0 || v > statistics.max_value) {
+      [...values.distinct_values].forEach(v => {
+        /* NaN is unordered and must not be used as a min/max value */
+        if (isNaNValue(v, field)) {
+          return;
+        }
+        if (statistics.max_value === undefined || compareStatisticsValues(v, statistics.max_value, field) > 0) {
           statistics.max_value = v;
         }
-        if (i === 0 || v < statistics.min_value) {
+        if (statistics.min_value === undefined || compareStatisticsValues(v, statistics.min_value, field) < 0) {
           statistics.min_value = v;
         }
       });
 
+      /* a zero min/max of a floating point column is written as -0/+0 so
+       * that both zeros are contained in the range */
+      if (isFloatingPoint(field)) {
+        if (statistics.min_value === 0) {
+          statistics.min_value = -0;
+        }
+        if (statistics.max_value === 0) {
+          statistics.max_value = 0;
+        }
+      }
+
       statistics.null_count = values.count - values.values.length;
       statistics.distinct_count = values.distinct_values.size;
     }
 
+    let encoding = field.encoding;
+    let pageValues = values.values;
+    let pageOpts = {};
+
+    if (isDictionaryEncoding(field.encoding)) {
+      if (!rowBuffer.dictionaries) {
+        rowBuffer.dictionaries = {};
+      }
+
+      if (!rowBuffer.dictionaries[field.path]) {
+        rowBuffer.dictionaries[field.path] = {
+          values: [],
+          index: new Map(),
+          size: 0,
+          fallback: false
+        };
+      }
+
+      const dictionary = rowBuffer.dictionaries[field.path];
+      pageValues = encodeDictionaryIndices(
+          field,
+          dictionary,
+          values.values,
+          opts.dictionarySizeLimit);
+
+      /* pages that only contain nulls may precede the first dictionary value */
+      if (pageValues) {
+        pageOpts.bitWidth = parquet_util.getBitWidth(Math.max(dictionary.values.length - 1, 0));
+      } else {
+        encoding = 'PLAIN';
+        pageValues = values.values;
+      }
+    }
+
+    /* the page is compressed asynchronously; values and levels are encoded
+     * before the row buffer is reset below so that rows appended in the
+     * meantime end up in the next page */
     if (opts.useDataPageV2) {
       page = encodeDataPageV2(
         field,
         values.count,
         rowBuffer.pageRowCount,
-        values.values,
+        pageValues,
         values.rlevels,
         values.dlevels,
-        statistics);
+        statistics,
+        encoding,
+        pageOpts);
     } else {
       page = encodeDataPage(
         field,
         values.count,
-        values.values,
+        pageValues,
         values.rlevels,
         values.dlevels,
-        statistics);
+        statistics,
+        encoding,
+        pageOpts);
     }
 
     let pages = rowBuffer.pages[field.path];
     let lastPage = pages[pages.length-1];
-    let first_row_index = lastPage ? lastPage.first_row_index + lastPage.count : 0;
-    pages.push({
-      page,
+    let first_row_index = lastPage ? lastPage.first_row_index + lastPage.rowCount : 0;
+    let pageEntry = {
+      page: null,
+      uncompressedSize: 0,
       statistics,
       first_row_index,
       distinct_values: values.distinct_values,
-      count: values.values.length
+      count: values.values.length,
+      rowCount: rowBuffer.pageRowCount,
+      encoding
+    };
+
+    pageEntry.pending = page.then(encoded => {
+      pageEntry.page = encoded.page;
+      pageEntry.uncompressedSize = encoded.uncompressedSize;
     });
 
+    pages.push(pageEntry);
+    encodedPages.push(pageEntry);
 
     values.distinct_values = new Set();
     values.values = [];
@@ -419,20 +569,136 @@ function encodePages(schema, rowBuffer, opts) {
   }
 
   rowBuffer.pageRowCount = 0;
+
+  /* all pages are awaited at once so that every rejection is handled */
+  await Promise.all(encodedPages.map(page => page.pending));
+}
+
+function isDictionaryEncoding(encoding) {
+  return encoding === 'RLE_DICTIONARY' || encoding === 'PLAIN_DICTIONARY';
+}
+
+/**
+ * Return the size of a value in the PLAIN encoding
+ */
+function getPlainValueSize(column, value) {
+  switch (column.primitiveType) {
+    case 'BOOLEAN':
+      return 1;
+    case 'INT32':
+    case 'FLOAT':
+      return 4;
+    case 'INT64':
+    case 'DOUBLE':
+      return 8;
+    case 'INT96':
+      return 12;
+    case 'FIXED_LEN_BYTE_ARRAY':
+      return column.typeLength;
+    default:
+      return 4 + value.length;
+  }
+}
+
+/**
+ * Translate the values of a page to indices into the column chunk's
+ * dictionary, adding new values to the dictionary. Returns null (and leaves
+ * the dictionary unchanged) if the dictionary would grow past sizeLimit, in
+ * which case this and all following pages of the column chunk must be
+ * encoded using PLAIN
+ */
+function encodeDictionaryIndices(column, dictionary, values, sizeLimit) {
+  if (dictionary.fallback) {
+    return null;
+  }
+
+  const dictionaryLength = dictionary.values.length;
+  const dictionarySize = dictionary.size;
+
+  let indices = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    const key = Buffer.isBuffer(value) ? value.toString('binary') : value;
+
+    let index = dictionary.index.get(key);
+    if (index === undefined) {
+      index = dictionary.values.length;
+      dictionary.index.set(key, index);
+      dictionary.values.push(value);
+      dictionary.size += getPlainValueSize(column, value);
+    }
+
+    if (dictionary.size > sizeLimit) {
+      for (let v of dictionary.values.splice(dictionaryLength)) {
+        dictionary.index.delete(Buffer.isBuffer(v) ? v.toString('binary') : v);
+      }
+
+      dictionary.size = dictionarySize;
+      dictionary.fallback = true;
+      return null;
+    }
+
+    indices[i] = index;
+  }
+
+  return indices;
+}
+
+/**
+ * Encode a parquet dictionary page
+ */
+async function encodeDictionaryPage(column, dictionary, compression) {
+  let valuesBuf = encodeValues(
+      column.primitiveType,
+      'PLAIN',
+      dictionary.values.slice(), {
+        typeLength: column.typeLength,
+        bitWidth: column.typeLength
+      });
+
+  let valuesBufCompressed = await parquet_compression.deflate(
+      compression,
+      valuesBuf,
+      column.compressionOptions);
+
+  let pageHeader = new parquet_thrift.PageHeader();
+  pageHeader.type = parquet_thrift.PageType['DICTIONARY_PAGE'];
+  pageHeader.uncompressed_page_size = valuesBuf.length;
+  pageHeader.compressed_page_size = valuesBufCompressed.length;
+  pageHeader.dictionary_page_header = new parquet_thrift.DictionaryPageHeader();
+  pageHeader.dictionary_page_header.num_values = dictionary.values.length;
+  pageHeader.dictionary_page_header.encoding = parquet_thrift.Encoding[
+      column.encoding === 'PLAIN_DICTIONARY' ? 'PLAIN_DICTIONARY' : 'PLAIN'];
+  pageHeader.dictionary_page_header.is_sorted = false;
+
+  return encodePage(pageHeader, [valuesBufCompressed]);
+}
+
+/**
+ * Serialize a page header followed by the (compressed) page body. Returns the
+ * page and its size as if it was uncompressed
+ */
+function encodePage(pageHeader, body) {
+  const headerBuf = parquet_util.serializeThrift(pageHeader);
+
+  return {
+    page: Buffer.concat([headerBuf].concat(body)),
+    uncompressedSize: headerBuf.length + pageHeader.uncompressed_page_size
+  };
 }
 
 /**
  * Encode a parquet data page
  */
-function encodeDataPage(column, valueCount, values, rlevels, dlevels, statistics) {
+async function encodeDataPage(column, valueCount, values, rlevels, dlevels, statistics, encoding, opts) {
   /* encode values */
   let valuesBuf = encodeValues(
       column.primitiveType,
-      column.encoding,
-      values, {
+      encoding,
+      values, Object.assign({
         typeLength: column.typeLength,
         bitWidth: column.typeLength
-      });
+      }, opts));
 
   /* encode repetition and definition levels */
   let rLevelsBuf = Buffer.alloc(0);
@@ -453,44 +719,51 @@ function encodeDataPage(column, valueCount, values, rlevels, dlevels, statistics
         { bitWidth: parquet_util.getBitWidth(column.dLevelMax) });
   }
 
-  /* build page header */
+  /* in data pages v1, the levels are compressed together with the values */
   let pageBody = Buffer.concat([rLevelsBuf, dLevelsBuf, valuesBuf]);
+  let pageBodyCompressed = await parquet_compression.deflate(
+      column.compression,
+      pageBody,
+      column.compressionOptions);
+
+  /* build page header */
   let pageHeader = new parquet_thrift.PageHeader()
   pageHeader.type = parquet_thrift.PageType['DATA_PAGE'];
   pageHeader.uncompressed_page_size = pageBody.length;
-  pageHeader.compressed_page_size = pageBody.length;
+  pageHeader.compressed_page_size = pageBodyCompressed.length;
   pageHeader.data_page_header = new parquet_thrift.DataPageHeader();
   pageHeader.data_page_header.num_values = rlevels.length;
   if (column.statistics !== false) {
     pageHeader.data_page_header.statistics = encodeStatistics(statistics, column);
   }
 
-  pageHeader.data_page_header.encoding = parquet_thrift.Encoding[column.encoding];
+  pageHeader.data_page_header.encoding = parquet_thrift.Encoding[encoding];
   pageHeader.data_page_header.definition_level_encoding =
       parquet_thrift.Encoding[PARQUET_RDLVL_ENCODING];
   pageHeader.data_page_header.repetition_level_encoding =
       parquet_thrift.Encoding[PARQUET_RDLVL_ENCODING];
 
   /* concat page header, repetition and definition levels and values */
-  return Buffer.concat([parquet_util.serializeThrift(pageHeader), pageBody]);
+  return encodePage(pageHeader, [pageBodyCompressed]);
 }
 
 /**
  * Encode a parquet data page (v2)
  */
-function encodeDataPageV2(column, valueCount, rowCount, values, rlevels, dlevels, statistics) {
+async function encodeDataPageV2(column, valueCount, rowCount, values, rlevels, dlevels, statistics, encoding, opts) {
   /* encode values */
   let valuesBuf = encodeValues(
       column.primitiveType,
-      column.encoding,
-      values, {
+      encoding,
+      values, Object.assign({
         typeLength: column.typeLength,
         bitWidth: column.typeLength
-      });
+      }, opts));
 
-  let valuesBufCompressed = parquet_compression.deflate(
+  let valuesBufCompressed = await parquet_compression.deflate(
       column.compression,
-      valuesBuf);
+      valuesBuf,
+      column.compressionOptions);
 
   /* encode repetition and definition levels */
   let rLevelsBuf = Buffer.alloc(0);
@@ -519,9 +792,9 @@ function encodeDataPageV2(column, valueCount, rowCount, values, rlevels, dlevels
   let pageHeader = new parquet_thrift.PageHeader();
   pageHeader.type = parquet_thrift.PageType['DATA_PAGE_V2'];
   pageHeader.data_page_header_v2 = new parquet_thrift.DataPageHeaderV2();
-  pageHeader.data_page_header_v2.num_values = values.length;
+  pageHeader.data_page_header_v2.num_values = valueCount;
   pageHeader.data_page_header_v2.num_nulls = valueCount - values.length;
-  pageHeader.data_page_header_v2.num_rows = valueCount;
+  pageHeader.data_page_header_v2.num_rows = rowCount;
 
   if (column.statistics !== false) {
     pageHeader.data_page_header_v2.statistics = encodeStatistics(statistics, column);
@@ -533,7 +806,7 @@ function encodeDataPageV2(column, valueCount, rowCount, values, rlevels, dlevels
   pageHeader.compressed_page_size =
       rLevelsBuf.length + dLevelsBuf.length + valuesBufCompressed.length;
 
-  pageHeader.data_page_header_v2.encoding = parquet_thrift.Encoding[column.encoding];
+  pageHeader.data_page_header_v2.encoding = parquet_thrift.Encoding[encoding];
   pageHeader.data_page_header_v2.definition_levels_byte_length = dLevelsBuf.length;
   pageHeader.data_page_header_v2.repetition_levels_byte_length = rLevelsBuf.length;
 
@@ -541,11 +814,7 @@ function encodeDataPageV2(column, valueCount, rowCount, values, rlevels, dlevels
       column.compression !== 'UNCOMPRESSED';
 
   /* concat page header, repetition and definition levels and values */
-  return Buffer.concat([
-      parquet_util.serializeThrift(pageHeader),
-      rLevelsBuf,
-      dLevelsBuf,
-      valuesBufCompressed]);
+  return encodePage(pageHeader, [rLevelsBuf, dLevelsBuf, valuesBufCompressed]);
 }
 
 
@@ -554,26 +823,46 @@ function encodeDataPageV2(column, valueCount, rowCount, values, rlevels, dlevels
 /**
  * Encode an array of values into a parquet column chunk
  */
-function encodeColumnChunk(pages, opts) {
-  let pagesBuf = Buffer.concat(pages.map(d => d.page));
+async function encodeColumnChunk(pages, opts) {
+  let compression = opts.column.compression;
+
+  /* wait for pages that are still being compressed */
+  await Promise.all(pages.map(page => page.pending));
+
+  /* the dictionary page (if any) has to precede the data pages */
+  let dictionaryPage = Buffer.alloc(0);
+  let dictionaryPageUncompressedSize = 0;
+  if (opts.dictionary && opts.dictionary.values.length > 0) {
+    let encoded = await encodeDictionaryPage(opts.column, opts.dictionary, compression);
+    dictionaryPage = encoded.page;
+    dictionaryPageUncompressedSize = encoded.uncompressedSize;
+  }
+
+  let pagesBuf = Buffer.concat([dictionaryPage].concat(pages.map(d => d.page)));
   let count = pages.reduce((p,d) => p + d.count, 0);
-  let offset = opts.baseOffset;
+  let offset = opts.baseOffset + dictionaryPage.length;
 
   /* prepare metadata header */
   let metadata = new parquet_thrift.ColumnMetaData();
   metadata.path_in_schema = opts.column.path;
   metadata.num_values = count;
-  metadata.data_page_offset = opts.baseOffset;
+  metadata.data_page_offset = opts.baseOffset + dictionaryPage.length;
   metadata.encodings = [];
-  metadata.total_uncompressed_size = pagesBuf.length;
+  metadata.total_uncompressed_size = pages.reduce(
+      (p, d) => p + d.uncompressedSize,
+      dictionaryPageUncompressedSize);
   metadata.total_compressed_size = pagesBuf.length;
 
+  if (dictionaryPage.length > 0) {
+    metadata.dictionary_page_offset = opts.baseOffset;
+  }
+
   metadata.type = parquet_thrift.Type[opts.column.primitiveType];
-  metadata.codec = parquet_thrift.CompressionCodec[
-      opts.useDataPageV2 ? opts.column.compression : 'UNCOMPRESSED'];
+  metadata.codec = parquet_thrift.CompressionCodec[compression];
 
   /* compile statistics ColumnIndex and OffsetIndex*/
   let columnIndex = new parquet_thrift.ColumnIndex();
+  columnIndex.null_pages = [];
   columnIndex.max_values = [];
   columnIndex.min_values = [];
   let offsetIndex = new parquet_thrift.OffsetIndex();
@@ -581,6 +870,7 @@ function encodeColumnChunk(pages, opts) {
 
   /* prepare statistics */
   let statistics = {};
+  let geospatialStatistics = null;
   let distinct_values = new Set();
   statistics.null_count = 0;
   statistics.distinct_count = 0;
@@ -590,15 +880,25 @@ function encodeColumnChunk(pages, opts) {
     let page = pages[i];
 
     if (opts.column.statistics !== false) {
-      if (page.statistics.max_value > statistics.max_value || i == 0) {
+      /* pages that only contain nulls have no min/max value */
+      if (page.statistics.max_value !== undefined && (statistics.max_value === undefined ||
+          compareStatisticsValues(page.statistics.max_value, statistics.max_value, opts.column) > 0)) {
         statistics.max_value = page.statistics.max_value;
       }
-      if (page.statistics.min_value < statistics.min_value || i == 0) {
+      if (page.statistics.min_value !== undefined && (statistics.min_value === undefined ||
+          compareStatisticsValues(page.statistics.min_value, statistics.min_value, opts.column) < 0)) {
         statistics.min_value = page.statistics.min_value;
       }
       statistics.null_count += page.statistics.null_count;
       page.distinct_values.forEach(value => distinct_values.add(value));
 
+      if (page.statistics.geospatial) {
+        geospatialStatistics = parquet_geo.mergeStatistics(
+            geospatialStatistics,
+            page.statistics.geospatial);
+      }
+
+      columnIndex.null_pages.push(page.count === 0);
       columnIndex.max_values.push( encodeStatisticsValue(page.statistics.max_value, opts.column) );
       columnIndex.min_values.push( encodeStatisticsValue(page.statistics.min_value, opts.column) );
     }
@@ -618,7 +918,13 @@ function encodeColumnChunk(pages, opts) {
   if (opts.column.statistics !== false) {
     statistics.distinct_count = distinct_values.size;
     metadata.statistics = encodeStatistics(statistics, opts.column);
-    if (opts.pageIndex !== false) {
+
+    /* the column index requires min/max values, geospatial columns get a
+     * bounding box in the column metadata instead */
+    if (geospatialStatistics) {
+      metadata.geospatial_statistics = encodeGeospatialStatistics(geospatialStatistics);
+    } else if (opts.pageIndex !== false && !isGeospatial(opts.column)) {
+      columnIndex.boundary_order = getBoundaryOrder(pages, opts.column);
       metadata.columnIndex = columnIndex;
     }
   }
@@ -626,7 +932,12 @@ function encodeColumnChunk(pages, opts) {
   /* list encodings */
   let encodingsSet = {};
   encodingsSet[PARQUET_RDLVL_ENCODING] = true;
-  encodingsSet[opts.column.encoding] = true;
+  if (dictionaryPage.length > 0 && opts.column.encoding !== 'PLAIN_DICTIONARY') {
+    encodingsSet['PLAIN'] = true;
+  }
+  for (let page of pages) {
+    encodingsSet[page.encoding] = true;
+  }
   for (let k in encodingsSet) {
     metadata.encodings.push(parquet_thrift.Encoding[k]);
   }
@@ -637,10 +948,43 @@ function encodeColumnChunk(pages, opts) {
   return { body, metadata, metadataOffset };
 }
 
+/**
+ * Returns the ordering of the min/max values of the pages of a column chunk;
+ * pages without a min/max value are ignored
+ */
+function getBoundaryOrder(pages, column) {
+  let ascending = true;
+  let descending = true;
+  let previous = null;
+  for (let page of pages) {
+    const stats = page.statistics;
+    if (stats.min_value === undefined || stats.max_value === undefined) {
+      continue;
+    }
+
+    if (previous) {
+      const min = compareStatisticsValues(stats.min_value, previous.min_value, column);
+      const max = compareStatisticsValues(stats.max_value, previous.max_value, column);
+      ascending = ascending && min >= 0 && max >= 0;
+      descending = descending && min <= 0 && max <= 0;
+    }
+
+    previous = stats;
+  }
+
+  if (ascending) {
+    return parquet_thrift.BoundaryOrder.ASCENDING;
+  } else if (descending) {
+    return parquet_thrift.BoundaryOrder.DESCENDING;
+  } else {
+    return parquet_thrift.BoundaryOrder.UNORDERED;
+  }
+}
+
 /**
  * Encode a list of column values into a parquet row group
  */
-function encodeRowGroup(schema, data, opts) {
+async function encodeRowGroup(schema, data, opts) {
   let metadata = new parquet_thrift.RowGroup();
   metadata.num_rows = data.rowCount;
   metadata.columns = [];
@@ -652,7 +996,7 @@ function encodeRowGroup(schema, data, opts) {
       continue;
     }
 
-    let cchunkData = encodeColumnChunk(
+    let cchunkData = await encodeColumnChunk(
       data.pages[field.path],
       {
         column: field,
@@ -661,7 +1005,8 @@ function encodeRowGroup(schema, data, opts) {
         encoding: field.encoding,
         rowCount: data.rowCount,
         useDataPageV2: opts.useDataPageV2,
-        pageIndex: opts.pageIndex
+        pageIndex: opts.pageIndex,
+        dictionary: data.dictionaries && data.dictionaries[field.path]
       });
 
     let cchunk = new parquet_thrift.ColumnChunk();
@@ -688,6 +1033,22 @@ function encodeFooter(schema, rowCount, rowGroups, userMetadata) {
   metadata.schema = [];
   metadata.key_value_metadata = [];
 
+  /* record the columns of user-defined logical types so they can be
+   * reconstructed when reading */
+  let customTypes = {};
+  for (let field of schema.fieldList) {
+    const typeDef = parquet_types.PARQUET_LOGICAL_TYPES[field.originalType];
+    if (!field.isNested && typeDef && typeDef.custom) {
+      customTypes[field.path.join(',')] = field.originalType;
+    }
+  }
+
+  userMetadata = Object.assign({}, userMetadata);
+  delete userMetadata[parquet_types.PARQUET_CUSTOM_TYPES_KEY];
+  if (Object.keys(customTypes).length > 0) {
+    userMetadata[parquet_types.PARQUET_CUSTOM_TYPES_KEY] = JSON.stringify(customTypes);
+  }
+
   for (let k in userMetadata) {
     let kv = new parquet_thrift.KeyValue()
     kv.key = k;
@@ -713,12 +1074,22 @@ function encodeFooter(schema, rowCount, rowGroups, userMetadata) {
       schemaElem.type = parquet_thrift.Type[field.primitiveType];
     }
 
-    if (field.originalType) {
+    /* the legacy converted types only describe UTC times and timestamps */
+    if (field.originalType && field.isAdjustedToUTC !== false) {
       schemaElem.converted_type = parquet_thrift.ConvertedType[field.originalType];
     }
 
+    if (field.originalType) {
+      schemaElem.logicalType = encodeLogicalType(field);
+    }
+
     schemaElem.type_length = field.typeLength;
 
+    if (field.originalType === 'DECIMAL') {
+      schemaElem.precision = field.precision;
+      schemaElem.scale = field.scale;
+    }
+
     metadata.schema.push(schemaElem);
   }
 
@@ -730,6 +1101,139 @@ function encodeFooter(schema, rowCount, rowGroups, userMetadata) {
   return footerEncoded;
 }
 
+/**
+ * Encode the logical type annotation of a field. Returns undefined for types
+ * that can only be described by a converted type (e.g. INTERVAL)
+ */
+function encodeLogicalType(field) {
+  const type = field.originalType;
+  let logicalType = new parquet_thrift.LogicalType();
+
+  switch (type) {
+
+    case 'LIST':
+      logicalType.LIST = new parquet_thrift.ListType();
+      break;
+
+    case 'MAP':
+      logicalType.MAP = new parquet_thrift.MapType();
+      break;
+
+    case 'VARIANT':
+      logicalType.VARIANT = new parquet_thrift.VariantType({
+        specification_version: parquet_variant.PARQUET_VARIANT_VERSION
+      });
+      break;
+
+    case 'UTF8':
+      logicalType.STRING = new parquet_thrift.StringType();
+      break;
+
+    case 'ENUM':
+      logicalType.ENUM = new parquet_thrift.EnumType();
+      break;
+
+    case 'UUID':
+      logicalType.UUID = new parquet_thrift.UUIDType();
+      break;
+
+    case 'JSON':
+      logicalType.JSON = new parquet_thrift.JsonType();
+      break;
+
+    case 'BSON':
+      logicalType.BSON = new parquet_thrift.BsonType();
+      break;
+
+    case 'NULL':
+      logicalType.UNKNOWN = new parquet_thrift.NullType();
+      break;
+
+    case 'FLOAT16':
+      logicalType.FLOAT16 = new parquet_thrift.Float16Type();
+      break;
+
+    case 'DATE':
+      logicalType.DATE = new parquet_thrift.DateType();
+      break;
+
+    case 'GEOMETRY':
+      logicalType.GEOMETRY = new parquet_thrift.GeometryType({
+        crs: field.crs
+      });
+      break;
+
+    case 'GEOGRAPHY':
+      logicalType.GEOGRAPHY = new parquet_thrift.GeographyType({
+        crs: field.crs,
+        algorithm: parquet_thrift.EdgeInterpolationAlgorithm[field.algorithm]
+      });
+      break;
+
+    case 'DECIMAL':
+      logicalType.DECIMAL = new parquet_thrift.DecimalType({
+        scale: field.scale,
+        precision: field.precision
+      });
+      break;
+
+    case 'INT_8':
+    case 'INT_16':
+    case 'INT_32':
+    case 'INT_64':
+    case 'UINT_8':
+    case 'UINT_16':
+    case 'UINT_32':
+    case 'UINT_64':
+      logicalType.INTEGER = new parquet_thrift.IntType({
+        bitWidth: parseInt(type.split('_')[1], 10),
+        isSigned: !type.startsWith('U')
+      });
+      break;
+
+    case 'TIME_MILLIS':
+    case 'TIME_MICROS':
+    case 'TIME_NANOS':
+      logicalType.TIME = new parquet_thrift.TimeType({
+        isAdjustedToUTC: field.isAdjustedToUTC,
+        unit: encodeTimeUnit(type)
+      });
+      break;
+
+    case 'TIMESTAMP_MILLIS':
+    case 'TIMESTAMP_MICROS':
+    case 'TIMESTAMP_NANOS':
+      logicalType.TIMESTAMP = new parquet_thrift.TimestampType({
+        isAdjustedToUTC: field.isAdjustedToUTC,
+        unit: encodeTimeUnit(type)
+      });
+      break;
+
+    default:
+      return undefined;
+
+  }
+
+  return logicalType;
+}
+
+function encodeTimeUnit(type) {
+  let timeUnit = new parquet_thrift.TimeUnit();
+  switch (type.split('_')[1]) {
+    case 'MILLIS':
+      timeUnit.MILLIS = new parquet_thrift.MilliSeconds();
+      break;
+    case 'MICROS':
+      timeUnit.MICROS = new parquet_thrift.MicroSeconds();
+      break;
+    case 'NANOS':
+      timeUnit.NANOS = new parquet_thrift.NanoSeconds();
+      break;
+  }
+
+  return timeUnit;
+}
+
 module.exports = {
   ParquetEnvelopeWriter,
   ParquetWriter,
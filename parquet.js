@@ -2,6 +2,8 @@ const reader = require('./lib/reader');
 const writer = require('./lib/writer');
 const schema = require('./lib/schema');
 const shredder = require('./lib/shred');
+const compression = require('./lib/compression');
+const types = require('./lib/types');
 
 module.exports = {
   ParquetEnvelopeReader: reader.ParquetEnvelopeReader,
@@ -10,5 +12,7 @@ module.exports = {
   ParquetWriter: writer.ParquetWriter,
   ParquetTransformer: writer.ParquetTransformer,
   ParquetSchema: schema.ParquetSchema,
-  ParquetShredder: shredder
+  ParquetShredder: shredder,
+  registerCompression: compression.registerCompression,
+  registerLogicalType: types.registerLogicalType
 };
@@ -257,9 +257,11 @@ struct DecimalType {
 /** Time units for logical types */
 struct MilliSeconds {}
 struct MicroSeconds {}
+struct NanoSeconds {}
 union TimeUnit {
   1: MilliSeconds MILLIS
   2: MicroSeconds MICROS
+  3: NanoSeconds NANOS
 }
 
 /**
@@ -275,7 +277,7 @@ struct TimestampType {
 /**
  * Time logical type annotation
  *
- * Allowed for physical types: INT32 (millis), INT64 (micros)
+ * Allowed for physical types: INT32 (millis), INT64 (micros, nanos)
  */
 struct TimeType {
   1: required bool isAdjustedToUTC
@@ -310,6 +312,62 @@ struct JsonType {
 struct BsonType {
 }
 
+/**
+ * Half-precision floating point logical type annotation
+ *
+ * Allowed for physical types: FIXED_LEN_BYTE_ARRAY(2), stored as IEEE 754
+ * binary16 in little-endian byte order
+ */
+struct Float16Type {
+}
+
+/**
+ * Interpolation algorithm of the edges between the vertices of a GEOGRAPHY
+ */
+enum EdgeInterpolationAlgorithm {
+  SPHERICAL = 0;
+  VINCENTY = 1;
+  THOMAS = 2;
+  ANDOYER = 3;
+  KARNEY = 4;
+}
+
+/**
+ * Geometry logical type annotation. Values are encoded as WKB (well-known
+ * binary) and edges are interpolated linearly in the coordinate system
+ *
+ * Allowed for physical types: BINARY
+ */
+struct GeometryType {
+  /** Coordinate reference system, OGC:CRS84 if not set **/
+  1: optional string crs;
+}
+
+/**
+ * Geography logical type annotation. Values are encoded as WKB (well-known
+ * binary) and edges are interpolated on the ellipsoid using the algorithm
+ *
+ * Allowed for physical types: BINARY
+ */
+struct GeographyType {
+  /** Geographic coordinate reference system, OGC:CRS84 if not set **/
+  1: optional string crs;
+  /** Edge interpolation algorithm, SPHERICAL if not set **/
+  2: optional EdgeInterpolationAlgorithm algorithm;
+}
+
+/**
+ * Variant logical type annotation. The annotated group contains a binary
+ * metadata and value field as well as an optional typed_value field holding
+ * the shredded parts of the value
+ *
+ * Allowed for group types only
+ */
+struct VariantType {
+  /** Version of the variant encoding, 1 if not set **/
+  1: optional i8 specification_version;
+}
+
 /**
  * LogicalType annotations to replace ConvertedType.
  *
@@ -325,12 +383,19 @@ union LogicalType {
   5:  DecimalType DECIMAL     // use ConvertedType DECIMAL
   6:  DateType DATE           // use ConvertedType DATE
   7:  TimeType TIME           // use ConvertedType TIME_MICROS or TIME_MILLIS
+                              // (no ConvertedType for nanos)
   8:  TimestampType TIMESTAMP // use ConvertedType TIMESTAMP_MICROS or TIMESTAMP_MILLIS
+                              // (no ConvertedType for nanos)
   // 9: reserved for INTERVAL
   10: IntType INTEGER         // use ConvertedType INT_* or UINT_*
   11: NullType UNKNOWN        // no compatible ConvertedType
   12: JsonType JSON           // use ConvertedType JSON
   13: BsonType BSON           // use ConvertedType BSON
+  14: UUIDType UUID           // no compatible ConvertedType
+  15: Float16Type FLOAT16     // no compatible ConvertedType
+  16: VariantType VARIANT     // no compatible ConvertedType
+  17: GeometryType GEOMETRY   // no compatible ConvertedType
+  18: GeographyType GEOGRAPHY // no compatible ConvertedType
 }
 
 /**
@@ -447,6 +512,18 @@ enum Encoding {
   /** Dictionary encoding: the ids are encoded using the RLE encoding
    */
   RLE_DICTIONARY = 8;
+
+  /** Encoding for fixed-width data (FLOAT, DOUBLE, INT32, INT64, FIXED_LEN_BYTE_ARRAY).
+      K byte-streams are created where K is the size in bytes of the data type.
+      The individual bytes of a value are scattered to the corresponding stream and
+      the streams are concatenated.
+      This itself does not reduce the size of the data but can lead to better compression
+      afterwards.
+
+      Added in 2.8 for FLOAT and DOUBLE.
+      Support for INT32, INT64 and FIXED_LEN_BYTE_ARRAY added in 2.11.
+   */
+  BYTE_STREAM_SPLIT = 9;
 }
 
 /**
@@ -463,8 +540,9 @@ enum CompressionCodec {
   GZIP = 2;
   LZO = 3;
   BROTLI = 4; // Added in 2.3.2
-  LZ4 = 5;    // Added in 2.3.2
+  LZ4 = 5;    // deprecated (Added in 2.3.2)
   ZSTD = 6;   // Added in 2.3.2
+  LZ4_RAW = 7; // Added in 2.9.0
 }
 
 enum PageType {
@@ -612,6 +690,30 @@ struct PageEncodingStats {
 
 }
 
+/**
+ * Bounding box of the GEOMETRY or GEOGRAPHY values of a column chunk. For
+ * GEOGRAPHY values xmin may be greater than xmax if the box wraps around the
+ * antimeridian
+ */
+struct BoundingBox {
+  1: required double xmin;
+  2: required double xmax;
+  3: required double ymin;
+  4: required double ymax;
+  5: optional double zmin;
+  6: optional double zmax;
+  7: optional double mmin;
+  8: optional double mmax;
+}
+
+/** Statistics of the GEOMETRY or GEOGRAPHY values of a column chunk **/
+struct GeospatialStatistics {
+  /** Bounding box of all values **/
+  1: optional BoundingBox bbox;
+  /** WKB geometry type codes (e.g. 1 for Point, 1003 for Polygon Z) of all values **/
+  2: optional list<i32> geospatial_types;
+}
+
 /**
  * Description for column metadata
  */
@@ -657,6 +759,9 @@ struct ColumnMetaData {
    * This information can be used to determine if all data pages are
    * dictionary encoded for example **/
   13: optional list<PageEncodingStats> encoding_stats;
+
+  /** Optional statistics of GEOMETRY and GEOGRAPHY columns **/
+  17: optional GeospatialStatistics geospatial_statistics;
 }
 
 struct ColumnChunk {
@@ -0,0 +1,111 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT64' },
+  quantity:   { type: 'INT32', optional: true },
+  price:      { type: 'DOUBLE' },
+  name:       { type: 'UTF8', optional: true },
+  day:        { type: 'DATE' },
+  tags:       { type: 'UTF8', repeated: true },
+  scores:     { type: 'LIST', optional: true, element: { type: 'INT32', optional: true } }
+});
+
+const rows = [];
+for (let i = 0; i < 5; i++) {
+  rows.push({
+    id: 2n ** 60n + BigInt(i),
+    quantity: i % 2 ? i : undefined,
+    price: i + 0.5,
+    name: i > 0 ? 'row ' + i : undefined,
+    day: new Date(86400000 * i),
+    tags: i === 1 ? [] : ['a' + i, 'b'],
+    scores: i === 2 ? undefined : (i === 3 ? [] : [i, null])
+  });
+}
+
+async function readBatches(cursor, maxRows) {
+  let batches = [];
+  let batch = null;
+  while (batch = await cursor.nextBatch(maxRows)) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+describe('columnar batch cursor', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('batch_cursor.parquet', schema, rows, { rowGroupSize: 3 });
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should return the physical values as typed arrays', async function() {
+    let batches = await readBatches(reader.getCursor());
+    assert.deepEqual(batches.map(b => b.rowCount), [3, 2]);
+
+    let batch = batches[0];
+    assert.deepEqual(batch.columns['id'], BigInt64Array.from([2n ** 60n, 2n ** 60n + 1n, 2n ** 60n + 2n]));
+    assert.deepEqual(batch.columns['quantity'], Int32Array.from([0, 1, 0]));
+    assert.deepEqual(batch.columns['price'], Float64Array.from([0.5, 1.5, 2.5]));
+    assert.deepEqual(batch.columns['day'], Int32Array.from([0, 1, 2]));
+    assert.deepEqual(batch.columns['name'], [null, 'row 1', 'row 2']);
+  });
+
+  it('should return the validity of optional columns', async function() {
+    let batch = await reader.getCursor().nextBatch();
+    assert.deepEqual(batch.validity['quantity'], Uint8Array.from([0, 1, 0]));
+    assert.deepEqual(batch.validity['name'], Uint8Array.from([0, 1, 1]));
+    assert.notProperty(batch.validity, 'price');
+    assert.notProperty(batch.offsets, 'price');
+  });
+
+  it('should return offsets for repeated columns', async function() {
+    let batches = await readBatches(reader.getCursor([['tags'], ['scores', 'list', 'element']]));
+
+    assert.deepEqual(batches[0].columns['tags'], ['a0', 'b', 'a2', 'b']);
+    assert.deepEqual(batches[0].offsets['tags'], Int32Array.from([0, 2, 2, 4]));
+
+    /* null lists and empty lists have no values, null elements do */
+    let key = 'scores.list.element';
+    assert.deepEqual(batches[0].columns[key], Int32Array.from([0, 0, 1, 0]));
+    assert.deepEqual(batches[0].validity[key], Uint8Array.from([1, 0, 1, 0]));
+    assert.deepEqual(batches[0].offsets[key], Int32Array.from([0, 2, 4, 4]));
+    assert.deepEqual(batches[1].offsets[key], Int32Array.from([0, 0, 2]));
+  });
+
+  it('should split row groups into batches of at most maxRows rows', async function() {
+    let batches = await readBatches(reader.getCursor(['price', 'tags']), 2);
+    assert.deepEqual(batches.map(b => b.rowCount), [2, 1, 2]);
+    assert.deepEqual(batches[1].columns['price'], Float64Array.from([2.5]));
+    assert.deepEqual(batches[1].columns['tags'], ['a2', 'b']);
+    assert.deepEqual(batches[1].offsets['tags'], Int32Array.from([0, 2]));
+
+    let err = await reader.getCursor().nextBatch(0).catch(e => e);
+    assert.equal(err, 'invalid maxRows: 0');
+  });
+
+  it('should only return the rows that match the filter', async function() {
+    let cursor = reader.getCursor(['id', 'tags'], { where: { quantity: { gte: 1 } } });
+    let batches = await readBatches(cursor);
+
+    assert.deepEqual(batches.map(b => b.columns['id']), [
+      BigInt64Array.from([2n ** 60n + 1n]),
+      BigInt64Array.from([2n ** 60n + 3n])
+    ]);
+    assert.deepEqual(batches[0].offsets['tags'], Int32Array.from([0, 0]));
+    assert.notProperty(batches[0].columns, 'quantity');
+
+    cursor.rewind();
+    assert.equal((await cursor.nextBatch()).rowCount, 1);
+  });
+
+});
@@ -0,0 +1,106 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const path = require('path');
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_thrift = require('../gen-nodejs/parquet_types');
+const parquet_codec_bss = require('../lib/codec/byte_stream_split.js');
+
+function roundtrip(type, values, opts) {
+  let buf = parquet_codec_bss.encodeValues(type, values, opts || {});
+  let cursor = { buffer: buf, offset: 0 };
+  let decoded = parquet_codec_bss.decodeValues(type, cursor, values.length, opts || {});
+  assert.equal(cursor.offset, buf.length);
+  return decoded;
+}
+
+describe('ParquetCodec::BYTE_STREAM_SPLIT', function() {
+
+  it('should encode FLOAT values', function() {
+    let buf = parquet_codec_bss.encodeValues('FLOAT', [1.0, 2.0], {});
+    assert.deepEqual(buf, Buffer.from([0x00, 0x00, 0x00, 0x00, 0x80, 0x00, 0x3f, 0x40]));
+  });
+
+  it('should decode FLOAT values', function() {
+    let vals = parquet_codec_bss.decodeValues(
+        'FLOAT',
+        {
+          buffer: Buffer.from([0x00, 0x00, 0x00, 0x00, 0x80, 0x00, 0x3f, 0x40]),
+          offset: 0
+        },
+        2,
+        {});
+
+    assert.deepEqual(vals, [1.0, 2.0]);
+  });
+
+  it('should encode and decode DOUBLE values', function() {
+    let values = [0, -1.5, 3.141592653589793, 1e300, -2.5e-300];
+    assert.deepEqual(roundtrip('DOUBLE', values), values);
+    assert.deepEqual(roundtrip('DOUBLE', []), []);
+  });
+
+  it('should encode and decode INT32, INT64 and FIXED_LEN_BYTE_ARRAY values', function() {
+    assert.deepEqual(roundtrip('INT32', [1, -2, 2147483647]), [1, -2, 2147483647]);
+    assert.deepEqual(roundtrip('INT64', [1, -2, 1500000000000]), [1, -2, 1500000000000]);
+    assert.deepEqual(
+        roundtrip('FIXED_LEN_BYTE_ARRAY', ['abc', 'def'], { typeLength: 3 }).map(v => v.toString()),
+        ['abc', 'def']);
+  });
+
+  it('should reject unsupported types', function() {
+    assert.throws(() => parquet_codec_bss.encodeValues('BYTE_ARRAY', ['a'], {}), 'unsupported type: BYTE_ARRAY');
+  });
+
+  [true, false].forEach(useDataPageV2 => {
+    it(`should write and read back a file (useDataPageV2: ${useDataPageV2})`, async function() {
+      let schema = new parquet.ParquetSchema({
+        temperature: { type: 'DOUBLE', encoding: 'BYTE_STREAM_SPLIT', compression: 'GZIP' },
+        humidity: { type: 'FLOAT', encoding: 'BYTE_STREAM_SPLIT', optional: true }
+      });
+
+      let rows = [];
+      for (let i = 0; i < 1000; ++i) {
+        let row = { temperature: 20 + Math.sin(i / 100) };
+        if (i % 3) {
+          row.humidity = i / 4;
+        }
+        rows.push(row);
+      }
+
+      let reader = await file_util.writeAndOpenFile('byte-stream-split.parquet', schema, rows, { useDataPageV2, pageSize: 300 });
+      let encodings = reader.metadata.row_groups[0].columns[0].meta_data.encodings;
+      assert.include(encodings, parquet_thrift.Encoding.BYTE_STREAM_SPLIT);
+
+      let cursor = reader.getCursor();
+      for (let row of rows) {
+        assert.deepEqual(await cursor.next(), row);
+      }
+      assert.equal(await cursor.next(), null);
+      await reader.close();
+    });
+  });
+
+  it('should read a file written by arrow-rs', async function() {
+    let reader = await parquet.ParquetReader.openFile(
+        path.resolve(__dirname, 'test-files/arrow-rs-byte-stream-split.parquet'),
+        { int64As: 'bigint' });
+
+    for (let colChunk of reader.metadata.row_groups[0].columns) {
+      assert.include(colChunk.meta_data.encodings, parquet_thrift.Encoding.BYTE_STREAM_SPLIT);
+    }
+
+    let records = await file_util.readAll(reader);
+    assert.equal(records.length, 300);
+    records.forEach((record, i) => {
+      assert.equal(record.float, i % 9 === 2 ? undefined : i / 4 - 20);
+      assert.equal(record.double, Math.PI * (i - 100));
+      assert.equal(record.int32, i * 65537 - 1000000);
+      assert.equal(record.int64, BigInt(i) * 4294967311n);
+    });
+
+    await reader.close();
+  });
+
+});
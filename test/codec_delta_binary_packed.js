@@ -0,0 +1,118 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const path = require('path');
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_codec_delta = require('../lib/codec/delta_binary_packed.js');
+
+function roundtrip(type, values, opts) {
+  let buf = parquet_codec_delta.encodeValues(type, values, {});
+  let cursor = { buffer: buf, offset: 0 };
+  let decoded = parquet_codec_delta.decodeValues(type, cursor, values.length, opts || {});
+  assert.equal(cursor.offset, buf.length);
+  return decoded;
+}
+
+describe('ParquetCodec::DELTA_BINARY_PACKED', function() {
+
+  it('should encode values', function() {
+    let buf = parquet_codec_delta.encodeValues('INT32', [1, 2, 3, 4, 5], {});
+    assert.deepEqual(buf, Buffer.from([0x80, 0x01, 0x04, 0x05, 0x02, 0x02, 0x00, 0x00, 0x00, 0x00]));
+  });
+
+  it('should decode values', function() {
+    let vals = parquet_codec_delta.decodeValues(
+        'INT32',
+        {
+          buffer: Buffer.from([0x80, 0x01, 0x04, 0x05, 0x02, 0x02, 0x00, 0x00, 0x00, 0x00]),
+          offset: 0
+        },
+        5,
+        {});
+
+    assert.deepEqual(vals, [1, 2, 3, 4, 5]);
+  });
+
+  it('should decode values with multiple blocks and miniblocks', function() {
+    let values = [];
+    for (let i = 0; i < 1000; ++i) {
+      values.push((i * 7919) % 1013 - 500);
+    }
+
+    assert.deepEqual(roundtrip('INT32', values), values);
+  });
+
+  it('should wrap INT32 deltas around at 32 bits', function() {
+    let values = [2147483647, -2147483648, 0, 2147483647, -1];
+    assert.deepEqual(roundtrip('INT32', values), values);
+  });
+
+  it('should encode and decode INT64 values', function() {
+    let values = [1500000000000000, 1500000000000001, 1500000000001000, -1125899906842624, 1125899906842623];
+    assert.deepEqual(roundtrip('INT64', values), values);
+  });
+
+  it('should encode and decode 64 bit INT64 values as BigInt', function() {
+    let values = [
+      1234567890123456789n,
+      -9223372036854775808n,
+      9223372036854775807n,
+      1234567890123456790n,
+      0n
+    ];
+
+    assert.deepEqual(roundtrip('INT64', values, { int64As: 'bigint' }), values);
+    assert.deepEqual(roundtrip('INT64', values, { int64As: 'string' }), values.map(String));
+  });
+
+  it('should encode and decode empty and single value arrays', function() {
+    assert.deepEqual(roundtrip('INT64', []), []);
+    assert.deepEqual(roundtrip('INT64', [-42]), [-42]);
+  });
+
+  it('should reject unsupported types', function() {
+    assert.throws(() => parquet_codec_delta.encodeValues('DOUBLE', [1.5], {}), 'unsupported type: DOUBLE');
+  });
+
+  [true, false].forEach(useDataPageV2 => {
+    it(`should write and read back a file (useDataPageV2: ${useDataPageV2})`, async function() {
+      let schema = new parquet.ParquetSchema({
+        id: { type: 'INT64', encoding: 'DELTA_BINARY_PACKED' },
+        time: { type: 'TIMESTAMP_MILLIS', encoding: 'DELTA_BINARY_PACKED', optional: true },
+        count: { type: 'INT32', encoding: 'DELTA_BINARY_PACKED', repeated: true, compression: 'GZIP' }
+      });
+
+      let rows = [];
+      for (let i = 0; i < 1000; ++i) {
+        let row = { id: 1e12 + i, count: [i, 1 - i] };
+        if (i % 3) {
+          row.time = new Date(1500000000000 + i * 1000);
+        }
+        rows.push(row);
+      }
+
+      let reader = await file_util.writeAndOpenFile('delta.parquet', schema, rows, { useDataPageV2, pageSize: 300 });
+      let cursor = reader.getCursor();
+      for (let row of rows) {
+        assert.deepEqual(await cursor.next(), row);
+      }
+      assert.equal(await cursor.next(), null);
+      await reader.close();
+    });
+  });
+
+  it('should read a file written by arrow-rs', async function() {
+    let records = await file_util.readFile(
+        path.resolve(__dirname, 'test-files/arrow-rs-delta-binary-packed.parquet'),
+        { int64As: 'bigint' });
+
+    assert.equal(records.length, 300);
+    records.forEach((record, i) => {
+      assert.equal(record.int32, i % 10 === 3 ? undefined : (i * 7919) % 1000 - 500);
+      assert.equal(record.int64, BigInt(i) * 1000000007n - 50000000000n);
+      assert.equal(record.int64_extremes, i % 2 ? 9223372036854775807n - BigInt(i) : -9223372036854775808n + BigInt(i));
+    });
+  });
+
+});
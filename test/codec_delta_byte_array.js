@@ -0,0 +1,145 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const path = require('path');
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_thrift = require('../gen-nodejs/parquet_types');
+const parquet_codec_delta_length = require('../lib/codec/delta_length_byte_array.js');
+const parquet_codec_delta_byte_array = require('../lib/codec/delta_byte_array.js');
+
+function roundtrip(codec, type, values, opts) {
+  let buf = codec.encodeValues(type, values, opts || {});
+  let cursor = { buffer: buf, offset: 0 };
+  let decoded = codec.decodeValues(type, cursor, values.length, opts || {});
+  assert.equal(cursor.offset, buf.length);
+  return decoded.map(v => v.toString());
+}
+
+describe('ParquetCodec::DELTA_LENGTH_BYTE_ARRAY', function() {
+
+  it('should encode values', function() {
+    let buf = parquet_codec_delta_length.encodeValues('BYTE_ARRAY', ['Hello', 'World'], {});
+    assert.deepEqual(buf, Buffer.concat([
+      Buffer.from([0x80, 0x01, 0x04, 0x02, 0x0a, 0x00, 0x00, 0x00, 0x00, 0x00]),
+      Buffer.from('HelloWorld')
+    ]));
+  });
+
+  it('should decode values', function() {
+    let vals = parquet_codec_delta_length.decodeValues(
+        'BYTE_ARRAY',
+        {
+          buffer: Buffer.concat([
+            Buffer.from([0x80, 0x01, 0x04, 0x02, 0x0a, 0x00, 0x00, 0x00, 0x00, 0x00]),
+            Buffer.from('HelloWorld')
+          ]),
+          offset: 0
+        },
+        2,
+        {});
+
+    assert.deepEqual(vals, [Buffer.from('Hello'), Buffer.from('World')]);
+  });
+
+  it('should encode and decode empty and long values', function() {
+    let values = ['', 'a', '', 'x'.repeat(1000), 'bc'];
+    assert.deepEqual(roundtrip(parquet_codec_delta_length, 'BYTE_ARRAY', values), values);
+    assert.deepEqual(roundtrip(parquet_codec_delta_length, 'BYTE_ARRAY', []), []);
+  });
+
+  it('should encode and decode FIXED_LEN_BYTE_ARRAY values', function() {
+    let values = ['abcd', 'efgh', 'ijkl'];
+    let opts = { typeLength: 4 };
+    assert.deepEqual(roundtrip(parquet_codec_delta_length, 'FIXED_LEN_BYTE_ARRAY', values, opts), values);
+    assert.throws(() => parquet_codec_delta_length.encodeValues('FIXED_LEN_BYTE_ARRAY', ['abc'], opts));
+  });
+
+});
+
+describe('ParquetCodec::DELTA_BYTE_ARRAY', function() {
+
+  it('should encode and decode values with shared prefixes', function() {
+    let values = [];
+    for (let i = 0; i < 500; ++i) {
+      values.push('https://example.com/fruits/' + (i % 3 ? 'apple/' : 'banana/') + i);
+    }
+
+    let buf = parquet_codec_delta_byte_array.encodeValues('BYTE_ARRAY', values, {});
+    let plainSize = values.reduce((n, v) => n + 4 + v.length, 0);
+    assert.isBelow(buf.length, plainSize / 4);
+    assert.deepEqual(roundtrip(parquet_codec_delta_byte_array, 'BYTE_ARRAY', values), values);
+  });
+
+  it('should encode and decode values without shared prefixes', function() {
+    let values = ['banana', 'apple', '', 'apple', 'applesauce', 'app', ''];
+    assert.deepEqual(roundtrip(parquet_codec_delta_byte_array, 'BYTE_ARRAY', values), values);
+    assert.deepEqual(roundtrip(parquet_codec_delta_byte_array, 'BYTE_ARRAY', []), []);
+  });
+
+  it('should encode and decode FIXED_LEN_BYTE_ARRAY values', function() {
+    let values = ['abcd', 'abce', 'xbce', 'xbce'];
+    let opts = { typeLength: 4 };
+    assert.deepEqual(roundtrip(parquet_codec_delta_byte_array, 'FIXED_LEN_BYTE_ARRAY', values, opts), values);
+  });
+
+  it('should reject unsupported types', function() {
+    assert.throws(() => parquet_codec_delta_byte_array.encodeValues('INT32', [1], {}), 'unsupported type: INT32');
+  });
+
+  [true, false].forEach(useDataPageV2 => {
+    it(`should write and read back a file (useDataPageV2: ${useDataPageV2})`, async function() {
+      let schema = new parquet.ParquetSchema({
+        url: { type: 'UTF8', encoding: 'DELTA_BYTE_ARRAY' },
+        path: { type: 'UTF8', encoding: 'DELTA_LENGTH_BYTE_ARRAY', optional: true },
+        tags: { type: 'BYTE_ARRAY', encoding: 'DELTA_BYTE_ARRAY', repeated: true, compression: 'GZIP' }
+      });
+
+      let rows = [];
+      for (let i = 0; i < 1000; ++i) {
+        let row = {
+          url: 'https://example.com/' + Math.floor(i / 10),
+          tags: [Buffer.from('tag' + i), Buffer.from('tag' + (i % 5))]
+        };
+        if (i % 3) {
+          row.path = '/fruits/' + i;
+        }
+        rows.push(row);
+      }
+
+      let reader = await file_util.writeAndOpenFile('delta-byte-array.parquet', schema, rows, { useDataPageV2, pageSize: 300 });
+      let cursor = reader.getCursor();
+      for (let row of rows) {
+        assert.deepEqual(await cursor.next(), row);
+      }
+      assert.equal(await cursor.next(), null);
+
+      /* statistics are computed from the values and not their encoding */
+      let colChunk = reader.metadata.row_groups[0].columns[0].meta_data;
+      assert.equal(colChunk.statistics.min_value, 'https://example.com/0');
+      assert.equal(colChunk.statistics.max_value, 'https://example.com/99');
+
+      let records = await file_util.readAll(reader, ['url'], { where: { url: 'https://example.com/42' } });
+      assert.equal(records.length, 10);
+
+      await reader.close();
+    });
+  });
+
+  it('should read a file written by arrow-rs', async function() {
+    let reader = await parquet.ParquetReader.openFile(path.resolve(__dirname, 'test-files/arrow-rs-delta-byte-array.parquet'));
+    let encodings = reader.metadata.row_groups[0].columns.map(c => c.meta_data.encodings);
+    assert.include(encodings[0], parquet_thrift.Encoding.DELTA_LENGTH_BYTE_ARRAY);
+    assert.include(encodings[1], parquet_thrift.Encoding.DELTA_BYTE_ARRAY);
+
+    let records = await file_util.readAll(reader);
+    assert.equal(records.length, 300);
+    records.forEach((record, i) => {
+      assert.equal(record.delta_length, i % 7 === 5 ? undefined : 'x'.repeat(i % 13));
+      assert.equal(record.delta_byte_array, i % 11 === 4 ? undefined : 'prefix-' + String(Math.floor(i / 3)).padStart(4, '0'));
+    });
+
+    await reader.close();
+  });
+
+});
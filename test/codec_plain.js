@@ -99,6 +99,24 @@ describe('ParquetCodec::PLAIN', function() {
     assert.deepEqual(vals, [42, 17, 23, -1, -2, -3, 9000, 420]);
   });
 
+  it('should encode and decode INT64 values as BigInt', function() {
+    let buf = parquet_codec_plain.encodeValues(
+        'INT64',
+        [9007199254740993n, -9223372036854775808n, 42n]);
+
+    assert.deepEqual(buf, new Buffer([
+      0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x20, 0x00, // 2^53 + 1
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x80, // -2^63
+      0x2a, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00  // 42
+    ]));
+
+    let vals = parquet_codec_plain.decodeValues('INT64', { buffer: buf, offset: 0 }, 3, { int64As: 'bigint' });
+    assert.deepEqual(vals, [9007199254740993n, -9223372036854775808n, 42n]);
+
+    vals = parquet_codec_plain.decodeValues('INT64', { buffer: buf, offset: 0 }, 3, { int64As: 'string' });
+    assert.deepEqual(vals, ['9007199254740993', '-9223372036854775808', '42']);
+  });
+
   it('should encode INT96 values', function() {
     let buf = parquet_codec_plain.encodeValues(
         'INT96',
@@ -0,0 +1,314 @@
+'use strict';
+const zlib = require('zlib');
+const path = require('path');
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const parquet_compression = require('../lib/compression.js');
+const parquet_thrift = require('../gen-nodejs/parquet_types');
+const file_util = require('./util/file_util.js');
+
+/* zstd-napi is an optional dependency that may not be installed */
+function isInstalled(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/* read a file written by arrow-rs in which every column uses the codec */
+async function readArrowFile(name, codec) {
+  let reader = await parquet.ParquetReader.openFile(path.resolve(__dirname, 'test-files', name));
+  for (let colChunk of reader.metadata.row_groups[0].columns) {
+    assert.equal(colChunk.meta_data.codec, parquet_thrift.CompressionCodec[codec]);
+  }
+
+  let records = await file_util.readAll(reader);
+  assert.deepEqual(records.map(r => r.id), Array.from({ length: 200 }, (v, i) => i));
+  assert.deepEqual(records.map(r => r.name), Array.from({ length: 200 }, (v, i) => 'name ' + (i % 10)));
+  await reader.close();
+}
+
+describe('ParquetCompression', function() {
+
+  describe('ZSTD', function() {
+
+    before(function() {
+      if (!isInstalled('zstd-napi')) {
+        this.skip();
+      }
+    });
+
+    it('should deflate and inflate values', async function() {
+      let value = Buffer.from('apple banana apple banana apple banana cherry');
+      let deflated = await parquet_compression.deflate('ZSTD', value);
+      assert.isBelow(deflated.length, value.length);
+      assert.deepEqual(await parquet_compression.inflate('ZSTD', deflated), value);
+    });
+
+    it('should use the compression level', async function() {
+      let words = [];
+      for (let i = 0; i < 20000; ++i) {
+        words.push('fruit' + ((i * 7919) % 1013));
+      }
+
+      let value = Buffer.from(words.join(' '));
+      let fast = await parquet_compression.deflate('ZSTD', value, { level: 1 });
+      let best = await parquet_compression.deflate('ZSTD', value, { level: 19 });
+      assert.isBelow(best.length, fast.length);
+      assert.deepEqual(await parquet_compression.inflate('ZSTD', fast), value);
+      assert.deepEqual(await parquet_compression.inflate('ZSTD', best), value);
+    });
+
+    it('should write and read back a file with a compression level', async function() {
+      let schema = new parquet.ParquetSchema({
+        name: { type: 'UTF8', compression: 'ZSTD', compressionLevel: 19 },
+        quantity: { type: 'INT64', compression: 'ZSTD', optional: true }
+      });
+
+      assert.deepEqual(schema.fields.name.compressionOptions, { level: 19 });
+      assert.equal(schema.fields.quantity.compressionOptions, undefined);
+
+      let writer = await parquet.ParquetWriter.openFile(schema, 'fruits-zstd.parquet', { useDataPageV2: true });
+      for (let i = 0; i < 1000; ++i) {
+        await writer.appendRow({ name: 'fruit' + (i % 10), quantity: i % 3 ? i : undefined });
+      }
+      await writer.close();
+
+      let reader = await parquet.ParquetReader.openFile('fruits-zstd.parquet');
+      assert.equal(reader.metadata.row_groups[0].columns[0].meta_data.codec, parquet_thrift.CompressionCodec.ZSTD);
+
+      let cursor = reader.getCursor();
+      for (let i = 0; i < 1000; ++i) {
+        let row = await cursor.next();
+        assert.equal(row.name, 'fruit' + (i % 10));
+        assert.equal(row.quantity, i % 3 ? i : undefined);
+      }
+
+      await reader.close();
+    });
+
+    it('should read a file written by arrow-rs', async function() {
+      await readArrowFile('arrow-rs-zstd.parquet', 'ZSTD');
+    });
+
+    it('should reject invalid compression levels', function() {
+      assert.throws(() => new parquet.ParquetSchema({
+        name: { type: 'UTF8', compression: 'ZSTD', compressionLevel: 'high' }
+      }), 'invalid compression level: high');
+    });
+
+  });
+
+  describe('LZ4', function() {
+
+    it('should deflate and inflate values using the Hadoop framing', async function() {
+      let value = Buffer.from('apple banana apple banana apple banana cherry');
+      let deflated = await parquet_compression.deflate('LZ4', value);
+      assert.equal(deflated.readUInt32BE(0), value.length);
+      assert.equal(deflated.readUInt32BE(4), deflated.length - 8);
+      assert.deepEqual(await parquet_compression.inflate('LZ4', deflated), value);
+    });
+
+    it('should inflate values with multiple Hadoop frames', async function() {
+      let value = Buffer.from([
+        0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x04, 0x30, 0x61, 0x62, 0x63,
+        0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00, 0x03, 0x20, 0x64, 0x65
+      ]);
+
+      assert.equal((await parquet_compression.inflate('LZ4', value)).toString(), 'abcde');
+    });
+
+    it('should fall back to raw LZ4 blocks', async function() {
+      let value = Buffer.from('apple banana apple banana apple banana cherry');
+      let deflated = await parquet_compression.deflate('LZ4_RAW', value);
+      assert.deepEqual(await parquet_compression.inflate('LZ4', deflated), value);
+    });
+
+    it('should fall back to LZ4 frames', async function() {
+      let value = Buffer.from('apple banana apple banana apple banana cherry');
+      let deflated = Buffer.from(require('lz4js').compress(value));
+      assert.deepEqual(await parquet_compression.inflate('LZ4', deflated), value);
+    });
+
+    it('should read a file written by arrow-rs', async function() {
+      await readArrowFile('arrow-rs-lz4.parquet', 'LZ4');
+    });
+
+  });
+
+  describe('LZ4_RAW', function() {
+
+    it('should deflate and inflate values', async function() {
+      let values = [
+        Buffer.alloc(0),
+        Buffer.from('abc'),
+        Buffer.from('apple banana '.repeat(1000)),
+        Buffer.from(Array.from({ length: 1000 }, (v, i) => (i * 7919) % 251))
+      ];
+
+      for (let value of values) {
+        let deflated = await parquet_compression.deflate('LZ4_RAW', value);
+        assert.deepEqual(await parquet_compression.inflate('LZ4_RAW', deflated), value);
+      }
+    });
+
+    it('should inflate raw LZ4 blocks', async function() {
+      let value = Buffer.from([0x55, 0x61, 0x62, 0x63, 0x64, 0x65, 0x05, 0x00, 0x10, 0x21]);
+      assert.equal((await parquet_compression.inflate('LZ4_RAW', value)).toString(), 'abcdeabcdeabcd!');
+    });
+
+    it('should reject malformed blocks', async function() {
+      let value = Buffer.from([0x15, 0x61, 0x09, 0x00]);
+      let err = await parquet_compression.inflate('LZ4_RAW', value).catch(e => e);
+      assert.equal(err, 'invalid LZ4 block');
+    });
+
+    it('should read a file written by arrow-rs', async function() {
+      await readArrowFile('arrow-rs-lz4_raw.parquet', 'LZ4_RAW');
+    });
+
+    it('should write and read back a file', async function() {
+      let schema = new parquet.ParquetSchema({
+        name: { type: 'UTF8', compression: 'LZ4_RAW' },
+        quantity: { type: 'INT64', compression: 'LZ4_RAW', optional: true }
+      });
+
+      let writer = await parquet.ParquetWriter.openFile(schema, 'fruits-lz4.parquet', { useDataPageV2: true });
+      for (let i = 0; i < 1000; ++i) {
+        await writer.appendRow({ name: 'fruit' + (i % 10), quantity: i % 3 ? i : undefined });
+      }
+      await writer.close();
+
+      let reader = await parquet.ParquetReader.openFile('fruits-lz4.parquet');
+      assert.equal(reader.metadata.row_groups[0].columns[0].meta_data.codec, parquet_thrift.CompressionCodec.LZ4_RAW);
+
+      let cursor = reader.getCursor();
+      for (let i = 0; i < 1000; ++i) {
+        let row = await cursor.next();
+        assert.equal(row.name, 'fruit' + (i % 10));
+        assert.equal(row.quantity, i % 3 ? i : undefined);
+      }
+
+      await reader.close();
+    });
+
+  });
+
+  describe('registerCompression', function() {
+    let lzo;
+
+    before(function() {
+      lzo = parquet_compression.PARQUET_COMPRESSION_METHODS['LZO'];
+    });
+
+    after(function() {
+      parquet_compression.PARQUET_COMPRESSION_METHODS['LZO'] = lzo;
+    });
+
+    it('should use async codecs when writing and reading a file', async function() {
+      let calls = { deflate: 0, inflate: 0 };
+      parquet.registerCompression('LZO', {
+        deflate: async (value, opts) => {
+          calls.deflate++;
+          assert.deepEqual(opts, { level: 1 });
+          return zlib.deflateRawSync(value, opts);
+        },
+        inflate: async (value) => {
+          calls.inflate++;
+          return new Uint8Array(zlib.inflateRawSync(value));
+        }
+      });
+
+      let schema = new parquet.ParquetSchema({
+        name: { type: 'UTF8', compression: 'LZO', compressionOptions: { level: 1 } }
+      });
+
+      let writer = await parquet.ParquetWriter.openFile(schema, 'fruits-custom.parquet', { pageSize: 100 });
+      for (let i = 0; i < 1000; ++i) {
+        await writer.appendRow({ name: 'fruit' + (i % 10) });
+      }
+      await writer.close();
+      assert.equal(calls.deflate, 10);
+
+      let reader = await parquet.ParquetReader.openFile('fruits-custom.parquet');
+      let cursor = reader.getCursor();
+      for (let i = 0; i < 1000; ++i) {
+        assert.deepEqual(await cursor.next(), { name: 'fruit' + (i % 10) });
+      }
+      await reader.close();
+      assert.equal(calls.inflate, 10);
+    });
+
+    it('should reject appendRow if a codec rejects', async function() {
+      parquet.registerCompression('LZO', {
+        deflate: async () => { throw 'boom'; },
+        inflate: async (value) => value
+      });
+
+      let unhandled = [];
+      const onUnhandled = (reason) => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+
+      let schema = new parquet.ParquetSchema({
+        name: { type: 'UTF8', compression: 'LZO' },
+        colour: { type: 'UTF8', compression: 'LZO' },
+        quantity: { type: 'INT32', compression: 'LZO' }
+      });
+
+      let writer = await parquet.ParquetWriter.openFile(schema, 'fruits-custom.parquet', { pageSize: 1 });
+      let err = await writer.appendRow({ name: 'apples', colour: 'red', quantity: 10 }).catch(e => e);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      process.removeListener('unhandledRejection', onUnhandled);
+
+      assert.equal(err, 'boom');
+      assert.deepEqual(unhandled, []);
+    });
+
+    it('should reject unknown methods and invalid codecs', function() {
+      assert.throws(
+          () => parquet.registerCompression('FOO', { deflate: v => v, inflate: v => v }),
+          'invalid compression method: FOO');
+
+      assert.throws(
+          () => parquet.registerCompression('LZO', { deflate: v => v }),
+          'invalid compression codec for method: LZO');
+    });
+
+  });
+
+  describe('compressionOptions', function() {
+
+    it('should pass the options to the GZIP and BROTLI codecs', async function() {
+      let value = Buffer.from('apple banana cherry '.repeat(1000) + Math.PI);
+      for (let method of ['GZIP', 'BROTLI']) {
+        let fast = await parquet_compression.deflate(method, value, { level: 1 });
+        let best = await parquet_compression.deflate(method, value, { level: 9 });
+        assert.isBelow(best.length, fast.length);
+        assert.deepEqual(await parquet_compression.inflate(method, best), value);
+      }
+    });
+
+    it('should accept compressionLevel as a shorthand', function() {
+      let schema = new parquet.ParquetSchema({
+        a: { type: 'UTF8', compression: 'GZIP', compressionOptions: { level: 9 } },
+        b: { type: 'UTF8', compression: 'ZSTD', compressionLevel: 7 },
+        c: { type: 'UTF8', compression: 'GZIP' }
+      });
+
+      assert.deepEqual(schema.fields.a.compressionOptions, { level: 9 });
+      assert.deepEqual(schema.fields.b.compressionOptions, { level: 7 });
+      assert.equal(schema.fields.c.compressionOptions, undefined);
+    });
+
+    it('should reject invalid options', function() {
+      assert.throws(() => new parquet.ParquetSchema({
+        name: { type: 'UTF8', compression: 'GZIP', compressionOptions: 9 }
+      }), 'invalid compression options: 9');
+    });
+
+  });
+
+});
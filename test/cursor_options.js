@@ -0,0 +1,101 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT64' },
+  name:       { type: 'UTF8', optional: true },
+  created:    { type: 'TIMESTAMP_MICROS' },
+  day:        { type: 'DATE', optional: true },
+  data:       { type: 'BYTE_ARRAY', optional: true },
+  doc:        { type: 'JSON', optional: true },
+  stock:      { optional: true, fields: { quantity: { type: 'INT32', optional: true } } },
+  extra:      { type: 'VARIANT', optional: true }
+});
+
+const rows = [
+  {
+    id: 9007199254740993n,
+    name: 'apple',
+    created: new Date(1000),
+    day: new Date(86400000),
+    data: Buffer.from('abc'),
+    doc: { a: 1 },
+    stock: { quantity: 10 },
+    extra: { big: 2n ** 60n, at: new Date(5000) }
+  },
+  { id: 2, created: new Date(2000), stock: {} }
+];
+
+describe('cursor options', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('cursor_options.parquet', schema, rows);
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should return the default representation', async function() {
+    let records = await file_util.readAll(reader);
+    assert.deepEqual(records[0].created, new Date(1000));
+    assert.deepEqual(records[0].doc, { a: 1 });
+    assert.equal(records[0].id, 9007199254740992);
+    assert.deepEqual(records[1], { id: 2, created: new Date(2000), stock: {} });
+  });
+
+  it('should return dates as numbers and raw JSON', async function() {
+    let records = await file_util.readAll(reader, [], { dates: 'number', json: 'raw' });
+    assert.strictEqual(records[0].created, 1000);
+    assert.strictEqual(records[0].day, 86400000);
+    assert.strictEqual(records[0].doc, '{"a":1}');
+    assert.strictEqual(records[0].extra.at, 5000);
+  });
+
+  it('should copy byte arrays', async function() {
+    let shared = await file_util.readAll(reader, ['data']);
+    let copied = await file_util.readAll(reader, ['data'], { bytes: 'copy' });
+    assert.deepEqual(copied[0].data, rows[0].data);
+    assert.isAbove(shared[0].data.buffer.byteLength, 3);
+    assert.equal(copied[0].data.buffer.byteLength, 3);
+  });
+
+  it('should return 64 bit integers in the requested representation', async function() {
+    let records = await file_util.readAll(reader, ['id', 'extra'], { int64: 'bigint' });
+    assert.strictEqual(records[0].id, 9007199254740993n);
+    assert.strictEqual(records[0].extra.big, 2n ** 60n);
+    assert.strictEqual(records[1].id, 2n);
+
+    records = await file_util.readAll(reader, ['id'], { int64: 'string', where: { id: { gt: 2 } } });
+    assert.deepEqual(records, [{ id: '9007199254740993' }]);
+
+    /* the filter is evaluated against dates even if they are returned as numbers */
+    records = await file_util.readAll(reader, ['created'], { dates: 'number', where: { created: { gt: new Date(1500) } } });
+    assert.deepEqual(records, [{ created: 2000 }]);
+  });
+
+  it('should set missing optional fields to null', async function() {
+    let records = await file_util.readAll(reader, [], { nulls: 'null' });
+    assert.deepEqual(records[1], {
+      id: 2,
+      name: null,
+      created: new Date(2000),
+      day: null,
+      data: null,
+      doc: null,
+      stock: { quantity: null },
+      extra: null
+    });
+  });
+
+  it('should reject invalid options', function() {
+    assert.throws(() => reader.getCursor([], { dates: 'string' }), 'invalid dates option: string');
+    assert.throws(() => reader.getCursor([], { bytes: 'share' }), 'invalid bytes option: share');
+    assert.throws(() => reader.getCursor([], { nulls: 'undefined' }), 'invalid nulls option: undefined');
+  });
+
+});
@@ -0,0 +1,146 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_types = require('../lib/types.js');
+
+/* IPv4 addresses stored as unsigned 32 bit integers (in an INT32 column) */
+parquet.registerLogicalType('IPV4', {
+  primitiveType: 'INT32',
+  toPrimitive: (value) => {
+    const parts = String(value).split('.').map(Number);
+    if (parts.length !== 4 || !parts.every(p => Number.isInteger(p) && p >= 0 && p < 256)) {
+      throw 'invalid value for IPV4: ' + value;
+    }
+
+    return parts.reduce((a, p) => a * 256 + p, 0) | 0;
+  },
+  fromPrimitive: (value) => {
+    value = value >>> 0;
+    return [24, 16, 8, 0].map(s => (value >>> s) & 0xff).join('.');
+  },
+  compare: (a, b) => {
+    const key = (v) => v.split('.').reduce((n, p) => n * 256 + Number(p), 0);
+    return key(a) - key(b);
+  }
+});
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  address:    { type: 'IPV4' },
+  peers:      { type: 'LIST', optional: true, element: { type: 'IPV4' } }
+});
+
+const rows = [
+  { id: 1, address: '9.0.0.1', peers: ['192.168.1.1'] },
+  { id: 2, address: '200.1.2.3', peers: [] },
+  { id: 3, address: '127.0.0.1' }
+];
+
+describe('user-defined logical types', function() {
+  let reader;
+
+  before(async function() {
+    let writer = await parquet.ParquetWriter.openFile(schema, 'custom_types.parquet');
+    writer.setMetadata('owner', 'ops');
+    for (let row of rows) {
+      await writer.appendRow(row);
+    }
+
+    await writer.close();
+    reader = await parquet.ParquetReader.openFile('custom_types.parquet');
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should build fields of registered types', function() {
+    assert.equal(schema.fields.address.primitiveType, 'INT32');
+    assert.equal(schema.fields.address.originalType, 'IPV4');
+    assert.equal(parquet_types.toPrimitive('IPV4', '0.0.1.2'), 258);
+    assert.equal(parquet_types.fromPrimitive('IPV4', -1), '255.255.255.255');
+  });
+
+  it('should reconstruct the type when reading', async function() {
+    const field = reader.getSchema().fields.address;
+    assert.equal(field.originalType, 'IPV4');
+    assert.equal(reader.getSchema().fields.peers.fields.list.fields.element.originalType, 'IPV4');
+    assert.deepEqual(reader.getMetadata(), { owner: 'ops' });
+
+    let records = await file_util.readAll(reader);
+
+    assert.deepEqual(records, rows);
+  });
+
+  it('should compute statistics and filter using the compare method', async function() {
+    const stats = reader.metadata.row_groups[0].columns[1].meta_data.statistics;
+    assert.equal(stats.min_value, '9.0.0.1');
+    assert.equal(stats.max_value, '200.1.2.3');
+
+    let ids = (await file_util.readAll(reader, ['id'], { where: { address: { gt: '100.0.0.0' } } })).map(r => r.id);
+
+    assert.deepEqual(ids, [2, 3]);
+  });
+
+  it('should compare values by their primitive values without a compare method', async function() {
+    /* dotted addresses that sort differently as strings and as integers */
+    parquet.registerLogicalType('IPV4_UNORDERED', {
+      primitiveType: 'INT32',
+      toPrimitive: (value) => value.split('.').reduce((a, p) => a * 256 + +p, 0) | 0,
+      fromPrimitive: (value) => [24, 16, 8, 0].map(s => (value >>> s) & 0xff).join('.')
+    });
+
+    let unorderedSchema = new parquet.ParquetSchema({
+      id: { type: 'INT32' },
+      address: { type: 'IPV4_UNORDERED' }
+    });
+
+    let addresses = ['10.0.0.2', '9.0.0.1', '100.0.0.1', '20.1.1.1'];
+    let unorderedReader = await file_util.writeAndOpenFile(
+        'custom_types-unordered.parquet',
+        unorderedSchema,
+        addresses.map((address, id) => ({ id, address })));
+
+    const stats = unorderedReader.metadata.row_groups[0].columns[1].meta_data.statistics;
+    assert.equal(stats.min_value, '9.0.0.1');
+    assert.equal(stats.max_value, '100.0.0.1');
+
+    let records = await file_util.readAll(unorderedReader, ['id'], { where: { address: { gt: '95.0.0.0' } } });
+    assert.deepEqual(records.map(r => r.id), [2]);
+    records = await file_util.readAll(unorderedReader, ['id'], { where: { address: { lt: '10.0.0.3' } } });
+    assert.deepEqual(records.map(r => r.id), [0, 1]);
+    await unorderedReader.close();
+  });
+
+  it('should fall back to the primitive type if the type is not registered', function() {
+    const metadata = {
+      version: 1,
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'a', type: 1, repetition_type: 0 },
+        { name: 'b', type: 6, repetition_type: 0 }
+      ],
+      key_value_metadata: [
+        { key: 'parquetjs.logical_types', value: JSON.stringify({ a: 'UNREGISTERED', b: 'IPV4' }) }
+      ]
+    };
+
+    const fields = new parquet.ParquetReader(metadata, {}).schema.fields;
+    assert.equal(fields.a.originalType, undefined);
+    assert.equal(fields.a.primitiveType, 'INT32');
+    assert.equal(fields.b.primitiveType, 'BYTE_ARRAY');
+  });
+
+  it('should reject invalid type definitions', function() {
+    const toPrimitive = (v) => v;
+    assert.throws(() => parquet.registerLogicalType('UTF8', { primitiveType: 'BYTE_ARRAY', toPrimitive }), 'invalid logical type: UTF8');
+    assert.throws(() => parquet.registerLogicalType('LIST', { primitiveType: 'INT32', toPrimitive }), 'invalid logical type: LIST');
+    assert.throws(() => parquet.registerLogicalType('X', { primitiveType: 'STRING', toPrimitive }), 'invalid primitive type for logical type X: STRING');
+    assert.throws(() => parquet.registerLogicalType('X', { primitiveType: 'FIXED_LEN_BYTE_ARRAY', toPrimitive }), 'invalid typeLength for logical type X: undefined');
+    assert.throws(() => parquet.registerLogicalType('X', { primitiveType: 'INT32' }), 'invalid toPrimitive for logical type X');
+    assert.throws(() => parquet.registerLogicalType('X', { primitiveType: 'INT32', toPrimitive, compare: 1 }), 'invalid compare for logical type X');
+  });
+
+});
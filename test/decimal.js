@@ -0,0 +1,111 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_types = require('../lib/types.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  price:      { type: 'DECIMAL', precision: 5, scale: 2 },
+  total:      { type: 'DECIMAL', precision: 18, scale: 4, optional: true },
+  balance:    { type: 'DECIMAL', precision: 38, scale: 10 },
+  rate:       { type: 'DECIMAL', precision: 12, scale: 6, primitiveType: 'BYTE_ARRAY' }
+});
+
+const rows = [
+  { id: 0, price: '9.50', total: '12345678901234.5678', balance: '1234567890123456789012345678.0123456789', rate: '0.000001' },
+  { id: 1, price: '10.00', total: null, balance: '-0.0000000001', rate: '-123456.5' },
+  { id: 2, price: -999.99, total: '-0.0001', balance: 7, rate: '1e3' },
+  { id: 3, price: 12345n, total: '0', balance: '-99999999999999999999999999.9999999999', rate: '0.5' }
+];
+
+describe('DECIMAL', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('decimal.parquet', schema, rows, { pageSize: 2 });
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should choose the primitive type based on the precision', function() {
+    assert.equal(schema.fields.price.primitiveType, 'INT32');
+    assert.equal(schema.fields.total.primitiveType, 'INT64');
+    assert.equal(schema.fields.balance.primitiveType, 'FIXED_LEN_BYTE_ARRAY');
+    assert.equal(schema.fields.balance.typeLength, 16);
+    assert.equal(schema.fields.rate.primitiveType, 'BYTE_ARRAY');
+  });
+
+  it('should round-trip values as exact strings', async function() {
+    let records = await file_util.readAll(reader);
+
+    assert.deepEqual(records, [
+      { id: 0, price: '9.50', total: '12345678901234.5678', balance: '1234567890123456789012345678.0123456789', rate: '0.000001' },
+      { id: 1, price: '10.00', balance: '-0.0000000001', rate: '-123456.500000' },
+      { id: 2, price: '-999.99', total: '-0.0001', balance: '7.0000000000', rate: '1000.000000' },
+      { id: 3, price: '123.45', total: '0.0000', balance: '-99999999999999999999999999.9999999999', rate: '0.500000' }
+    ]);
+  });
+
+  it('should write precision and scale to the schema', function() {
+    const fields = reader.getSchema().fields;
+    assert.equal(fields.price.originalType, 'DECIMAL');
+    assert.equal(fields.price.primitiveType, 'INT32');
+    assert.equal(fields.price.precision, 5);
+    assert.equal(fields.price.scale, 2);
+    assert.equal(fields.total.primitiveType, 'INT64');
+    assert.equal(fields.total.precision, 18);
+    assert.equal(fields.total.scale, 4);
+    assert.equal(fields.balance.primitiveType, 'FIXED_LEN_BYTE_ARRAY');
+    assert.equal(fields.balance.typeLength, 16);
+    assert.equal(fields.balance.precision, 38);
+    assert.equal(fields.balance.scale, 10);
+    assert.equal(fields.rate.primitiveType, 'BYTE_ARRAY');
+    assert.equal(fields.rate.precision, 12);
+    assert.equal(fields.rate.scale, 6);
+  });
+
+  it('should compute statistics numerically', async function() {
+    const rowGroup = reader.metadata.row_groups[0];
+    const stats = (path) => rowGroup.columns.find(d => d.meta_data.path_in_schema.join(',') == path).meta_data.statistics;
+
+    assert.equal(stats('price').min_value, '-999.99');
+    assert.equal(stats('price').max_value, '123.45');
+    assert.equal(stats('total').min_value, '-0.0001');
+    assert.equal(stats('total').max_value, '12345678901234.5678');
+    assert.equal(stats('balance').min_value, '-99999999999999999999999999.9999999999');
+    assert.equal(stats('balance').max_value, '1234567890123456789012345678.0123456789');
+    assert.equal(stats('rate').min_value, '-123456.500000');
+    assert.equal(stats('rate').max_value, '1000.000000');
+
+    const price = await reader.envelopeReader.readColumnIndex('price', rowGroup);
+    assert.deepEqual(price.min_values, ['9.50', '-999.99']);
+    assert.deepEqual(price.max_values, ['10.00', '123.45']);
+  });
+
+  it('should filter values numerically', async function() {
+    let ids = (await file_util.readAll(reader, ['id'], { where: { price: { gt: '9.6' } } })).map(r => r.id);
+
+    assert.deepEqual(ids, [1, 3]);
+  });
+
+  it('should reject values that do not fit precision or scale', function() {
+    const field = schema.fields.price;
+    assert.throws(() => parquet_types.toPrimitive('DECIMAL', '1000.00', field), 'invalid value for DECIMAL(5,2): 1000.00');
+    assert.throws(() => parquet_types.toPrimitive('DECIMAL', '1.234', field), 'invalid value for DECIMAL(5,2): 1.234');
+    assert.throws(() => parquet_types.toPrimitive('DECIMAL', 'abc', field), 'invalid value for DECIMAL: abc');
+    assert.equal(parquet_types.toPrimitive('DECIMAL', '1.2300', field), 123);
+  });
+
+  it('should reject invalid DECIMAL definitions', function() {
+    assert.throws(() => new parquet.ParquetSchema({ d: { type: 'DECIMAL' } }), 'invalid precision for DECIMAL: undefined');
+    assert.throws(() => new parquet.ParquetSchema({ d: { type: 'DECIMAL', precision: 4, scale: 5 } }), 'invalid scale for DECIMAL: 5');
+    assert.throws(() => new parquet.ParquetSchema({ d: { type: 'DECIMAL', precision: 10, primitiveType: 'INT32' } }), 'invalid precision for DECIMAL(INT32): 10');
+    assert.throws(() => new parquet.ParquetSchema({ d: { type: 'DECIMAL', precision: 10, typeLength: 4, primitiveType: 'FIXED_LEN_BYTE_ARRAY' } }), 'invalid precision for DECIMAL(FIXED_LEN_BYTE_ARRAY(4)): 10');
+    assert.throws(() => new parquet.ParquetSchema({ d: { type: 'DECIMAL', precision: 10, primitiveType: 'DOUBLE' } }), 'invalid primitive type for DECIMAL: DOUBLE');
+  });
+
+});
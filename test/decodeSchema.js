@@ -156,6 +156,7 @@ describe('ParquetSchema', function() {
                     "typeLength": undefined,
                     "encoding": "PLAIN",
                     "compression": "UNCOMPRESSED",
+                    "compressionOptions": undefined,
                     "rLevelMax": 0,
                     "dLevelMax": 0
                   }
@@ -190,6 +191,7 @@ describe('ParquetSchema', function() {
                     "typeLength": undefined,
                     "encoding": "PLAIN",
                     "compression": "UNCOMPRESSED",
+                    "compressionOptions": undefined,
                     "rLevelMax": 0,
                     "dLevelMax": 0
                   },
@@ -208,6 +210,7 @@ describe('ParquetSchema', function() {
                     "typeLength": undefined,
                     "encoding": "PLAIN",
                     "compression": "UNCOMPRESSED",
+                    "compressionOptions": undefined,
                     "rLevelMax": 0,
                     "dLevelMax": 0
                   }
@@ -228,6 +231,7 @@ describe('ParquetSchema', function() {
             "typeLength": undefined,
             "encoding": "PLAIN",
             "compression": "UNCOMPRESSED",
+            "compressionOptions": undefined,
             "rLevelMax": 0,
             "dLevelMax": 0
           }
@@ -239,4 +243,54 @@ describe('ParquetSchema', function() {
     assert.deepEqual(reader.schema.fields,expected);
   });
 
+  it('should prefer the logical type annotation over the converted type', function() {
+    const element = (name, type, convertedType, logicalType, extra) => Object.assign({
+      type: type,
+      type_length: null,
+      repetition_type: 1,
+      name: name,
+      num_children: null,
+      converted_type: convertedType,
+      scale: null,
+      precision: null,
+      field_id: null,
+      logicalType: logicalType
+    }, extra);
+
+    var metadata = {
+      version: 1,
+      schema: [
+        { name: 'root', num_children: 10 },
+        element('id', 7, null, { UUID: {} }, { type_length: 16 }),
+        element('status', 6, 4, { ENUM: {} }),
+        element('nothing', 1, null, { UNKNOWN: {} }),
+        element('small', 1, null, { INTEGER: { bitWidth: 8, isSigned: false } }),
+        element('created', 2, null, { TIMESTAMP: { isAdjustedToUTC: false, unit: { NANOS: {} } } }),
+        element('opens', 2, 8, { TIME: { isAdjustedToUTC: true, unit: { MICROS: {} } } }),
+        element('price', 1, 5, { DECIMAL: { precision: 9, scale: 2 } }, { precision: 9, scale: 2 }),
+        element('name', 6, null, { STRING: {} }),
+        element('half', 7, null, { FLOAT16: {} }, { type_length: 2 }),
+        element('legacy', 2, 9)
+      ]
+    };
+
+    const fields = new parquet.ParquetReader(metadata,{}).schema.fields;
+    assert.equal(fields.id.originalType, 'UUID');
+    assert.equal(fields.id.primitiveType, 'FIXED_LEN_BYTE_ARRAY');
+    assert.equal(fields.id.typeLength, 16);
+    assert.equal(fields.status.originalType, 'ENUM');
+    assert.equal(fields.nothing.originalType, 'NULL');
+    assert.equal(fields.small.originalType, 'UINT_8');
+    assert.equal(fields.created.originalType, 'TIMESTAMP_NANOS');
+    assert.equal(fields.created.isAdjustedToUTC, false);
+    assert.equal(fields.opens.originalType, 'TIME_MICROS');
+    assert.equal(fields.price.originalType, 'DECIMAL');
+    assert.equal(fields.price.precision, 9);
+    assert.equal(fields.price.scale, 2);
+    assert.equal(fields.name.originalType, 'UTF8');
+    assert.equal(fields.half.originalType, 'FLOAT16');
+    assert.equal(fields.half.typeLength, 2);
+    assert.equal(fields.legacy.originalType, 'TIMESTAMP_MILLIS');
+  });
+
 });
@@ -2,8 +2,18 @@
 const chai = require('chai');
 const assert = chai.assert;
 const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_thrift = require('../gen-nodejs/parquet_types');
 const path = require('path');
 
+const COUNTRIES = ['de', 'fr', 'il', 'nz', 'us'];
+
+function getEncodings(column) {
+  return column.meta_data.encodings.map(e => {
+    return Object.keys(parquet_thrift.Encoding).find(k => parquet_thrift.Encoding[k] === e);
+  });
+}
+
 describe('dictionary encoding', async function() {
   it('should read uncompressed dictionary from spark', async function() {
     let reader =  await parquet.ParquetReader.openFile(path.resolve(__dirname,'test-files/spark-uncompressed-dict.parquet'));
@@ -16,4 +26,151 @@ describe('dictionary encoding', async function() {
 
     assert.deepEqual(records.map(d => d.name),['apples','oranges','kiwi','banana','apples']);
   });
-});
\ No newline at end of file
+
+  [true, false].forEach(useDataPageV2 => {
+    it(`should write and read back dictionary pages (useDataPageV2: ${useDataPageV2})`, async function() {
+      let schema = new parquet.ParquetSchema({
+        country: { type: 'UTF8', encoding: 'RLE_DICTIONARY', compression: 'GZIP' },
+        status: { type: 'UTF8', encoding: 'RLE_DICTIONARY', optional: true },
+        name: { type: 'UTF8' }
+      });
+
+      let rows = [];
+      for (let i = 0; i < 1000; i++) {
+        let row = { country: COUNTRIES[i % COUNTRIES.length], name: 'name' + i };
+        if (i % 4) {
+          row.status = i % 3 ? 'active' : 'inactive';
+        }
+        rows.push(row);
+      }
+
+      let reader = await file_util.writeAndOpenFile('dictionary.parquet', schema, rows, { useDataPageV2, pageSize: 100 });
+      assert.deepEqual(await file_util.readAll(reader), rows);
+
+      let columns = reader.metadata.row_groups[0].columns;
+      assert.isAbove(+columns[0].meta_data.dictionary_page_offset, 0);
+      assert.isAbove(+columns[0].meta_data.data_page_offset, +columns[0].meta_data.dictionary_page_offset);
+      assert.include(getEncodings(columns[0]), 'RLE_DICTIONARY');
+      assert.include(getEncodings(columns[0]), 'PLAIN');
+      assert.isBelow(+columns[0].meta_data.total_compressed_size, +columns[2].meta_data.total_compressed_size / 4);
+      assert.equal(columns[2].meta_data.dictionary_page_offset, null);
+      await reader.close();
+    });
+  });
+
+  it('should decode dictionaries using the column type', async function() {
+    let schema = new parquet.ParquetSchema({
+      int32: { type: 'INT32', encoding: 'RLE_DICTIONARY' },
+      int64: { type: 'INT64', encoding: 'RLE_DICTIONARY', optional: true },
+      float: { type: 'FLOAT', encoding: 'RLE_DICTIONARY' },
+      double: { type: 'DOUBLE', encoding: 'RLE_DICTIONARY', compression: 'SNAPPY' },
+      bytes: { type: 'BYTE_ARRAY', encoding: 'RLE_DICTIONARY' },
+      fixed: { type: 'FIXED_LEN_BYTE_ARRAY', typeLength: 4, encoding: 'RLE_DICTIONARY' },
+      day: { type: 'DATE', encoding: 'RLE_DICTIONARY' },
+      time: { type: 'TIMESTAMP_MILLIS', encoding: 'RLE_DICTIONARY', repeated: true },
+      uint: { type: 'UINT_16', encoding: 'RLE_DICTIONARY' }
+    });
+
+    let rows = [];
+    for (let i = 0; i < 500; i++) {
+      let row = {
+        int32: (i % 7) - 3,
+        float: (i % 5) + 0.5,
+        double: (i % 3) / 4,
+        bytes: Buffer.from([i % 4, 1, 2]),
+        fixed: Buffer.from('ab' + (i % 11 + 10)),
+        day: new Date(Date.UTC(2018, 0, 1 + i % 9)),
+        time: [new Date(1500000000000 + (i % 6) * 1000), new Date(1500000000000)],
+        uint: 60000 + i % 2
+      };
+
+      if (i % 2) {
+        row.int64 = 1e12 + i % 13;
+      }
+
+      rows.push(row);
+    }
+
+    let reader = await file_util.writeAndOpenFile('dictionary.parquet', schema, rows, { pageSize: 128 });
+    assert.deepEqual(await file_util.readAll(reader), rows);
+
+    reader.metadata.row_groups[0].columns.forEach(column => {
+      assert.include(getEncodings(column), 'RLE_DICTIONARY');
+      assert.isAbove(+column.meta_data.dictionary_page_offset, 0);
+    });
+
+    await reader.close();
+  });
+
+  [true, false].forEach(useDataPageV2 => {
+    it(`should write pages that only contain nulls (useDataPageV2: ${useDataPageV2})`, async function() {
+      let schema = new parquet.ParquetSchema({
+        d: { type: 'DOUBLE' },
+        name: { type: 'UTF8', encoding: 'RLE_DICTIONARY', optional: true }
+      });
+
+      let rows = [{ d: 0 }, { d: 1 }, { d: 2, name: 'kiwi' }, { d: 3 }, { d: 4, name: 'kiwi' }];
+      let reader = await file_util.writeAndOpenFile('dictionary.parquet', schema, rows, { useDataPageV2, pageSize: 1 });
+      assert.deepEqual(await file_util.readAll(reader), rows);
+
+      await reader.close();
+      reader = await file_util.writeAndOpenFile('dictionary.parquet', schema, rows.slice(0, 2), { useDataPageV2, pageSize: 1 });
+      assert.deepEqual(await file_util.readAll(reader), rows.slice(0, 2));
+      await reader.close();
+    });
+  });
+
+  it('should write and read back PLAIN_DICTIONARY with more than 256 distinct values', async function() {
+    let schema = new parquet.ParquetSchema({
+      category: { type: 'UTF8', encoding: 'PLAIN_DICTIONARY' }
+    });
+
+    let rows = [];
+    for (let i = 0; i < 2000; i++) {
+      rows.push({ category: 'category' + (i % 300) });
+    }
+
+    let reader = await file_util.writeAndOpenFile('dictionary.parquet', schema, rows);
+    assert.deepEqual(await file_util.readAll(reader), rows);
+    assert.deepEqual(getEncodings(reader.metadata.row_groups[0].columns[0]), ['RLE', 'PLAIN_DICTIONARY']);
+    await reader.close();
+  });
+
+  it('should fall back to PLAIN when the dictionary grows too large', async function() {
+    let schema = new parquet.ParquetSchema({
+      id: { type: 'UTF8', encoding: 'RLE_DICTIONARY' }
+    });
+
+    let rows = [];
+    for (let i = 0; i < 500; i++) {
+      rows.push({ id: 'id' + (i < 100 ? i % 10 : i) });
+    }
+
+    let reader = await file_util.writeAndOpenFile('dictionary.parquet', schema, rows, { pageSize: 50, dictionarySizeLimit: 200 });
+    assert.deepEqual(await file_util.readAll(reader), rows);
+
+    let column = reader.metadata.row_groups[0].columns[0];
+    assert.isAbove(+column.meta_data.dictionary_page_offset, 0);
+    assert.sameMembers(getEncodings(column), ['RLE', 'PLAIN', 'RLE_DICTIONARY']);
+    await reader.close();
+  });
+
+  it('should not write a dictionary page if the first page exceeds the limit', async function() {
+    let schema = new parquet.ParquetSchema({
+      id: { type: 'UTF8', encoding: 'RLE_DICTIONARY' }
+    });
+
+    let rows = [];
+    for (let i = 0; i < 100; i++) {
+      rows.push({ id: 'id' + i });
+    }
+
+    let reader = await file_util.writeAndOpenFile('dictionary.parquet', schema, rows, { dictionarySizeLimit: 10 });
+    assert.deepEqual(await file_util.readAll(reader), rows);
+
+    let column = reader.metadata.row_groups[0].columns[0];
+    assert.equal(column.meta_data.dictionary_page_offset, null);
+    assert.sameMembers(getEncodings(column), ['RLE', 'PLAIN']);
+    await reader.close();
+  });
+});
@@ -0,0 +1,170 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_thrift = require('../gen-nodejs/parquet_types');
+
+const TEST_NUM_ROWS = 1000;
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT64' },
+  name:       { type: 'UTF8' },
+  price:      { type: 'DOUBLE' },
+  quantity:   { type: 'INT32', optional: true },
+  colour:     { type: 'UTF8', repeated: true }
+});
+
+function mkTestRow(i) {
+  let row = {
+    id: i,
+    name: 'fruit' + (i % 7),
+    price: i / 10,
+    colour: i % 2 ? [ 'red' ] : [ 'green', 'yellow' ]
+  };
+
+  if (i % 3) {
+    row.quantity = i % 50;
+  }
+
+  return row;
+}
+
+async function writeTestFile(path, opts) {
+  let writer = await parquet.ParquetWriter.openFile(schema, path, opts);
+  writer.setRowGroupSize(100);
+
+  for (let i = 0; i < TEST_NUM_ROWS; ++i) {
+    await writer.appendRow(mkTestRow(i));
+  }
+
+  await writer.close();
+}
+
+function countReads(reader) {
+  let stats = { bytes: 0 };
+  const read = reader.envelopeReader.read.bind(reader.envelopeReader);
+  reader.envelopeReader.read = function(offset, length) {
+    stats.bytes += length;
+    return read(offset, length);
+  };
+
+  return stats;
+}
+
+describe('filter', function() {
+  this.timeout(20000);
+  let reader;
+
+  before(async function() {
+    await writeTestFile('fruits-filter.parquet', { pageSize: 10 });
+    reader = await parquet.ParquetReader.openFile('fruits-filter.parquet');
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should return only matching rows', async function() {
+    let records = await file_util.readAll(reader, [], { where: { id: { gte: 250, lt: 260 } } });
+    assert.equal(records.length, 10);
+
+    records.forEach((record, i) => {
+      let expected = mkTestRow(250 + i);
+      assert.equal(record.id, expected.id);
+      assert.equal(record.name, expected.name);
+      assert.equal(record.price, expected.price);
+      assert.deepEqual(record.colour, expected.colour);
+      assert.equal(record.quantity, expected.quantity);
+    });
+  });
+
+  it('should treat plain values as equality', async function() {
+    let records = await file_util.readAll(reader, [], { where: { id: 42 } });
+    assert.equal(records.length, 1);
+    assert.equal(records[0].id, 42);
+  });
+
+  it('should combine multiple predicates', async function() {
+    let records = await file_util.readAll(reader, [], {
+      where: {
+        price: { gt: 10 },
+        name: { in: ['fruit1', 'fruit3'] },
+        id: { lte: 150 }
+      }
+    });
+
+    let expected = [];
+    for (let i = 101; i <= 150; ++i) {
+      if (i % 7 === 1 || i % 7 === 3) {
+        expected.push(i);
+      }
+    }
+
+    assert.deepEqual(records.map(r => r.id), expected);
+  });
+
+  it('should match repeated fields if any value matches', async function() {
+    let records = await file_util.readAll(reader, ['id'], { where: { colour: 'yellow', id: { lt: 10 } } });
+    assert.deepEqual(records, [0, 2, 4, 6, 8].map(id => ({ id })));
+  });
+
+  it('should never match null values', async function() {
+    let records = await file_util.readAll(reader, ['id', 'quantity'], { where: { quantity: { ne: 1 }, id: { lt: 8 } } });
+    assert.deepEqual(records.map(r => r.id), [2, 4, 5, 7]);
+  });
+
+  it('should read filter columns that were not requested without returning them', async function() {
+    let records = await file_util.readAll(reader, ['name'], { where: { id: { in: [3, 500] } } });
+    assert.deepEqual(records, [ { name: 'fruit3' }, { name: 'fruit3' } ]);
+  });
+
+  it('should skip row groups and pages using statistics', async function() {
+    let fullStats = countReads(reader);
+    await file_util.readAll(reader, []);
+
+    reader.envelopeReader.read = Object.getPrototypeOf(reader.envelopeReader).read;
+    let filterStats = countReads(reader);
+    let records = await file_util.readAll(reader, [], { where: { id: { gte: 500, lt: 505 } } });
+    assert.equal(records.length, 5);
+    assert.isBelow(filterStats.bytes, fullStats.bytes / 20);
+
+    reader.envelopeReader.read = Object.getPrototypeOf(reader.envelopeReader).read;
+  });
+
+  it('should filter rows in files without a page index', async function() {
+    await writeTestFile('fruits-filter-noindex.parquet', { pageSize: 10, pageIndex: false });
+    let reader = await parquet.ParquetReader.openFile('fruits-filter-noindex.parquet');
+    let records = await file_util.readAll(reader, ['id'], { where: { id: { gt: 990 } } });
+    assert.deepEqual(records.map(r => r.id), [991, 992, 993, 994, 995, 996, 997, 998, 999]);
+    await reader.close();
+  });
+
+  it('should only skip pages without a min/max value if they are null pages', async function() {
+    let schema = new parquet.ParquetSchema({
+      id: { type: 'INT32' },
+      name: { type: 'UTF8', optional: true }
+    });
+
+    let names = ['', 'apple', 'banana', 'kiwi', '', 'zed', null, null];
+    let rows = names.map((name, i) => name === null ? { id: i } : { id: i, name });
+    let reader = await file_util.writeAndOpenFile('fruits-filter-empty.parquet', schema, rows, { pageSize: 2 });
+    let rowGroup = reader.metadata.row_groups[0];
+    let columnIndex = await reader.envelopeReader.readColumnIndex('name', rowGroup);
+    assert.deepEqual(columnIndex.null_pages, [false, false, false, true]);
+    assert.equal(columnIndex.boundary_order, parquet_thrift.BoundaryOrder.UNORDERED);
+    columnIndex = await reader.envelopeReader.readColumnIndex('id', rowGroup);
+    assert.deepEqual(columnIndex.null_pages, [false, false, false, false]);
+    assert.equal(columnIndex.boundary_order, parquet_thrift.BoundaryOrder.ASCENDING);
+
+    assert.deepEqual(await file_util.readAll(reader, ['id'], { where: { name: 'apple' } }), [{ id: 1 }]);
+    assert.deepEqual(await file_util.readAll(reader, ['id'], { where: { name: '' } }), [{ id: 0 }, { id: 4 }]);
+    await reader.close();
+  });
+
+  it('should reject invalid filter expressions', function() {
+    assert.throws(() => reader.getCursor([], { where: { nope: 1 } }), 'invalid filter column: nope');
+    assert.throws(() => reader.getCursor([], { where: { id: { like: 1 } } }), 'invalid filter operator: like');
+  });
+
+});
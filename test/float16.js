@@ -0,0 +1,138 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_types = require('../lib/types.js');
+const path = require('path');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  weight:     { type: 'FLOAT16' },
+  bias:       { type: 'FLOAT16', encoding: 'RLE_DICTIONARY', optional: true },
+  embedding:  { type: 'FLOAT16', repeated: true }
+});
+
+const rows = [
+  { id: 0, weight: 0.1, bias: 0, embedding: [1, -2, 0.5] },
+  { id: 1, weight: -0, bias: NaN, embedding: [65504, -65504] },
+  { id: 2, weight: NaN, bias: null, embedding: [Math.pow(2, -24), Infinity] },
+  { id: 3, weight: '2.5', bias: -0, embedding: [] }
+];
+
+function encode(value) {
+  return parquet_types.toPrimitive('FLOAT16', value).readUInt16LE(0);
+}
+
+describe('FLOAT16', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('float16.parquet', schema, rows, { pageSize: 2 });
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should convert numbers to half-precision', function() {
+    assert.equal(encode(1), 0x3c00);
+    assert.equal(encode(-2), 0xc000);
+    assert.equal(encode(0.1), 0x2e66);
+    assert.equal(encode(65504), 0x7bff);
+    assert.equal(encode(65520), 0x7c00);
+    assert.equal(encode(-Infinity), 0xfc00);
+    assert.equal(encode(-0), 0x8000);
+    assert.equal(encode(Math.pow(2, -24)), 0x0001);
+    assert.equal(encode(2049), 0x6800);
+    assert.equal(encode(2051), 0x6802);
+    assert.isTrue(Number.isNaN(parquet_types.fromPrimitive('FLOAT16', Buffer.from([0x00, 0x7e]))));
+    assert.equal(parquet_types.fromPrimitive('FLOAT16', Buffer.from([0x66, 0x2e])), 0.0999755859375);
+    assert.throws(() => parquet_types.toPrimitive('FLOAT16', 'abc'), 'invalid value for FLOAT16: abc');
+  });
+
+  it('should round-trip values', async function() {
+    let records = await file_util.readAll(reader);
+
+    assert.deepEqual(records.map(r => r.weight), [0.0999755859375, -0, NaN, 2.5]);
+    assert.isTrue(Object.is(records[1].weight, -0));
+    assert.deepEqual(records.map(r => r.bias), [0, NaN, undefined, -0]);
+    assert.deepEqual(records.map(r => r.embedding), [
+      [1, -2, 0.5],
+      [65504, -65504],
+      [Math.pow(2, -24), Infinity],
+      undefined
+    ]);
+  });
+
+  it('should write the FLOAT16 annotation', async function() {
+    const field = reader.getSchema().fields.weight;
+    assert.equal(field.originalType, 'FLOAT16');
+    assert.equal(field.primitiveType, 'FIXED_LEN_BYTE_ARRAY');
+    assert.equal(field.typeLength, 2);
+
+    const elements = (await reader.envelopeReader.readFooter()).schema;
+    const weight = elements.find(e => e.name === 'weight');
+    assert.isNotNull(weight.logicalType.FLOAT16);
+    assert.isNull(weight.converted_type);
+  });
+
+  it('should compute statistics numerically and ignore NaN', async function() {
+    const rowGroup = reader.metadata.row_groups[0];
+    const stats = (path) => rowGroup.columns.find(d => d.meta_data.path_in_schema.join(',') == path).meta_data.statistics;
+
+    assert.equal(stats('weight').min_value, -0);
+    assert.equal(stats('weight').max_value, 2.5);
+    assert.equal(stats('embedding').min_value, -65504);
+    assert.equal(stats('embedding').max_value, Infinity);
+
+    /* zeros are widened to include both -0 and +0 */
+    assert.isTrue(Object.is(stats('bias').min_value, -0));
+    assert.isTrue(Object.is(stats('bias').max_value, 0));
+
+    const weight = await reader.envelopeReader.readColumnIndex('weight', rowGroup);
+    assert.isTrue(Object.is(weight.min_values[0], -0));
+    assert.equal(weight.max_values[0], 0.0999755859375);
+    assert.equal(weight.min_values[1], 2.5);
+    assert.equal(weight.max_values[1], 2.5);
+  });
+
+  it('should ignore NaN bit patterns given as buffers', async function() {
+    let weights = [Buffer.from([0x01, 0x7c]), 1, Buffer.from([0x00, 0xfe]), -3, Buffer.from([0xff, 0x7f])];
+    let nanRows = weights.map((weight, id) => ({ id, weight, embedding: [] }));
+    let nanReader = await file_util.writeAndOpenFile('float16-nan.parquet', schema, nanRows);
+    const rowGroup = nanReader.metadata.row_groups[0];
+    const stats = rowGroup.columns.find(d => d.meta_data.path_in_schema[0] === 'weight').meta_data.statistics;
+    assert.equal(stats.min_value, -3);
+    assert.equal(stats.max_value, 1);
+
+    const weight = await nanReader.envelopeReader.readColumnIndex('weight', rowGroup);
+    assert.deepEqual(weight.min_values, [-3]);
+    assert.deepEqual(weight.max_values, [1]);
+    await nanReader.close();
+  });
+
+  it('should read values and statistics written by arrow-rs', async function() {
+    let arrowReader = await parquet.ParquetReader.openFile(path.resolve(__dirname, 'test-files/arrow-rs-float16.parquet'));
+    assert.equal(arrowReader.getSchema().fields.half.originalType, 'FLOAT16');
+
+    let records = await file_util.readAll(arrowReader);
+    assert.deepEqual(records.map(r => r.half), [1.5, NaN, -2, undefined, 0.0999755859375, 65504, NaN, -0.5]);
+
+    const rowGroup = arrowReader.metadata.row_groups[0];
+    const stats = rowGroup.columns.find(d => d.meta_data.path_in_schema[0] === 'half').meta_data.statistics;
+    assert.equal(stats.min_value, -2);
+    assert.equal(stats.max_value, 65504);
+
+    records = await file_util.readAll(arrowReader, ['id'], { where: { half: { gt: 1 } } });
+    assert.deepEqual(records.map(r => r.id), [0, 5]);
+    await arrowReader.close();
+  });
+
+  it('should filter values numerically', async function() {
+    let ids = (await file_util.readAll(reader, ['id'], { where: { weight: { gt: 0.05 } } })).map(r => r.id);
+
+    assert.deepEqual(ids, [0, 3]);
+  });
+
+});
@@ -0,0 +1,147 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_geo = require('../lib/geo.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  location:   { type: 'GEOMETRY', optional: true },
+  track:      { type: 'GEOGRAPHY', optional: true, crs: 'OGC:CRS84' }
+});
+
+const square = {
+  type: 'Polygon',
+  coordinates: [[[10, 10], [20, 10], [20, 20], [10, 20], [10, 10]]]
+};
+
+const rows = [
+  { id: 0, location: { type: 'Point', coordinates: [1, 2] }, track: { type: 'LineString', coordinates: [[-90, 45], [90, 45]] } },
+  { id: 1, location: square },
+  { id: 2, location: parquet_geo.encodeWKB({ type: 'Point', coordinates: [100, 50, 7] }) },
+  { id: 3, location: { type: 'MultiPoint', coordinates: [[101, 51], [102, 52]] }, track: { type: 'Point', coordinates: [] } }
+];
+
+describe('geospatial types', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('geospatial.parquet', schema, rows, { rowGroupSize: 2 });
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should encode and decode WKB', function() {
+    const wkb = parquet_geo.encodeWKB({ type: 'Point', coordinates: [1, 2] });
+    assert.equal(wkb.toString('hex'), '0101000000000000000000f03f0000000000000040');
+
+    /* big-endian XYM */
+    const xym = Buffer.from('00000007d1' + '3ff0000000000000' + '4000000000000000' + '4008000000000000', 'hex');
+    assert.deepEqual(parquet_geo.decodeWKB(xym), { type: 'Point', coordinates: [1, 2, NaN, 3] });
+
+    assert.throws(() => parquet_geo.encodeWKB({ type: 'Circle', coordinates: [1, 2] }), 'invalid GeoJSON geometry');
+    assert.throws(() => parquet_geo.decodeWKB(wkb.slice(0, 10)), 'invalid WKB geometry');
+  });
+
+  it('should round-trip values as GeoJSON or WKB', async function() {
+    let records = await file_util.readAll(reader);
+    assert.deepEqual(records.map(r => r.location), [
+      { type: 'Point', coordinates: [1, 2] },
+      square,
+      { type: 'Point', coordinates: [100, 50, 7] },
+      { type: 'MultiPoint', coordinates: [[101, 51], [102, 52]] }
+    ]);
+    assert.deepEqual(records.map(r => r.track), [rows[0].track, undefined, undefined, rows[3].track]);
+
+    let wkbReader = await parquet.ParquetReader.openFile('geospatial.parquet', { geometryAs: 'wkb' });
+    records = await file_util.readAll(wkbReader, ['location']);
+    assert.deepEqual(records[2].location, rows[2].location);
+    await wkbReader.close();
+  });
+
+  it('should write the logical type annotation', async function() {
+    const fields = reader.getSchema().fields;
+    assert.equal(fields.location.originalType, 'GEOMETRY');
+    assert.equal(fields.location.primitiveType, 'BYTE_ARRAY');
+    assert.equal(fields.track.originalType, 'GEOGRAPHY');
+    assert.equal(fields.track.crs, 'OGC:CRS84');
+    assert.equal(fields.track.algorithm, 'SPHERICAL');
+
+    const elements = (await reader.envelopeReader.readFooter()).schema;
+    const track = elements.find(e => e.name === 'track');
+    assert.equal(track.logicalType.GEOGRAPHY.crs, 'OGC:CRS84');
+    assert.isNull(track.converted_type);
+  });
+
+  it('should write bounding box statistics', function() {
+    const stats = (rowGroup, path) => {
+      const column = reader.metadata.row_groups[rowGroup].columns.find(c => c.meta_data.path_in_schema.join(',') == path);
+      return column.meta_data;
+    };
+
+    const location = stats(0, 'location').geospatial_statistics;
+    assert.deepInclude(location.bbox, { xmin: 1, xmax: 20, ymin: 2, ymax: 20, zmin: null, zmax: null });
+    assert.deepEqual(location.geospatial_types, [1, 3]);
+    assert.isUndefined(stats(0, 'location').statistics.min_value);
+    assert.notExists(stats(0, 'location').column_index_offset);
+
+    assert.deepInclude(stats(1, 'location').geospatial_statistics.bbox, { xmin: 100, xmax: 102, zmin: 7, zmax: 7 });
+    assert.deepEqual(stats(1, 'location').geospatial_statistics.geospatial_types, [4, 1001]);
+
+    /* the great circle between the two points passes the north pole */
+    assert.deepInclude(stats(0, 'track').geospatial_statistics.bbox, { xmin: -90, xmax: 90, ymin: 45, ymax: 90 });
+
+    /* empty geometries have no bounding box */
+    assert.isNull(stats(1, 'track').geospatial_statistics.bbox);
+    assert.deepEqual(stats(1, 'track').geospatial_statistics.geospatial_types, [1]);
+  });
+
+  it('should skip row groups whose bounding box does not intersect the envelope', async function() {
+    let rowGroups = 0;
+    const readRowGroup = reader.envelopeReader.readRowGroup;
+    reader.envelopeReader.readRowGroup = function() {
+      rowGroups++;
+      return readRowGroup.apply(this, arguments);
+    };
+
+    let records = await file_util.readAll(reader, ['id'], {
+      where: { location: { intersects: { xmin: 101.5, ymin: 51.5, xmax: 110, ymax: 60 } } }
+    });
+    assert.deepEqual(records, [{ id: 3 }]);
+    assert.equal(rowGroups, 1);
+
+    records = await file_util.readAll(reader, ['id'], {
+      where: { location: { intersects: { xmin: 15, ymin: 15, xmax: 30, ymax: 30 } } }
+    });
+    assert.deepEqual(records, [{ id: 1 }]);
+
+    /* envelopes may wrap around the antimeridian */
+    records = await file_util.readAll(reader, ['id'], {
+      where: { track: { intersects: { xmin: 80, ymin: 80, xmax: -80, ymax: 85 } } }
+    });
+    assert.deepEqual(records, [{ id: 0 }]);
+
+    reader.envelopeReader.readRowGroup = readRowGroup;
+  });
+
+  it('should reject invalid values, options and filters', async function() {
+    assert.throws(() => new parquet.ParquetSchema({ g: { type: 'GEOGRAPHY', algorithm: 'FLAT' } }), 'invalid edge algorithm for GEOGRAPHY: FLAT');
+    assert.throws(() => new parquet.ParquetSchema({ g: { type: 'GEOMETRY', crs: 4326 } }), 'invalid crs for GEOMETRY: 4326');
+    assert.throws(() => reader.getCursor([], { where: { location: { eq: 1 } } }), 'invalid filter operator for GEOMETRY: eq');
+    assert.throws(() => reader.getCursor([], { where: { id: { intersects: { xmin: 0, ymin: 0, xmax: 1, ymax: 1 } } } }), 'invalid filter operator for INT32: intersects');
+    assert.throws(() => reader.getCursor([], { where: { location: { intersects: [0, 0, 1, 1] } } }), 'value for filter operator intersects must be a bounding box');
+
+    let writer = await parquet.ParquetWriter.openFile(schema, 'geospatial-invalid.parquet');
+    let err = await writer.appendRow({ id: 0, location: { type: 'Point', coordinates: 'x' } }).catch(e => e);
+    assert.equal(err, 'invalid GeoJSON geometry');
+    await writer.appendRow(rows[0]);
+    await writer.close();
+
+    err = await parquet.ParquetReader.openFile('geospatial.parquet', { geometryAs: 'wkt' }).catch(e => e);
+    assert.equal(err, 'invalid geometryAs option: wkt');
+  });
+
+});
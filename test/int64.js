@@ -0,0 +1,113 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT64' },
+  user_id:    { type: 'INT_64', encoding: 'DELTA_BINARY_PACKED' },
+  counter:    { type: 'UINT_64', encoding: 'RLE_DICTIONARY' },
+  created:    { type: 'TIMESTAMP_MICROS', optional: true }
+});
+
+/* snowflake style ids that can not be represented exactly as a number */
+const rows = [
+  { id: 1541815603606036480n, user_id: '1541815603606036481', counter: 18446744073709551615n, created: 1700000000123456n },
+  { id: '9223372036854775807', user_id: -9223372036854775808n, counter: 0, created: null },
+  { id: -42, user_id: 9007199254740993n, counter: '9223372036854775808', created: new Date('2020-01-01T00:00:00Z') },
+  { id: 9007199254740993n, user_id: 0, counter: 18446744073709551615n, created: '1600000000000000' }
+];
+
+describe('64 bit integers', function() {
+
+  before(async function() {
+    await file_util.writeFile('int64.parquet', schema, rows, { pageSize: 2 });
+  });
+
+  it('should round-trip values exactly as BigInt', async function() {
+    let records = await file_util.readFile('int64.parquet', { int64As: 'bigint' });
+    assert.deepEqual(records.map(r => r.id), [1541815603606036480n, 9223372036854775807n, -42n, 9007199254740993n]);
+    assert.deepEqual(records.map(r => r.user_id), [1541815603606036481n, -9223372036854775808n, 9007199254740993n, 0n]);
+    assert.deepEqual(records.map(r => r.counter), [18446744073709551615n, 0n, 9223372036854775808n, 18446744073709551615n]);
+    assert.deepEqual(records.map(r => r.created), [
+      new Date(1700000000123),
+      undefined,
+      new Date('2020-01-01T00:00:00Z'),
+      new Date(1600000000000)
+    ]);
+  });
+
+  it('should round-trip values exactly as strings', async function() {
+    let records = await file_util.readFile('int64.parquet', { int64As: 'string' });
+    assert.deepEqual(records.map(r => r.id), ['1541815603606036480', '9223372036854775807', '-42', '9007199254740993']);
+    assert.deepEqual(records.map(r => r.counter), ['18446744073709551615', '0', '9223372036854775808', '18446744073709551615']);
+  });
+
+  it('should return numbers by default', async function() {
+    let output = [];
+    const write = process.stderr.write;
+    process.stderr.write = function(chunk) {
+      output.push(chunk.toString());
+      return true;
+    };
+
+    let records;
+    try {
+      records = await file_util.readFile('int64.parquet');
+    } finally {
+      process.stderr.write = write;
+    }
+
+    assert.deepEqual(output, []);
+    assert.strictEqual(records[2].id, -42);
+    assert.strictEqual(records[3].user_id, 0);
+
+    /* values above 2^53 are silently rounded to the nearest number */
+    assert.strictEqual(records[0].id, Number(1541815603606036480n));
+    assert.strictEqual(records[1].id, 2 ** 63);
+    assert.strictEqual(records[1].user_id, -(2 ** 63));
+    assert.strictEqual(records[3].id, 2 ** 53);
+  });
+
+  it('should encode statistics and column indexes exactly', async function() {
+    let reader = await parquet.ParquetReader.openFile('int64.parquet', { int64As: 'bigint' });
+    const rowGroup = reader.metadata.row_groups[0];
+    const stats = (path) => rowGroup.columns.find(d => d.meta_data.path_in_schema.join(',') == path).meta_data.statistics;
+
+    assert.equal(stats('id').min_value, -42n);
+    assert.equal(stats('id').max_value, 9223372036854775807n);
+    assert.equal(stats('user_id').min_value, -9223372036854775808n);
+    assert.equal(stats('user_id').max_value, 1541815603606036481n);
+    assert.equal(stats('counter').min_value, 0n);
+    assert.equal(stats('counter').max_value, 18446744073709551615n);
+
+    const id = await reader.envelopeReader.readColumnIndex('id', rowGroup);
+    assert.deepEqual(id.min_values, [1541815603606036480n, -42n]);
+    assert.deepEqual(id.max_values, [9223372036854775807n, 9007199254740993n]);
+
+    await reader.close();
+  });
+
+  it('should filter values exactly', async function() {
+    let records = await file_util.readFile('int64.parquet', { int64As: 'string' }, [], { where: { id: { gt: 9007199254740992n } } });
+    assert.deepEqual(records.map(r => r.id), ['1541815603606036480', '9223372036854775807', '9007199254740993']);
+
+    records = await file_util.readFile('int64.parquet', { int64As: 'bigint' }, [], { where: { id: '9007199254740993' } });
+    assert.deepEqual(records.map(r => r.id), [9007199254740993n]);
+  });
+
+  it('should reject out of range values and invalid options', async function() {
+    let writer = await parquet.ParquetWriter.openFile(schema, 'int64-invalid.parquet');
+    let err = await writer.appendRow(Object.assign({}, rows[0], { id: 2n ** 63n })).catch(e => e);
+    assert.equal(err, 'invalid value for INT64: 9223372036854775808');
+    err = await writer.appendRow(Object.assign({}, rows[0], { counter: -1n })).catch(e => e);
+    assert.equal(err, 'invalid value for UINT64: -1');
+    await writer.appendRow(rows[0]);
+    await writer.close();
+
+    err = await parquet.ParquetReader.openFile('int64.parquet', { int64As: 'float' }).catch(e => e);
+    assert.equal(err, 'invalid int64As option: float');
+  });
+
+});
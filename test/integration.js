@@ -8,6 +8,16 @@ const parquet_thrift = require('../gen-nodejs/parquet_types');
 const parquet_util = require('../lib/util');
 const objectStream = require('object-stream');
 
+/* zstd-napi is an optional dependency that may not be installed */
+function isInstalled(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 const TEST_NUM_ROWS = 10000;
 const TEST_VTIME =  new Date();
 
@@ -114,9 +124,12 @@ async function writeTestFile(opts) {
   await writer.close();
 }
 
-async function sampleColumnHeaders() {
+async function sampleColumnHeaders(columnName) {
   let reader = await parquet.ParquetReader.openFile('fruits.parquet');
-  let column = reader.metadata.row_groups[0].columns[0];
+  let rowGroup = reader.metadata.row_groups[0];
+  let column = columnName ?
+      rowGroup.columns.find(c => c.meta_data.path_in_schema.join('.') === columnName) :
+      rowGroup.columns[0];
   let buffer = await reader.envelopeReader.read(+column.meta_data.data_page_offset, +column.meta_data.total_compressed_size);
 
   let cursor = {
@@ -134,7 +147,7 @@ async function sampleColumnHeaders() {
     cursor.offset += pageHeader.compressed_page_size;
   }
 
-  return {column, pages};
+  return {rowGroup, column, pages};
 }
 
 async function verifyPages() {
@@ -151,6 +164,37 @@ async function verifyPages() {
   assert.equal(rowCount, column.column.meta_data.num_values);
 }
 
+async function verifyRepeatedPagesV2() {
+  const column = await sampleColumnHeaders('colour');
+  let valueCount = 0;
+  let rowCount = 0;
+
+  column.pages.forEach(d => {
+    let header = d.data_page_header_v2;
+    assert.isAtLeast(header.num_values, header.num_rows);
+    valueCount += header.num_values;
+    rowCount += header.num_rows;
+  });
+
+  assert.isAbove(column.pages.length, 1);
+  assert.equal(valueCount, column.column.meta_data.num_values);
+  assert.equal(rowCount, +column.rowGroup.num_rows);
+  assert.isAbove(valueCount, rowCount);
+}
+
+async function verifyCompressedPages() {
+  const column = await sampleColumnHeaders();
+  let uncompressedSize = 0;
+
+  column.pages.forEach(d => {
+    assert.isBelow(d.compressed_page_size, d.uncompressed_page_size);
+    uncompressedSize += d.uncompressed_page_size;
+  });
+
+  assert.isBelow(+column.column.meta_data.total_compressed_size, uncompressedSize);
+  assert.isAbove(+column.column.meta_data.total_uncompressed_size, uncompressedSize);
+}
+
 async function verifyStatistics() {
   const column = await sampleColumnHeaders();
   const colStats = column.column.meta_data.statistics;
@@ -368,6 +412,29 @@ describe('Parquet', function() {
     it('verify statistics', function() {
       return verifyStatistics();
     });
+
+    it('write a test file with GZIP compression and then read it back', function() {
+      const opts = { useDataPageV2: false, compression: 'GZIP' };
+      return writeTestFile(opts).then(readTestFile);
+    });
+
+    it('verify compressed page sizes', function() {
+      return verifyCompressedPages();
+    });
+
+    it('write a test file with SNAPPY compression and then read it back', function() {
+      const opts = { useDataPageV2: false, compression: 'SNAPPY' };
+      return writeTestFile(opts).then(readTestFile);
+    });
+
+    it('write a test file with ZSTD compression and then read it back', function() {
+      if (!isInstalled('zstd-napi')) {
+        this.skip();
+      }
+
+      const opts = { useDataPageV2: false, compression: 'ZSTD' };
+      return writeTestFile(opts).then(readTestFile);
+    });
   });
 
   describe('with DataPageHeaderV2', function() {
@@ -385,6 +452,10 @@ describe('Parquet', function() {
       return verifyPages();
     });
 
+    it('verify the value and row counts of pages of repeated columns', function() {
+      return verifyRepeatedPagesV2();
+    });
+
     it('verify statistics', function() {
       return verifyStatistics();
     });
@@ -429,6 +500,34 @@ describe('Parquet', function() {
       return writeTestFile(opts).then(readTestFile);
     });
 
+    it('write a test file with ZSTD compression', function() {
+      if (!isInstalled('zstd-napi')) {
+        this.skip();
+      }
+
+      const opts = { useDataPageV2: true, compression: 'ZSTD' };
+      return writeTestFile(opts);
+    });
+
+    it('write a test file with ZSTD compression and then read it back', function() {
+      if (!isInstalled('zstd-napi')) {
+        this.skip();
+      }
+
+      const opts = { useDataPageV2: true, compression: 'ZSTD' };
+      return writeTestFile(opts).then(readTestFile);
+    });
+
+    it('write a test file with LZ4_RAW compression', function() {
+      const opts = { useDataPageV2: true, compression: 'LZ4_RAW' };
+      return writeTestFile(opts);
+    });
+
+    it('write a test file with LZ4_RAW compression and then read it back', function() {
+      const opts = { useDataPageV2: true, compression: 'LZ4_RAW' };
+      return writeTestFile(opts).then(readTestFile);
+    });
+
   });
 
   describe('using the Stream/Transform API', function() {
@@ -0,0 +1,168 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const path = require('path');
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  tags:       { type: 'LIST', optional: true, element: { type: 'UTF8', optional: true } },
+  matrix:     { type: 'LIST', element: { type: 'LIST', element: { type: 'DOUBLE' } } },
+  attrs:      { type: 'MAP', optional: true, key: { type: 'UTF8' }, value: { type: 'INT64', optional: true } },
+  points:     {
+    type: 'LIST',
+    optional: true,
+    element: { fields: { x: { type: 'INT32' }, y: { type: 'INT32', optional: true } } }
+  }
+});
+
+const rows = [
+  {
+    id: 1,
+    tags: ['a', null, 'b'],
+    matrix: [[1, 2], [], [3]],
+    attrs: new Map([['x', 1], ['y', null]]),
+    points: [{ x: 1, y: 2 }, { x: 3 }]
+  },
+  { id: 2, tags: [], matrix: [], attrs: { z: 5 } },
+  { id: 3, matrix: [[4]], attrs: {}, points: [] }
+];
+
+describe('LIST and MAP', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('list_map.parquet', schema, rows);
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should build the spec-compliant structure', function() {
+    assert.deepEqual(schema.fieldList.map(f => f.path.join('.')), [
+      'id',
+      'tags', 'tags.list', 'tags.list.element',
+      'matrix', 'matrix.list', 'matrix.list.element', 'matrix.list.element.list', 'matrix.list.element.list.element',
+      'attrs', 'attrs.key_value', 'attrs.key_value.key', 'attrs.key_value.value',
+      'points', 'points.list', 'points.list.element', 'points.list.element.x', 'points.list.element.y'
+    ]);
+
+    assert.equal(schema.fields.tags.originalType, 'LIST');
+    assert.equal(schema.fields.tags.fields.list.repetitionType, 'REPEATED');
+    assert.equal(schema.fields.attrs.originalType, 'MAP');
+    assert.equal(schema.fields.attrs.fields.key_value.fields.key.repetitionType, 'REQUIRED');
+  });
+
+  it('should round-trip lists and maps as arrays and Maps', async function() {
+    let records = await file_util.readAll(reader);
+    assert.deepEqual(records, [
+      {
+        id: 1,
+        tags: ['a', null, 'b'],
+        matrix: [[1, 2], [], [3]],
+        attrs: new Map([['x', 1], ['y', null]]),
+        points: [{ x: 1, y: 2 }, { x: 3 }]
+      },
+      { id: 2, tags: [], matrix: [], attrs: new Map([['z', 5]]) },
+      { id: 3, matrix: [[4]], attrs: new Map(), points: [] }
+    ]);
+
+    records = await file_util.readAll(reader, [['points', 'list', 'element', 'x'], ['points', 'list', 'element', 'y']]);
+    assert.deepEqual(records, [{ points: [{ x: 1, y: 2 }, { x: 3 }] }, {}, { points: [] }]);
+  });
+
+  it('should write the LIST and MAP annotations', async function() {
+    const elements = (await reader.envelopeReader.readFooter()).schema;
+    const element = (name) => elements.find(e => e.name === name);
+
+    assert.isNotNull(element('tags').logicalType.LIST);
+    assert.isNotNull(element('tags').converted_type);
+    assert.isNotNull(element('attrs').logicalType.MAP);
+    assert.isNotNull(element('attrs').converted_type);
+
+    const fields = reader.getSchema().fields;
+    assert.equal(fields.tags.originalType, 'LIST');
+    assert.equal(fields.matrix.fields.list.fields.element.originalType, 'LIST');
+    assert.equal(fields.attrs.originalType, 'MAP');
+  });
+
+  it('should filter on list elements and map keys and values', async function() {
+    const ids = async (where) => (await file_util.readAll(reader, ['id'], { where: where })).map(r => r.id);
+
+    assert.deepEqual(await ids({ 'tags.list.element': 'b' }), [1]);
+    assert.deepEqual(await ids({ 'matrix.list.element.list.element': { gt: 3 } }), [3]);
+    assert.deepEqual(await ids({ 'attrs.key_value.key': 'z' }), [2]);
+    assert.deepEqual(await ids({ 'attrs.key_value.value': { gte: 1 } }), [1, 2]);
+    assert.deepEqual(await ids({ 'points.list.element.x': 3 }), [1]);
+  });
+
+  it('should read lists from data pages v2 written by arrow-rs', async function() {
+    /* the pages of the list columns contain more levels than rows */
+    let records = await file_util.readFile(path.resolve(__dirname, 'test-files/arrow-rs-list-v2.parquet'));
+    assert.equal(records.length, 300);
+    records.forEach((record, i) => {
+      let expected = { id: i, names: Array.from({ length: i % 3 }, (v, j) => 'name ' + i + '.' + j) };
+      if (i % 7 !== 3) {
+        expected.scores = Array.from({ length: i % 5 }, (v, j) => (i + j) % 11 === 4 ? null : i * 10 + j);
+      }
+
+      assert.deepEqual(record, expected);
+    });
+  });
+
+  it('should read lists in the legacy two-level layouts', async function() {
+    /* the layouts of parquet-avro, parquet-thrift and Hive (whose repeated
+     * group is a three-level list) per the backward-compatibility rules */
+    const legacySchema = new parquet.ParquetSchema({
+      ints:   { type: 'LIST', fields: { array: { type: 'INT32', repeated: true } } },
+      names:  {
+        type: 'LIST',
+        optional: true,
+        fields: { names_tuple: { repeated: true, fields: { name: { type: 'UTF8' } } } }
+      },
+      pairs:  {
+        type: 'LIST',
+        fields: { pair: { repeated: true, fields: { a: { type: 'INT32' }, b: { type: 'INT32', optional: true } } } }
+      },
+      bag:    {
+        type: 'LIST',
+        fields: { bag: { repeated: true, fields: { array_element: { type: 'INT32', optional: true } } } }
+      }
+    });
+
+    const legacyRows = [
+      { ints: [1, 2], names: [{ name: 'a' }], pairs: [{ a: 1, b: 2 }, { a: 3 }], bag: [1, null] },
+      { ints: [], pairs: [], bag: [] },
+      { ints: [3], names: [], pairs: [{ a: 4, b: 5 }], bag: [null] }
+    ];
+
+    await file_util.writeFile('list_legacy.parquet', legacySchema, legacyRows);
+    assert.deepEqual(await file_util.readFile('list_legacy.parquet'), legacyRows);
+  });
+
+  it('should read maps annotated with the legacy MAP_KEY_VALUE type', function() {
+    const metadata = {
+      version: 1,
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'attrs', repetition_type: 1, num_children: 1, converted_type: 2 },
+        { name: 'map', repetition_type: 2, num_children: 2 },
+        { name: 'key', type: 6, repetition_type: 0, converted_type: 0 },
+        { name: 'value', type: 1, repetition_type: 1 }
+      ]
+    };
+
+    const fields = new parquet.ParquetReader(metadata, {}).schema.fields;
+    assert.equal(fields.attrs.originalType, 'MAP');
+  });
+
+  it('should reject invalid LIST and MAP definitions', function() {
+    assert.throws(() => new parquet.ParquetSchema({ l: { type: 'LIST' } }), 'missing element definition for LIST: l');
+    assert.throws(() => new parquet.ParquetSchema({ l: { type: 'LIST', element: { type: 'INT32', repeated: true } } }), 'element of LIST can not be repeated: l');
+    assert.throws(() => new parquet.ParquetSchema({ m: { type: 'MAP', key: { type: 'UTF8' } } }), 'missing key or value definition for MAP: m');
+    assert.throws(() => new parquet.ParquetSchema({ m: { type: 'MAP', key: { type: 'UTF8', optional: true }, value: { type: 'INT32' } } }), 'key of MAP must be a required primitive field: m');
+  });
+
+});
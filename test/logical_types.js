@@ -0,0 +1,83 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_types = require('../lib/types.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'UUID' },
+  status:     { type: 'ENUM', encoding: 'RLE_DICTIONARY' },
+  nothing:    { type: 'NULL', optional: true },
+  small:      { type: 'UINT_8' },
+  name:       { type: 'UTF8' },
+  price:      { type: 'DECIMAL', precision: 9, scale: 2 },
+  day:        { type: 'DATE' },
+  meta:       { type: 'JSON' },
+  span:       { type: 'INTERVAL', optional: true }
+});
+
+const rows = [
+  { id: '123e4567-e89b-12d3-a456-426614174000', status: 'ACTIVE', small: 255, name: 'apple', price: '1.50', day: 1, meta: { a: 1 } },
+  { id: 'FFFFFFFF-0000-4000-8000-000000000001', status: 'DELETED', nothing: null, small: 0, name: 'banana', price: '2.00', day: 2, meta: { b: [] } }
+];
+
+describe('logical type annotations', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('logical_types.parquet', schema, rows);
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should round-trip UUID, ENUM and NULL values', async function() {
+    let records = await file_util.readAll(reader, ['id', 'status', 'nothing']);
+
+    assert.deepEqual(records, [
+      { id: '123e4567-e89b-12d3-a456-426614174000', status: 'ACTIVE' },
+      { id: 'ffffffff-0000-4000-8000-000000000001', status: 'DELETED' }
+    ]);
+
+    const rowGroup = reader.metadata.row_groups[0];
+    const stats = rowGroup.columns[0].meta_data.statistics;
+    assert.equal(stats.min_value, '123e4567-e89b-12d3-a456-426614174000');
+    assert.equal(stats.max_value, 'ffffffff-0000-4000-8000-000000000001');
+  });
+
+  it('should write the logical type annotation next to the converted type', async function() {
+    const elements = (await reader.envelopeReader.readFooter()).schema;
+    const element = (name) => elements.find(e => e.name === name);
+
+    assert.isNotNull(element('id').logicalType.UUID);
+    assert.isNull(element('id').converted_type);
+    assert.equal(element('id').type_length, 16);
+    assert.isNotNull(element('status').logicalType.ENUM);
+    assert.isNotNull(element('status').converted_type);
+    assert.isNotNull(element('nothing').logicalType.UNKNOWN);
+    assert.equal(element('small').logicalType.INTEGER.bitWidth, 8);
+    assert.equal(element('small').logicalType.INTEGER.isSigned, false);
+    assert.isNotNull(element('name').logicalType.STRING);
+    assert.equal(element('price').logicalType.DECIMAL.precision, 9);
+    assert.equal(element('price').logicalType.DECIMAL.scale, 2);
+    assert.isNotNull(element('day').logicalType.DATE);
+    assert.isNotNull(element('meta').logicalType.JSON);
+    assert.isNull(element('span').logicalType);
+    assert.isNotNull(element('span').converted_type);
+  });
+
+  it('should reject invalid UUID and NULL values', async function() {
+    assert.throws(() => parquet_types.toPrimitive('UUID', '123e4567e89b12d3a456426614174000'), 'invalid value for UUID: 123e4567e89b12d3a456426614174000');
+    assert.throws(() => parquet_types.toPrimitive('NULL', 1), 'invalid value for NULL: 1');
+    assert.throws(() => new parquet.ParquetSchema({ n: { type: 'NULL' } }), 'NULL field must be optional: n');
+
+    let writer = await parquet.ParquetWriter.openFile(schema, 'logical_types-invalid.parquet');
+    let err = await writer.appendRow(Object.assign({}, rows[0], { nothing: 'x' })).catch(e => e);
+    assert.equal(err, 'invalid value for NULL: x');
+    await writer.appendRow(rows[0]);
+    await writer.close();
+  });
+
+});
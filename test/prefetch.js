@@ -0,0 +1,129 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  name:       { type: 'UTF8' },
+  tags:       { type: 'UTF8', repeated: true }
+});
+
+const rows = [];
+for (let i = 0; i < 50; i++) {
+  rows.push({ id: i, name: 'row ' + i, tags: ['a', 'b' + i] });
+}
+
+/* record the reads of the envelope reader, delaying each read by delay(offset)
+ * or 5 milliseconds */
+function recordReads(reader, delay) {
+  let reads = [];
+  const read = reader.envelopeReader.read;
+  reader.envelopeReader.read = function(offset, length) {
+    let entry = { offset: offset, settled: false };
+    reads.push(entry);
+    return new Promise(resolve => setTimeout(resolve, delay ? delay(offset) : 5))
+      .then(() => read.call(this, offset, length))
+      .then(buf => {
+        entry.settled = true;
+        return buf;
+      });
+  };
+
+  return reads;
+}
+
+function chunkOffset(reader, rowGroupIndex, name) {
+  let colChunk = reader.metadata.row_groups[rowGroupIndex].columns
+    .find(c => c.meta_data.path_in_schema[0] === name);
+  return +colChunk.meta_data.data_page_offset;
+}
+
+describe('prefetching row groups', function() {
+
+  before(async function() {
+    await file_util.writeFile('prefetch.parquet', schema, rows, { useDataPageV2: false, rowGroupSize: 10 });
+  });
+
+  it('should return the same rows', async function() {
+    let reader = await parquet.ParquetReader.openFile('prefetch.parquet');
+
+    assert.deepEqual(await file_util.readAll(reader, [], { prefetch: 2 }), rows);
+
+    let records = await file_util.readAll(reader, ['id', 'tags'], { prefetch: 3, where: { id: { gte: 25 } } });
+    assert.deepEqual(records.map(r => r.id), rows.slice(25).map(r => r.id));
+
+    let batch = await reader.getCursor(['id'], { prefetch: 1, offset: 10 }).nextBatch();
+    assert.deepEqual(batch.columns['id'], Int32Array.from(rows.slice(10, 20).map(r => r.id)));
+    await reader.close();
+  });
+
+  it('should read the next row groups before they are consumed', async function() {
+    let reader = await parquet.ParquetReader.openFile('prefetch.parquet');
+    let reads = recordReads(reader);
+
+    let cursor = reader.getCursor(['id', 'name'], { prefetch: 2 });
+    await cursor.next();
+
+    let offsets = reads.map(r => r.offset);
+    for (let i of [1, 2]) {
+      assert.include(offsets, chunkOffset(reader, i, 'id'));
+      assert.include(offsets, chunkOffset(reader, i, 'name'));
+    }
+
+    assert.notInclude(offsets, chunkOffset(reader, 3, 'id'));
+    assert.notInclude(offsets, chunkOffset(reader, 1, 'tags'));
+
+    /* every column chunk is only read once */
+    while (await cursor.next()) {}
+    assert.equal(reads.length, 10);
+    await reader.close();
+  });
+
+  it('should not prefetch more than prefetchMemory bytes', async function() {
+    let reader = await parquet.ParquetReader.openFile('prefetch.parquet');
+    let reads = recordReads(reader);
+
+    let rowGroupSize = reader.metadata.row_groups[1].columns
+      .reduce((n, c) => n + +c.meta_data.total_compressed_size, 0);
+
+    let cursor = reader.getCursor([], { prefetch: 3, prefetchMemory: rowGroupSize });
+    await cursor.next();
+    assert.deepEqual(Array.from(cursor.prefetched.keys()), [1]);
+    assert.equal(reads.length, 6);
+
+    cursor = reader.getCursor([], { prefetch: 3, prefetchMemory: rowGroupSize - 1 });
+    await cursor.next();
+    assert.equal(cursor.prefetched.size, 0);
+    await reader.close();
+  });
+
+  it('should discard prefetched row groups on rewind and close', async function() {
+    let reader = await parquet.ParquetReader.openFile('prefetch.parquet');
+    let slowOffset = chunkOffset(reader, 2, 'id');
+    let reads = recordReads(reader, offset => offset >= slowOffset ? 50 : 5);
+
+    let cursor = reader.getCursor([], { prefetch: 2 });
+    await cursor.next();
+    assert.equal(cursor.prefetched.size, 2);
+
+    cursor.rewind();
+    assert.equal(cursor.prefetched.size, 0);
+    assert.deepEqual(await cursor.next(), rows[0]);
+
+    /* the file is only closed once all pending reads completed */
+    assert.isTrue(reads.some(r => !r.settled));
+    await reader.close();
+    assert.isTrue(reads.every(r => r.settled));
+    assert.equal(cursor.prefetched.size, 0);
+  });
+
+  it('should reject invalid prefetch options', async function() {
+    let reader = await parquet.ParquetReader.openFile('prefetch.parquet');
+    assert.throws(() => reader.getCursor([], { prefetch: -1 }), 'invalid prefetch option: -1');
+    assert.throws(() => reader.getCursor([], { prefetchMemory: 'lots' }), 'invalid prefetchMemory option: lots');
+    await reader.close();
+  });
+
+});
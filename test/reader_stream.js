@@ -0,0 +1,96 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const stream = require('stream');
+const util = require('util');
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  name:       { type: 'UTF8' }
+});
+
+const rows = [];
+for (let i = 0; i < 20; i++) {
+  rows.push({ id: i, name: 'row ' + i });
+}
+
+const pipeline = util.promisify(stream.pipeline);
+
+function collect(records, delay) {
+  return new stream.Writable({
+    objectMode: true,
+    highWaterMark: 1,
+    write(record, encoding, callback) {
+      records.push(record);
+      setTimeout(callback, delay || 0);
+    }
+  });
+}
+
+describe('reading rows using iterators and streams', function() {
+
+  before(async function() {
+    await file_util.writeFile('reader_stream.parquet', schema, rows, { rowGroupSize: 5 });
+  });
+
+  it('should iterate over the rows of a cursor', async function() {
+    let reader = await parquet.ParquetReader.openFile('reader_stream.parquet');
+    let cursor = reader.getCursor(['id'], { where: { id: { gte: 15 } } });
+
+    let ids = [];
+    for await (let record of cursor) {
+      ids.push(record.id);
+    }
+
+    assert.deepEqual(ids, [15, 16, 17, 18, 19]);
+    await reader.close();
+  });
+
+  it('should pipe the rows into a stream and close the reader', async function() {
+    let reader = await parquet.ParquetReader.openFile('reader_stream.parquet');
+    let records = [];
+    await pipeline(reader.createReadStream(), collect(records));
+
+    assert.deepEqual(records, rows);
+    assert.isNull(reader.envelopeReader);
+
+    reader = await parquet.ParquetReader.openFile('reader_stream.parquet');
+    records = [];
+    await pipeline(reader.createReadStream({ columns: ['name'], where: { id: 3 } }), collect(records));
+    assert.deepEqual(records, [{ name: 'row 3' }]);
+  });
+
+  it('should only read ahead of the consumer up to the high water mark', async function() {
+    let reader = await parquet.ParquetReader.openFile('reader_stream.parquet');
+    let readStream = reader.createReadStream({ highWaterMark: 2 });
+
+    let reads = 0;
+    let maxAhead = 0;
+    let records = [];
+    const next = readStream.cursor.next;
+    readStream.cursor.next = function() {
+      reads++;
+      maxAhead = Math.max(maxAhead, reads - records.length);
+      return next.apply(this, arguments);
+    };
+
+    await pipeline(readStream, collect(records, 2));
+    assert.equal(records.length, rows.length);
+    assert.isAtMost(maxAhead, 5);
+  });
+
+  it('should close the reader if the stream is destroyed', async function() {
+    let reader = await parquet.ParquetReader.openFile('reader_stream.parquet');
+    let readStream = reader.createReadStream({ highWaterMark: 1 });
+
+    let first = await new Promise(resolve => readStream.once('data', resolve));
+    assert.deepEqual(first, rows[0]);
+
+    readStream.destroy();
+    await new Promise(resolve => readStream.once('close', resolve));
+    assert.isNull(reader.envelopeReader);
+  });
+
+});
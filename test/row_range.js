@@ -0,0 +1,117 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  name:       { type: 'UTF8', optional: true },
+  tags:       { type: 'UTF8', repeated: true },
+  scores:     { type: 'LIST', optional: true, element: { type: 'INT32' } }
+});
+
+const rows = [];
+for (let i = 0; i < 40; i++) {
+  let row = { id: i, tags: [], scores: [] };
+  if (i % 3) {
+    row.name = 'row ' + (i % 5);
+  }
+
+  for (let j = 0; j < i % 4; j++) {
+    row.tags.push('tag ' + j);
+    row.scores.push(i * 10 + j);
+  }
+
+  /* empty repeated fields are omitted when reading */
+  if (row.tags.length === 0) {
+    delete row.tags;
+  }
+
+  rows.push(row);
+}
+
+describe('row ranges and random row access', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('row_range.parquet', schema, rows, { pageSize: 3, rowGroupSize: 10 });
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should return the rows within the offset and limit', async function() {
+    assert.deepEqual(await file_util.readCursor(reader.getCursor([], { offset: 8, limit: 15 })), rows.slice(8, 23));
+    assert.deepEqual(await file_util.readCursor(reader.getCursor([], { offset: 35 })), rows.slice(35));
+    assert.deepEqual(await file_util.readCursor(reader.getCursor([], { limit: 3 })), rows.slice(0, 3));
+    assert.deepEqual(await file_util.readCursor(reader.getCursor([], { offset: 40 })), []);
+    assert.deepEqual(await file_util.readCursor(reader.getCursor([], { offset: 5, limit: 0 })), []);
+  });
+
+  it('should only decode the pages that contain the requested rows', async function() {
+    let pages = [];
+    let chunks = 0;
+    const readColumnChunkRows = reader.envelopeReader.readColumnChunkRows;
+    const readColumnChunk = reader.envelopeReader.readColumnChunk;
+    reader.envelopeReader.readColumnChunkRows = function(schema, colChunk, rowCount, rowRanges) {
+      pages.push(colChunk.meta_data.path_in_schema.join('.') + ':' + JSON.stringify(rowRanges));
+      return readColumnChunkRows.apply(this, arguments);
+    };
+    reader.envelopeReader.readColumnChunk = function() {
+      chunks++;
+      return readColumnChunk.apply(this, arguments);
+    };
+
+    let records = await file_util.readCursor(reader.getCursor(['id', 'tags'], { offset: 24, limit: 2 }));
+    assert.deepEqual(records, [{ id: 24 }, { id: 25, tags: rows[25].tags }]);
+    assert.deepEqual(pages, ['id:[[4,6]]', 'tags:[[4,6]]']);
+
+    /* every page but the requested one is skipped */
+    pages = [];
+    let decoded = 0;
+    const read = reader.envelopeReader.read;
+    reader.envelopeReader.read = function(offset, length) {
+      decoded += length;
+      return read.apply(this, arguments);
+    };
+
+    assert.deepEqual(await reader.getRow(13, ['tags']), { tags: rows[13].tags });
+    let rowGroup = reader.metadata.row_groups[1];
+    let tags = rowGroup.columns.find(c => c.meta_data.path_in_schema[0] === 'tags');
+    assert.isBelow(decoded, +tags.meta_data.total_compressed_size);
+    assert.equal(chunks, 0);
+
+    reader.envelopeReader.readColumnChunkRows = readColumnChunkRows;
+    reader.envelopeReader.readColumnChunk = readColumnChunk;
+    reader.envelopeReader.read = read;
+  });
+
+  it('should return single rows', async function() {
+    for (let n of [0, 9, 10, 17, 39]) {
+      assert.deepEqual(await reader.getRow(n), rows[n]);
+    }
+
+    assert.deepEqual(await reader.getRow(21, [['scores', 'list', 'element']]), { scores: rows[21].scores });
+    assert.isNull(await reader.getRow(40));
+  });
+
+  it('should apply the filter within the range', async function() {
+    let cursor = reader.getCursor(['id'], { offset: 5, limit: 20, where: { name: 'row 1' } });
+    let ids = (await file_util.readCursor(cursor)).map(r => r.id);
+    assert.deepEqual(ids, rows.slice(5, 25).filter(r => r.name === 'row 1').map(r => r.id));
+
+    let batch = await reader.getCursor(['id'], { offset: 12, limit: 3 }).nextBatch();
+    assert.deepEqual(batch.columns['id'], Int32Array.from([12, 13, 14]));
+  });
+
+  it('should reject invalid ranges', async function() {
+    assert.throws(() => reader.getCursor([], { offset: -1 }), 'invalid offset option: -1');
+    assert.throws(() => reader.getCursor([], { limit: 1.5 }), 'invalid limit option: 1.5');
+
+    let err = await reader.getRow('1').catch(e => e);
+    assert.equal(err, 'invalid row index: 1');
+  });
+
+});
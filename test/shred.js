@@ -553,4 +553,74 @@ describe('ParquetShredder', function() {
 
   });
 
+  it('should shred LIST and MAP fields into their three-level structure', function() {
+    var schema = new parquet.ParquetSchema({
+      tags: { type: 'LIST', optional: true, element: { type: 'UTF8', optional: true } },
+      attrs: { type: 'MAP', key: { type: 'UTF8' }, value: { type: 'INT32' } }
+    });
+
+    let buf = {};
+    parquet.ParquetShredder.shredRecord(schema, { tags: ['a', null], attrs: new Map([['x', 1]]) }, buf);
+    parquet.ParquetShredder.shredRecord(schema, { tags: [], attrs: { y: 2, z: 3 } }, buf);
+    parquet.ParquetShredder.shredRecord(schema, { attrs: {} }, buf);
+
+    let colData = buf.columnData;
+    assert.deepEqual(colData['tags,list,element'].dlevels, [3, 2, 1, 0]);
+    assert.deepEqual(colData['tags,list,element'].rlevels, [0, 1, 0, 0]);
+    assert.deepEqual(colData['tags,list,element'].values.map((x) => x.toString()), ['a']);
+    assert.deepEqual(colData['attrs,key_value,key'].dlevels, [1, 1, 1, 0]);
+    assert.deepEqual(colData['attrs,key_value,key'].rlevels, [0, 0, 1, 0]);
+    assert.deepEqual(colData['attrs,key_value,key'].values.map((x) => x.toString()), ['x', 'y', 'z']);
+    assert.deepEqual(colData['attrs,key_value,value'].values, [1, 2, 3]);
+
+    assert.throws(() => parquet.ParquetShredder.shredRecord(schema, { tags: 'a', attrs: {} }, {}), 'value for LIST must be an array: tags');
+    assert.throws(() => parquet.ParquetShredder.shredRecord(schema, { attrs: [] }, {}), 'value for MAP must be a Map or an object: attrs');
+  });
+
+  it('should materialize LIST and MAP fields as arrays and Maps', function() {
+    var schema = new parquet.ParquetSchema({
+      tags: { type: 'LIST', optional: true, element: { type: 'UTF8', optional: true } },
+      attrs: { type: 'MAP', key: { type: 'UTF8' }, value: { type: 'INT32' } }
+    });
+
+    let buffer = {};
+    let rows = [
+      { tags: ['a', null], attrs: new Map([['x', 1]]) },
+      { tags: [], attrs: new Map([['y', 2], ['z', 3]]) },
+      { attrs: new Map() }
+    ];
+
+    for (let row of rows) {
+      parquet.ParquetShredder.shredRecord(schema, row, buffer);
+    }
+
+    let records = parquet.ParquetShredder.materializeRecords(schema, buffer);
+    assert.deepEqual(records, rows);
+  });
+
+  it('should materialize legacy two-level lists', function() {
+    var schema = new parquet.ParquetSchema({
+      ids: { type: 'LIST', fields: { element: { type: 'INT32', repeated: true } } },
+      points: {
+        type: 'LIST',
+        fields: {
+          array: { repeated: true, fields: { x: { type: 'INT32' } } }
+        }
+      }
+    });
+
+    let buffer = {};
+    let rows = [
+      { ids: [1, 2], points: [{ x: 1 }, { x: 2 }] },
+      { ids: [], points: [] }
+    ];
+
+    for (let row of rows) {
+      parquet.ParquetShredder.shredRecord(schema, row, buffer);
+    }
+
+    assert.deepEqual(buffer.columnData['ids,element'].rlevels, [0, 1, 0]);
+    assert.deepEqual(parquet.ParquetShredder.materializeRecords(schema, buffer), rows);
+  });
+
 });
@@ -0,0 +1,116 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT64' },
+  name:       { type: 'UTF8', optional: true, compression: 'GZIP' },
+  colour:     { type: 'UTF8', encoding: 'RLE_DICTIONARY' },
+  tags:       { type: 'UTF8', repeated: true },
+  stock:      {
+    repeated: true,
+    fields: {
+      quantity: { type: 'INT32' },
+      warehouse: { type: 'UTF8', optional: true }
+    }
+  }
+});
+
+const rows = [];
+for (let i = 0; i < 2500; i++) {
+  let row = { id: i, colour: ['red', 'green', 'blue'][i % 3] };
+  if (i % 7) {
+    row.name = 'row ' + i;
+  }
+
+  if (i % 4) {
+    row.tags = ['tag ' + (i % 4), 'x'];
+  }
+
+  if (i % 5) {
+    row.stock = [{ quantity: i, warehouse: 'A' }, { quantity: i + 1 }];
+  }
+
+  rows.push(row);
+}
+
+describe('streaming page by page', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('streaming.parquet', schema, rows, { pageSize: 100, rowGroupSize: 2000 });
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should return the same rows as reading whole row groups', async function() {
+    assert.deepEqual(await file_util.readAll(reader, [], { streaming: true }), rows);
+    assert.deepEqual(
+        await file_util.readAll(reader, ['id', ['stock', 'warehouse']], { streaming: true }),
+        await file_util.readAll(reader, ['id', ['stock', 'warehouse']]));
+  });
+
+  it('should only hold one page per column in memory', async function() {
+    let maxRead = 0;
+    const read = reader.envelopeReader.read;
+    reader.envelopeReader.read = function(offset, length) {
+      maxRead = Math.max(maxRead, length);
+      return read.apply(this, arguments);
+    };
+
+    let materialized = 0;
+    let cursor = reader.getCursor(['name', 'tags'], { streaming: true });
+    const readPageStream = cursor.readPageStream;
+    cursor.readPageStream = async function() {
+      let records = await readPageStream.apply(this, arguments);
+      materialized = Math.max(materialized, records.length);
+      return records;
+    };
+
+    let count = 0;
+    for await (let record of cursor) {
+      count++;
+    }
+
+    reader.envelopeReader.read = read;
+    assert.equal(count, rows.length);
+    assert.equal(materialized, 1024);
+
+    let columns = reader.metadata.row_groups[0].columns;
+    let pageSizes = [];
+    for (let colChunk of columns) {
+      let offsetIndex = await reader.envelopeReader.readOffsetIndex(colChunk);
+      pageSizes.push(...offsetIndex.page_locations.map(p => p.compressed_page_size));
+    }
+
+    assert.isAtMost(maxRead, Math.max(1024, ...pageSizes));
+    assert.isBelow(maxRead, Math.min(...columns.map(c => +c.meta_data.total_compressed_size)));
+  });
+
+  it('should apply the filter, offset and limit', async function() {
+    let opts = { where: { colour: 'blue', id: { gte: 1000 } }, offset: 500, limit: 1800 };
+    let streamed = await file_util.readAll(reader, ['id', 'tags'], Object.assign({ streaming: true }, opts));
+    assert.deepEqual(streamed, await file_util.readAll(reader, ['id', 'tags'], opts));
+    assert.equal(streamed[0].id, 1001);
+    assert.equal(streamed[streamed.length - 1].id, 2297);
+  });
+
+  it('should read page headers larger than the initial read', async function() {
+    let largeSchema = new parquet.ParquetSchema({ text: { type: 'UTF8' } });
+    let largeRows = [{ text: 'a'.repeat(3000) }, { text: 'b'.repeat(5000) }];
+    await file_util.writeFile('streaming-large.parquet', largeSchema, largeRows, { useDataPageV2: false });
+
+    let largeReader = await parquet.ParquetReader.openFile('streaming-large.parquet');
+    assert.deepEqual(await file_util.readAll(largeReader, [], { streaming: true }), largeRows);
+    await largeReader.close();
+  });
+
+  it('should reject an invalid streaming option', function() {
+    assert.throws(() => reader.getCursor([], { streaming: 'yes' }), 'invalid streaming option: yes');
+  });
+
+});
@@ -0,0 +1,190 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const path = require('path');
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_types = require('../lib/types.js');
+
+const schema = new parquet.ParquetSchema({
+  created:    { type: 'TIMESTAMP_MILLIS' },
+  updated:    { type: 'TIMESTAMP_NANOS', encoding: 'DELTA_BINARY_PACKED' },
+  local:      { type: 'TIMESTAMP_MICROS', isAdjustedToUTC: false, optional: true },
+  spark:      { type: 'INT96', encoding: 'RLE_DICTIONARY' },
+  opens:      { type: 'TIME_MILLIS' },
+  closes:     { type: 'TIME_NANOS' },
+  day:        { type: 'DATE' }
+});
+
+const rows = [
+  {
+    created: '2020-01-01T01:00:00+01:00',
+    updated: 1577836800123456789n,
+    local: '2020-01-01T12:30:00.123456',
+    spark: new Date('2019-01-01T00:00:00Z'),
+    opens: '08:30',
+    closes: '23:59:59.999999999',
+    day: '2020-02-29'
+  },
+  {
+    created: new Date(0),
+    updated: '1969-12-31T23:59:59.999999999Z',
+    local: null,
+    spark: '2019-01-01T00:00:00.000000001Z',
+    opens: 0,
+    closes: 1000,
+    day: new Date('1970-01-02T00:00:00Z')
+  },
+  {
+    created: -5,
+    updated: '2020-01-01T00:00:00-0230',
+    spark: 1546300800000000002n,
+    opens: 1,
+    closes: '1',
+    day: 3
+  }
+];
+
+describe('temporal types', function() {
+
+  before(async function() {
+    await file_util.writeFile('temporal.parquet', schema, rows, { pageSize: 2 });
+  });
+
+  it('should read timestamps as dates', async function() {
+    let records = await file_util.readFile('temporal.parquet');
+    assert.deepEqual(records.map(r => r.created), [
+      new Date('2020-01-01T00:00:00Z'),
+      new Date(0),
+      new Date(-5)
+    ]);
+    assert.deepEqual(records.map(r => r.updated), [
+      new Date('2020-01-01T00:00:00.123Z'),
+      new Date('1969-12-31T23:59:59.999Z'),
+      new Date('2020-01-01T02:30:00Z')
+    ]);
+    assert.deepEqual(records.map(r => r.local), [new Date('2020-01-01T12:30:00.123Z'), undefined, undefined]);
+    assert.deepEqual(records.map(r => r.spark), [
+      new Date('2019-01-01T00:00:00Z'),
+      new Date('2019-01-01T00:00:00Z'),
+      new Date('2019-01-01T00:00:00Z')
+    ]);
+  });
+
+  it('should read timestamps exactly as BigInt', async function() {
+    let records = await file_util.readFile('temporal.parquet', { timestampAs: 'bigint' });
+    assert.deepEqual(records.map(r => r.created), [1577836800000n, 0n, -5n]);
+    assert.deepEqual(records.map(r => r.updated), [1577836800123456789n, -1n, 1577845800000000000n]);
+    assert.deepEqual(records.map(r => r.local), [1577881800123456n, undefined, undefined]);
+    assert.deepEqual(records.map(r => r.spark), [1546300800000000000n, 1546300800000000001n, 1546300800000000002n]);
+  });
+
+  it('should read times of day and dates', async function() {
+    let records = await file_util.readFile('temporal.parquet');
+    assert.deepEqual(records.map(r => r.opens), [30600000, 0, 1]);
+    assert.deepEqual(records.map(r => r.closes), [86399999999999, 1000, 1]);
+    assert.deepEqual(records.map(r => r.day), [
+      new Date('2020-02-29T00:00:00Z'),
+      new Date('1970-01-02T00:00:00Z'),
+      new Date('1970-01-04T00:00:00Z')
+    ]);
+  });
+
+  it('should write the time unit and UTC adjustment to the schema', async function() {
+    let reader = await parquet.ParquetReader.openFile('temporal.parquet');
+    const fields = reader.getSchema().fields;
+    assert.equal(fields.created.originalType, 'TIMESTAMP_MILLIS');
+    assert.equal(fields.created.isAdjustedToUTC, true);
+    assert.equal(fields.updated.originalType, 'TIMESTAMP_NANOS');
+    assert.equal(fields.local.originalType, 'TIMESTAMP_MICROS');
+    assert.equal(fields.local.isAdjustedToUTC, false);
+    assert.equal(fields.closes.originalType, 'TIME_NANOS');
+    assert.equal(fields.spark.primitiveType, 'INT96');
+
+    /* local and nanosecond timestamps have no legacy converted type */
+    const elements = (await reader.envelopeReader.readFooter()).schema;
+    const element = (name) => elements.find(e => e.name === name);
+    assert.isNotNull(element('created').converted_type);
+    assert.isNull(element('local').converted_type);
+    assert.isNull(element('updated').converted_type);
+    assert.equal(element('updated').logicalType.TIMESTAMP.isAdjustedToUTC, true);
+    assert.isNotNull(element('updated').logicalType.TIMESTAMP.unit.NANOS);
+    assert.isNotNull(element('opens').logicalType.TIME.unit.MILLIS);
+
+    await reader.close();
+  });
+
+  it('should encode statistics of INT96 timestamps', async function() {
+    let reader = await parquet.ParquetReader.openFile('temporal.parquet', { timestampAs: 'bigint' });
+    const rowGroup = reader.metadata.row_groups[0];
+    const stats = (path) => rowGroup.columns.find(d => d.meta_data.path_in_schema.join(',') == path).meta_data.statistics;
+
+    assert.equal(stats('spark').min_value, 1546300800000000000n);
+    assert.equal(stats('spark').max_value, 1546300800000000002n);
+    assert.equal(stats('updated').min_value, -1n);
+    assert.equal(stats('local').min_value, 1577881800123456n);
+    assert.equal(stats('closes').max_value, 86399999999999);
+
+    await reader.close();
+  });
+
+  it('should filter timestamps', async function() {
+    let records = await file_util.readFile('temporal.parquet', { timestampAs: 'bigint' }, ['spark'], {
+      where: { spark: { gt: '2019-01-01T00:00:00.000000001Z' } }
+    });
+    assert.deepEqual(records, [{ spark: 1546300800000000002n }]);
+
+    records = await file_util.readFile('temporal.parquet', {}, ['created'], {
+      where: { created: { lt: '1970-01-01T00:00:00Z' } }
+    });
+    assert.deepEqual(records, [{ created: new Date(-5) }]);
+  });
+
+  it('should encode INT96 timestamps as julian days', function() {
+    const buf = parquet_types.toPrimitive('INT96', '2019-01-01T06:00:00Z');
+    assert.equal(buf.readInt32LE(8), 2458485);
+    assert.equal(buf.readBigUInt64LE(0), 6n * 3600n * 1000000000n);
+
+    assert.deepEqual(parquet_types.fromPrimitive('INT96', buf), new Date('2019-01-01T06:00:00Z'));
+    assert.equal(parquet_types.fromPrimitive('INT96', buf, { timestampAs: 'bigint' }), 1546322400000000000n);
+    assert.strictEqual(parquet_types.toPrimitive('INT96', buf), buf);
+  });
+
+  it('should decode INT96 timestamps before 1970 with nanoseconds', function() {
+    /* 20:17:40.000000123 on julian day 2440423 (1969-07-20) */
+    const buf = Buffer.from('7be8589b72420000e73c2500', 'hex');
+    assert.deepEqual(parquet_types.fromPrimitive('INT96', buf), new Date('1969-07-20T20:17:40Z'));
+    assert.equal(parquet_types.fromPrimitive('INT96', buf, { timestampAs: 'bigint' }), -14182939999999877n);
+  });
+
+  it('should read INT96 timestamps written by parquet-mr', async function() {
+    const fixture = path.resolve(__dirname, 'test-files/parquet-mr-int96.parquet');
+    let records = await file_util.readFile(fixture, {}, ['id', 'registration_dttm']);
+    assert.equal(records.length, 1000);
+    assert.deepEqual(records.slice(0, 3), [
+      { id: 1, registration_dttm: new Date('2016-02-03T07:55:29Z') },
+      { id: 2, registration_dttm: new Date('2016-02-03T17:04:03Z') },
+      { id: 3, registration_dttm: new Date('2016-02-03T01:09:31Z') }
+    ]);
+
+    records = await file_util.readFile(fixture, { timestampAs: 'bigint' }, ['registration_dttm']);
+    assert.deepEqual(records.slice(0, 3).map(r => r.registration_dttm), [
+      1454486129000000000n,
+      1454519043000000000n,
+      1454461771000000000n
+    ]);
+  });
+
+  it('should reject invalid values and options', async function() {
+    assert.throws(() => parquet_types.toPrimitive('TIMESTAMP_MILLIS', '2020-13-01'), 'invalid value for TIMESTAMP_MILLIS: 2020-13-01');
+    assert.throws(() => parquet_types.toPrimitive('TIMESTAMP_NANOS', new Date('3000-01-01')), 'invalid value for TIMESTAMP_NANOS');
+    assert.throws(() => parquet_types.toPrimitive('TIME_MILLIS', '24:00'), 'invalid value for TIME_MILLIS: 24:00');
+    assert.throws(() => parquet_types.toPrimitive('TIME_MICROS', 86400000000), 'invalid value for TIME_MICROS: 86400000000');
+    assert.throws(() => parquet_types.toPrimitive('DATE', '2019-02-29'), 'invalid value for DATE: 2019-02-29');
+    assert.throws(() => new parquet.ParquetSchema({ t: { type: 'TIME_MILLIS', isAdjustedToUTC: 'no' } }), 'invalid isAdjustedToUTC for TIME_MILLIS: no');
+
+    let err = await parquet.ParquetReader.openFile('temporal.parquet', { timestampAs: 'string' }).catch(e => e);
+    assert.equal(err, 'invalid timestampAs option: string');
+  });
+
+});
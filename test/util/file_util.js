@@ -0,0 +1,53 @@
+'use strict';
+const parquet = require('../../parquet.js');
+
+/**
+ * Write rows to a parquet file; opts are passed to the writer, e.g. pageSize
+ * or rowGroupSize
+ */
+exports.writeFile = async function(path, schema, rows, opts) {
+  let writer = await parquet.ParquetWriter.openFile(schema, path, opts);
+  for (let row of rows) {
+    await writer.appendRow(row);
+  }
+
+  await writer.close();
+}
+
+/**
+ * Write rows to a parquet file and open it for reading
+ */
+exports.writeAndOpenFile = async function(path, schema, rows, writerOpts, readerOpts) {
+  await exports.writeFile(path, schema, rows, writerOpts);
+  return await parquet.ParquetReader.openFile(path, readerOpts);
+}
+
+/**
+ * Read the remaining records of a cursor
+ */
+exports.readCursor = async function(cursor) {
+  let records = [];
+  let record = null;
+  while (record = await cursor.next()) {
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Read all records of a reader using a new cursor
+ */
+exports.readAll = function(reader, columnList, cursorOpts) {
+  return exports.readCursor(reader.getCursor(columnList, cursorOpts));
+}
+
+/**
+ * Open a parquet file, read all records and close it again
+ */
+exports.readFile = async function(path, readerOpts, columnList, cursorOpts) {
+  let reader = await parquet.ParquetReader.openFile(path, readerOpts);
+  let records = await exports.readAll(reader, columnList, cursorOpts);
+  await reader.close();
+  return records;
+}
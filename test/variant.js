@@ -0,0 +1,155 @@
+'use strict';
+const chai = require('chai');
+const assert = chai.assert;
+const parquet = require('../parquet.js');
+const file_util = require('./util/file_util.js');
+const parquet_variant = require('../lib/variant.js');
+
+const schema = new parquet.ParquetSchema({
+  id:         { type: 'INT32' },
+  payload:    {
+    type: 'VARIANT',
+    optional: true,
+    shredding: { user: { id: 'INT64', name: 'UTF8' }, tags: ['UTF8'], ts: 'TIMESTAMP_MICROS' }
+  },
+  raw:        { type: 'VARIANT', optional: true }
+});
+
+const rows = [
+  {
+    id: 1,
+    payload: { user: { id: 5, name: 'ann', admin: true }, tags: ['a', 3], ts: new Date(1000), note: 'x'.repeat(100) },
+    raw: [1, -300, 2 ** 40, 1.5, null, { z: Buffer.from('zz') }]
+  },
+  { id: 2, payload: 'scalar', raw: { nested: { deep: [new Date(2000)] } } },
+  { id: 3, payload: { user: 'nobody' } },
+  { id: 4 }
+];
+
+describe('variant type', function() {
+  let reader;
+
+  before(async function() {
+    reader = await file_util.writeAndOpenFile('variant.parquet', schema, rows);
+  });
+
+  after(async function() {
+    await reader.close();
+  });
+
+  it('should encode and decode the variant binary format', function() {
+    const variant = parquet_variant.encodeVariant({ b: 1, a: 'x' });
+    assert.equal(variant.metadata.toString('hex'), '11020001026162');
+    assert.equal(variant.value.toString('hex'), '0202000100020405780c01');
+    assert.deepEqual(parquet_variant.decodeVariant(variant.metadata, variant.value), { a: 'x', b: 1 });
+
+    /* decimal4 with scale 2 and a uuid */
+    const empty = parquet_variant.encodeVariant(null).metadata;
+    assert.equal(parquet_variant.decodeVariant(empty, Buffer.from('200239300000', 'hex')), '123.45');
+    assert.equal(
+        parquet_variant.decodeVariant(empty, Buffer.from('50' + '00112233445566778899aabbccddeeff', 'hex')),
+        '00112233-4455-6677-8899-aabbccddeeff');
+
+    const int64 = parquet_variant.encodeVariant(2n ** 62n);
+    assert.strictEqual(parquet_variant.decodeVariant(int64.metadata, int64.value, { int64As: 'bigint' }), 2n ** 62n);
+  });
+
+  it('should round-trip values', async function() {
+    assert.deepEqual(await file_util.readAll(reader), rows);
+
+    const field = reader.getSchema().fields.payload;
+    assert.equal(field.originalType, 'VARIANT');
+    assert.equal(field.fields.typed_value.fields.user.fields.typed_value.fields.id.fields.typed_value.primitiveType, 'INT64');
+
+    const elements = (await reader.envelopeReader.readFooter()).schema;
+    assert.equal(elements.find(e => e.name === 'raw').logicalType.VARIANT.specification_version, 1);
+
+    let bigintReader = await parquet.ParquetReader.openFile('variant.parquet', { int64As: 'bigint', timestampAs: 'bigint' });
+    let records = await file_util.readAll(bigintReader, ['raw']);
+    assert.strictEqual(records[0].raw[2], 2n ** 40n);
+    assert.strictEqual(records[1].raw.nested.deep[0], 2000000n);
+    await bigintReader.close();
+  });
+
+  it('should shred values into typed columns', async function() {
+    const column = (path) => {
+      return reader.metadata.row_groups[0].columns.find(c => c.meta_data.path_in_schema.join('.') === path).meta_data;
+    };
+
+    const id = column('payload.typed_value.user.typed_value.id.typed_value');
+    assert.equal(id.statistics.min_value, 5);
+    assert.equal(id.statistics.null_count, 3);
+
+    /* the element 3 does not match the shredded type of the tags */
+    const tags = column('payload.typed_value.tags.typed_value.list.element.typed_value');
+    assert.equal(tags.statistics.max_value, 'a');
+    assert.equal(column('payload.typed_value.tags.typed_value.list.element.value').statistics.null_count, 4);
+
+    let rowBuffer = await reader.envelopeReader.readRowGroup(
+        reader.getSchema(),
+        reader.metadata.row_groups[0],
+        [['payload', 'value'], ['payload', 'typed_value', 'user', 'value']]);
+
+    /* only the residual fields and the non-object values are encoded */
+    assert.equal(rowBuffer.columnData['payload,value'].values.length, 2);
+    assert.equal(rowBuffer.columnData['payload,typed_value,user,value'].values.length, 2);
+  });
+
+  it('should only read the columns of the requested paths', async function() {
+    let paths = [];
+    const readColumnChunk = reader.envelopeReader.readColumnChunk;
+    reader.envelopeReader.readColumnChunk = function(schema, colChunk) {
+      paths.push(colChunk.meta_data.path_in_schema.join('.'));
+      return readColumnChunk.apply(this, arguments);
+    };
+
+    let records = await file_util.readAll(reader, ['payload.user.id', 'id']);
+    assert.deepEqual(records, [
+      { id: 1, payload: { user: { id: 5 } } },
+      { id: 2 },
+      { id: 3 },
+      { id: 4 }
+    ]);
+
+    assert.sameMembers(paths, [
+      'id',
+      'payload.metadata',
+      'payload.value',
+      'payload.typed_value.user.value',
+      'payload.typed_value.user.typed_value.id.value',
+      'payload.typed_value.user.typed_value.id.typed_value'
+    ]);
+
+    /* paths that are not shredded are read from the binary values */
+    paths = [];
+    records = await file_util.readAll(reader, [['payload', 'note'], ['payload', 'user']]);
+    assert.deepEqual(records.map(r => r.payload), [
+      { note: rows[0].payload.note, user: rows[0].payload.user },
+      undefined,
+      { user: 'nobody' },
+      undefined
+    ]);
+    assert.notInclude(paths, 'payload.typed_value.tags.typed_value.list.element.typed_value');
+
+    records = await file_util.readAll(reader, ['raw']);
+    assert.deepEqual(records.map(r => r.raw), rows.map(r => r.raw));
+
+    reader.envelopeReader.readColumnChunk = readColumnChunk;
+  });
+
+  it('should reject invalid shredding and values', async function() {
+    assert.throws(() => new parquet.ParquetSchema({ v: { type: 'VARIANT', shredding: 'INT96' } }), 'invalid shredded type for VARIANT: INT96');
+    assert.throws(() => new parquet.ParquetSchema({ v: { type: 'VARIANT', shredding: ['UTF8', 'INT64'] } }), 'invalid shredding for VARIANT: v');
+    assert.throws(() => new parquet.ParquetSchema({ v: { type: 'VARIANT', shredding: {} } }), 'invalid shredding for VARIANT: v');
+    assert.throws(() => parquet_variant.encodeVariant(new Map()), 'invalid value for VARIANT: [object Map]');
+    assert.throws(() => parquet_variant.encodeVariant(2n ** 64n), 'invalid value for VARIANT: 18446744073709551616');
+    assert.throws(() => parquet_variant.decodeVariant(Buffer.from('02', 'hex'), Buffer.from('00', 'hex')), 'invalid VARIANT metadata');
+
+    let writer = await parquet.ParquetWriter.openFile(schema, 'variant-invalid.parquet');
+    let err = await writer.appendRow({ id: 0, payload: { f: () => 1 } }).catch(e => e);
+    assert.match(err, /^invalid value for VARIANT/);
+    await writer.appendRow(rows[0]);
+    await writer.close();
+  });
+
+});